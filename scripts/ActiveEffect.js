@@ -91,5 +91,17 @@ function deleteActiveEffect(document, _options, _userId) {
   }
 }
 
+/**
+ * Hook updateActiveEffect
+ * When a stored terrain changes, sync its copies and those of its child terrains on tokens.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateActiveEffect(document, changed, _options, _userId) {
+  if ( !isFirstGM() || document.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.TYPE) !== "Terrain" ) return;
+  CONFIG[MODULE_ID].Terrain._onUpdateTerrainDocument(document, changed); // Async
+}
 
-PATCHES.BASIC.HOOKS = { preCreateActiveEffect, createActiveEffect, deleteActiveEffect };
+PATCHES.BASIC.HOOKS = { preCreateActiveEffect, createActiveEffect, updateActiveEffect, deleteActiveEffect };
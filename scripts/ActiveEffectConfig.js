@@ -1,9 +1,13 @@
 /* globals
+CONFIG,
+CONST,
+document,
+game,
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { TEMPLATES, MODULE_ID, FLAGS } from "./const.js";
+import { TEMPLATES, MODULE_ID, FLAGS, FA_ICONS } from "./const.js";
 import { TerrainEffectsAppV2 } from "./TerrainEffectsAppV2.js";
 import { renderTemplateSync } from "./util.js";
 
@@ -32,6 +36,7 @@ async function renderActiveEffectConfig(app, element, context, options) {
   // Avoid changing all active effects everywhere.
   if ( context.document.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.TYPE) !== "Terrain" ) return;
 
+  context.terrainmapper = terrainConfigContext(context.document);
   const myHTML = renderTemplateSync(TEMPLATES.ACTIVE_EFFECT, context);
   if ( !myHTML ) return;
 
@@ -42,6 +47,9 @@ async function renderActiveEffectConfig(app, element, context, options) {
   const tab = element.querySelector('.tab[data-tab="details"]');
   if ( !tab ) return;
   tab.appendChild(div);
+
+  addHazardTab(app, element, context);
+  addChangeTemplates(app, element);
   app.setPosition(app.position);
 }
 
@@ -50,3 +58,156 @@ PATCHES.a5e.HOOKS = {
   renderActiveEffectConfigA5e: renderActiveEffectConfig,
   closeActiveEffectConfigA5e: closeActiveEffectConfig
 }
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Build the context used by the terrain configuration template.
+ * @param {ActiveEffect|Item} doc     The terrain document
+ * @returns {object}
+ */
+export function terrainConfigContext(doc) {
+  const exitDuration = doc.getFlag(MODULE_ID, FLAGS.TERRAIN.EXIT_DURATION) ?? {};
+  return {
+    parent: doc.getFlag(MODULE_ID, FLAGS.TERRAIN.PARENT) ?? "",
+    parentChoices: parentFormChoices(doc),
+    movementCosts: movementCostFormData(doc),
+    exitDuration: {
+      value: exitDuration.value ?? null,
+      units: exitDuration.units ?? FLAGS.TERRAIN.EXIT_DURATION_UNITS.CHOICES.ROUNDS
+    },
+    exitDurationUnits: FLAGS.TERRAIN.EXIT_DURATION_UNITS.LABELS,
+    hazard: hazardFormData(doc),
+    hazardTriggers: FLAGS.TERRAIN.HAZARD.TRIGGERS.LABELS,
+    hazardTypes: FLAGS.TERRAIN.HAZARD.TYPES.LABELS
+  };
+}
+
+/**
+ * Terrains that may serve as parent for the given terrain.
+ * Excludes the terrain itself and any terrain that inherits from it.
+ * @param {ActiveEffect|Item} doc     The terrain document
+ * @returns {object} Choices of { uniqueEffectId: name }
+ */
+function parentFormChoices(doc) {
+  const Terrain = CONFIG[MODULE_ID].Terrain;
+  const terrain = Terrain.uniqueEffectForTokenDocument(doc);
+  const excluded = new Set(terrain ? [terrain, ...terrain.descendants] : []);
+  const choices = {};
+  [...Terrain._instances.values()]
+    .filter(t => !excluded.has(t))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(t => choices[t.uniqueEffectId] = t.name);
+  return choices;
+}
+
+/**
+ * Build the form data for the terrain hazard configuration.
+ * @param {ActiveEffect|Item} doc     The terrain document
+ * @returns {object}
+ */
+function hazardFormData(doc) {
+  const { FLAG, TRIGGERS, TYPES } = FLAGS.TERRAIN.HAZARD;
+  const hazard = doc.getFlag(MODULE_ID, FLAG) ?? {};
+  return {
+    trigger: hazard.trigger || TRIGGERS.CHOICES.NONE,
+    type: hazard.type || TYPES.CHOICES.CHAT,
+    message: hazard.message ?? "",
+    formula: hazard.formula ?? "",
+    save: { ability: hazard.save?.ability ?? "", dc: hazard.save?.dc ?? null },
+    macro: hazard.macro ?? ""
+  };
+}
+
+/**
+ * Add a hazard tab to the active effect configuration.
+ * The tab is switched by the application's own tab handling, which toggles elements by data-tab and data-group.
+ * @param {ApplicationV2} app
+ * @param {HTMLElement} element
+ * @param {ApplicationRenderContext} context    Context that includes the terrainmapper data
+ */
+function addHazardTab(app, element, context) {
+  const nav = element.querySelector('nav.tabs[data-group="sheet"]');
+  const lastTab = element.querySelector('.tab[data-group="sheet"]:last-of-type');
+  if ( !nav || !lastTab ) return;
+  const tabId = `${MODULE_ID}-hazard`;
+  const active = app.tabGroups.sheet === tabId;
+
+  const navItem = document.createElement("a");
+  navItem.dataset.action = "tab";
+  navItem.dataset.group = "sheet";
+  navItem.dataset.tab = tabId;
+  if ( active ) navItem.classList.add("active");
+  navItem.innerHTML = `<i class="${FA_ICONS.HAZARD}" inert></i> <span>${game.i18n.localize(`${MODULE_ID}.hazard.name`)}</span>`;
+  nav.appendChild(navItem);
+
+  const section = document.createElement("section");
+  section.classList.add("tab", "scrollable");
+  if ( active ) section.classList.add("active");
+  section.dataset.tab = tabId;
+  section.dataset.group = "sheet";
+  section.innerHTML = renderTemplateSync(TEMPLATES.ACTIVE_EFFECT_HAZARD, context);
+  lastTab.after(section);
+}
+
+/**
+ * Add a selector of the system adapter's change templates to the changes tab.
+ * Choosing a template appends it to the terrain's changes.
+ * @param {ApplicationV2} app
+ * @param {HTMLElement} element
+ */
+function addChangeTemplates(app, element) {
+  const templates = CONFIG[MODULE_ID].changeTemplates;
+  const tab = element.querySelector('.tab[data-tab="changes"]');
+  if ( !templates?.length || !tab ) return;
+
+  const select = document.createElement("select");
+  select.add(new Option(game.i18n.localize(`${MODULE_ID}.change-templates.choose`), ""));
+  templates.forEach((template, i) => select.add(new Option(game.i18n.localize(template.label), String(i))));
+  select.addEventListener("change", async event => {
+    const template = templates[Number(event.target.value)];
+    if ( !event.target.value || !template ) return;
+    const changes = app.document.toObject().changes;
+    changes.push({
+      key: template.key,
+      mode: template.mode ?? CONST.ACTIVE_EFFECT_MODES.ADD,
+      value: template.value ?? "",
+      priority: null
+    });
+    await app.document.update({ changes });
+  });
+
+  const div = document.createElement("div");
+  div.classList.add("form-group");
+  div.id = `${MODULE_ID}-change-templates`;
+  const label = document.createElement("label");
+  label.textContent = game.i18n.localize(`${MODULE_ID}.change-templates.name`);
+  const fields = document.createElement("div");
+  fields.classList.add("form-fields");
+  fields.appendChild(select);
+  div.append(label, fields);
+  tab.prepend(div);
+}
+
+/**
+ * Build the form data for the terrain movement cost table.
+ * One row per movement action defined in CONFIG.Token.movement.actions.
+ * @param {ActiveEffect|Item} doc     The terrain document
+ * @returns {object[]}
+ */
+export function movementCostFormData(doc) {
+  const costs = doc.getFlag(MODULE_ID, FLAGS.TERRAIN.MOVEMENT_COST) ?? {};
+  const baseName = `flags.${MODULE_ID}.${FLAGS.TERRAIN.MOVEMENT_COST}`;
+  return Object.entries(CONFIG.Token.movement.actions)
+    .filter(([_action, cfg]) => !cfg.teleport)
+    .map(([action, cfg]) => {
+      return {
+        action,
+        label: game.i18n.localize(cfg.label),
+        multiplier: costs[action]?.multiplier ?? 1,
+        surcharge: costs[action]?.surcharge ?? 0,
+        multiplierName: `${baseName}.${action}.multiplier`,
+        surchargeName: `${baseName}.${action}.surcharge`
+      };
+    });
+}
@@ -0,0 +1,28 @@
+/* globals
+CONFIG,
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+// Methods related to Item
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { isFirstGM } from "./util.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Hook updateItem
+ * When a stored terrain changes, sync its copies and those of its child terrains on tokens.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateItem(document, changed, _options, _userId) {
+  if ( !isFirstGM() || document.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.TYPE) !== "Terrain" ) return;
+  CONFIG[MODULE_ID].Terrain._onUpdateTerrainDocument(document, changed); // Async
+}
+
+PATCHES.BASIC.HOOKS = { updateItem };
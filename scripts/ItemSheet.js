@@ -7,6 +7,7 @@ game,
 import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
 import { TerrainEffectsAppV2 } from "./TerrainEffectsAppV2.js";
 import { renderTemplateSync } from "./util.js";
+import { terrainConfigContext } from "./ActiveEffectConfig.js";
 
 export const PATCHES = {};
 PATCHES.COVER_ITEM = {};
@@ -51,7 +52,9 @@ const INSERT_FNS = {
  * Insert the html for a PF2e effect item.
  */
 function insertPF2e(html, data) {
-  const myHTML = renderTemplateSync(TEMPLATES.ITEM_PF2e, data);
+  data.terrainmapper = terrainConfigContext(data.document);
+  const myHTML = renderTemplateSync(TEMPLATES.ITEM_PF2e, data)
+    + renderTemplateSync(TEMPLATES.ACTIVE_EFFECT_HAZARD, data);
   const div = document.createElement("div");
   div.innerHTML = myHTML;
 
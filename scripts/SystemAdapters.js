@@ -0,0 +1,189 @@
+/* globals
+CONFIG,
+CONST,
+game,
+Hooks,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { PATCHER } from "./patching.js";
+import { TerrainActiveEffect, TerrainPF2E } from "./terrain_unique_effects.js";
+
+/* System adapters
+Each game system can have an adapter that chooses the terrain storage class, supplies default terrains,
+maps movement actions to plateau/ramp handling, and offers common active effect changes for terrains.
+
+Systems and modules register adapters during init, either by calling
+  game.modules.get("terrainmapper").api.SystemAdapters.register(systemId, adapter)
+or from the hook fired when terrain mapper configures itself:
+  Hooks.once("terrainmapper.registerSystemAdapters", SystemAdapters => SystemAdapters.register(...))
+*/
+
+/**
+ * @typedef {object} SystemAdapter
+ * @property {class} [terrainClass]               Terrain storage class,
+ *   e.g. TerrainActiveEffect, TerrainItemEffect, TerrainFlagEffect, or a subclass of one of these
+ * @property {string[]} [defaultTerrainJSONs]     Paths to terrain JSON files added to new worlds
+ * @property {string[]} [defaultCompendiumIds]    Item compendium packs with terrains added to new worlds
+ * @property {object} [movementActions]           Movement action ids; each replaces the default set
+ *   - @prop {string[]} [walk]     Actions that climb onto and drop off plateaus and ramps
+ *   - @prop {string[]} [flight]   Actions that move over plateaus and ramps but not through them
+ *   - @prop {string[]} [burrow]   Actions that move through plateaus and ramps
+ * @property {object[]} [changeTemplates]         Active effect changes offered when configuring a terrain
+ *   - @prop {string} label        Localization key or label
+ *   - @prop {string} key          Change key
+ *   - @prop {number} [mode]       CONST.ACTIVE_EFFECT_MODES value; defaults to ADD
+ *   - @prop {string} [value]      Change value
+ */
+
+export class SystemAdapters {
+
+  /** @type {Map<string, SystemAdapter>} */
+  static #adapters = new Map();
+
+  /** @type {boolean} */
+  static #applied = false;
+
+  /**
+   * Used where the system has no adapter or the adapter omits a property.
+   * @type {SystemAdapter}
+   */
+  static DEFAULT = {
+    terrainClass: TerrainActiveEffect,
+    defaultTerrainJSONs: [],
+    defaultCompendiumIds: [],
+    movementActions: {
+      walk: ["walk", "climb", "crawl", "travel", "displace", "deploy", "drive", "blink"],
+      flight: ["fly", "jump"],
+      burrow: ["burrow", "swim"]
+    },
+    changeTemplates: []
+  };
+
+  /**
+   * Register an adapter for a system.
+   * Properties are merged over any adapter already registered for the system.
+   * Registering after the module has configured itself updates the configuration, up until the ready hook.
+   * @param {string} systemId
+   * @param {SystemAdapter} adapter
+   */
+  static register(systemId, adapter = {}) {
+    const existing = this.#adapters.get(systemId) ?? {};
+    this.#adapters.set(systemId, {
+      ...existing,
+      ...adapter,
+      movementActions: { ...existing.movementActions, ...adapter.movementActions }
+    });
+    if ( !this.#applied || systemId !== game.system.id ) return;
+    if ( game.ready ) {
+      console.warn(`${MODULE_ID}|System adapter for ${systemId} registered after ready; reload the world to use it.`);
+      return;
+    }
+    this.applyToConfig();
+  }
+
+  /**
+   * Remove the adapter for a system.
+   * @param {string} systemId
+   * @returns {boolean} True if an adapter was removed
+   */
+  static unregister(systemId) { return this.#adapters.delete(systemId); }
+
+  /**
+   * @param {string} systemId
+   * @returns {boolean}
+   */
+  static has(systemId) { return this.#adapters.has(systemId); }
+
+  /**
+   * The adapter for a system, with any missing properties filled from the default.
+   * @param {string} [systemId]
+   * @returns {SystemAdapter}
+   */
+  static get(systemId = game.system.id) {
+    const adapter = this.#adapters.get(systemId) ?? {};
+    return {
+      ...this.DEFAULT,
+      ...adapter,
+      movementActions: { ...this.DEFAULT.movementActions, ...adapter.movementActions }
+    };
+  }
+
+  /**
+   * Let systems and modules register their adapters, then configure the module for the current system.
+   * Called once during init.
+   */
+  static initialize() {
+    Hooks.callAll(`${MODULE_ID}.registerSystemAdapters`, this);
+    this.applyToConfig();
+    this.#applied = true;
+  }
+
+  /**
+   * Set the module configuration from the adapter for the current system.
+   */
+  static applyToConfig() {
+    const adapter = this.get();
+    const cfg = CONFIG[MODULE_ID];
+    cfg.Terrain = adapter.terrainClass;
+    cfg.defaultTerrainJSONs = [...adapter.defaultTerrainJSONs];
+    cfg.defaultCompendiumIds = [...adapter.defaultCompendiumIds];
+    cfg.terrainWalkActions = new Set(adapter.movementActions.walk);
+    cfg.terrainFlightActions = new Set(adapter.movementActions.flight);
+    cfg.terrainBurrowActions = new Set(adapter.movementActions.burrow);
+    cfg.changeTemplates = [...adapter.changeTemplates];
+
+    // Item-based terrains are configured through the item sheet.
+    // A late registration may switch away from items, so drop the item sheet patches in that case.
+    if ( cfg.Terrain.storageDocumentName === "Item" ) PATCHER.registerGroup("COVER_ITEM");
+    else PATCHER.deregisterGroup("COVER_ITEM");
+  }
+}
+
+// ----- NOTE: Built-in adapters ----- //
+
+/**
+ * Paths to the terrain JSONs shipped with the module for a system.
+ * @param {string} systemId
+ * @param {string[]} names      File names, without extension
+ * @returns {string[]}
+ */
+function moduleJSONs(systemId, names) {
+  return names.map(name => `modules/${MODULE_ID}/json/${systemId}/${name}.json`);
+}
+
+/**
+ * Change templates that halve movement speeds stored at a common path.
+ * @param {string} path                 Path to the movement speeds
+ * @param {string[]} actions            Movement types to include
+ * @param {string} [suffix=""]          Appended to each movement type, e.g. ".distance"
+ * @returns {object[]}
+ */
+function halfSpeedTemplates(path, actions, suffix = "") {
+  return actions.map(action => ({
+    label: `${MODULE_ID}.change-templates.half-${action}`,
+    key: `${path}.${action}${suffix}`,
+    mode: CONST.ACTIVE_EFFECT_MODES.MULTIPLY,
+    value: "0.5"
+  }));
+}
+
+SystemAdapters.register("dnd5e", {
+  defaultTerrainJSONs: moduleJSONs("dnd5e", ["cliff", "difficult", "water"]),
+  changeTemplates: halfSpeedTemplates("system.attributes.movement", ["walk", "burrow", "climb", "fly", "swim"])
+});
+
+SystemAdapters.register("a5e", {
+  defaultTerrainJSONs: moduleJSONs("a5e", ["cliff", "difficult", "frigid", "hazy", "swampy", "water"]),
+  changeTemplates: [
+    ...halfSpeedTemplates("system.attributes.movement", ["walk", "burrow", "climb", "fly", "swim"], ".distance"),
+    { label: `${MODULE_ID}.change-templates.half-all`, key: "flags.a5e.effects.movement.allDistances",
+      mode: CONST.ACTIVE_EFFECT_MODES.MULTIPLY, value: "0.5" }
+  ]
+});
+
+SystemAdapters.register("pf2e", { terrainClass: TerrainPF2E });
+
+SystemAdapters.register("sfrpg", { terrainClass: TerrainPF2E });
@@ -0,0 +1,160 @@
+/* globals
+CONFIG,
+foundry,
+game,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+
+// Allow the GM to define groups of terrains that cannot coexist on a token, in priority order.
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class TMExclusiveGroupsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /**
+   * Working copy of the groups, edited by the actions and saved on submit.
+   * @type {object[]}
+   */
+  #groups = [];
+
+  constructor(options = {}) {
+    super(options);
+    this.#groups = foundry.utils.deepClone(CONFIG[MODULE_ID].Terrain.exclusiveGroups);
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-exclusive-groups-config`,
+    classes: ["sheet"],
+    tag: "form",
+    window: {
+      title: `${MODULE_ID}.exclusive-groups.title`,
+      contentClasses: ["standard-form"],
+      icon: "fa-solid fa-layer-group",
+    },
+    position: {
+      width: 480,
+    },
+    form: {
+      handler: this.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addGroup: TMExclusiveGroupsConfig.#onAddGroup,
+      deleteGroup: TMExclusiveGroupsConfig.#onDeleteGroup,
+      addMember: TMExclusiveGroupsConfig.#onAddMember,
+      removeMember: TMExclusiveGroupsConfig.#onRemoveMember,
+      raiseMember: TMExclusiveGroupsConfig.#onRaiseMember,
+    },
+  };
+
+  static PARTS = {
+    body: {
+      template: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-exclusive-groups.html`,
+      scrollable: [""],
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs",
+    },
+  };
+
+  /**
+   * @param {HandlebarsRenderOptions} options
+   * @returns {Promise<object>} The context object.
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const terrainChoices = {};
+    const terrains = [...CONFIG[MODULE_ID].Terrain._instances.values()].sort((a, b) => a.name.localeCompare(b.name));
+    terrains.forEach(t => terrainChoices[t.uniqueEffectId] = t.name);
+    Object.assign(context, {
+      groups: this.#groups,
+      terrainChoices,
+      buttons: [
+        {
+          type: "submit",
+          icon: "fa-solid fa-floppy-disk",
+          label: "SETTINGS.Save",
+        },
+      ],
+    });
+    return context;
+  }
+
+  /**
+   * Copy the current form values into the working copy so actions do not discard unsaved edits.
+   */
+  #syncFormToGroups() {
+    const formData = new foundry.applications.ux.FormDataExtended(this.element);
+    const data = foundry.utils.expandObject(formData.object);
+    this.#groups = groupsFromFormData(data);
+  }
+
+  static #onAddGroup(_event, _target) {
+    this.#syncFormToGroups();
+    this.#groups.push({
+      id: foundry.utils.randomID(),
+      name: game.i18n.localize(`${MODULE_ID}.exclusive-groups.new-group`),
+      effects: [""]
+    });
+    this.render();
+  }
+
+  static #onDeleteGroup(_event, target) {
+    this.#syncFormToGroups();
+    this.#groups.splice(Number(target.dataset.group), 1);
+    this.render();
+  }
+
+  static #onAddMember(_event, target) {
+    this.#syncFormToGroups();
+    this.#groups[Number(target.dataset.group)]?.effects.push("");
+    this.render();
+  }
+
+  static #onRemoveMember(_event, target) {
+    this.#syncFormToGroups();
+    this.#groups[Number(target.dataset.group)]?.effects.splice(Number(target.dataset.member), 1);
+    this.render();
+  }
+
+  /**
+   * Move a member one place higher in priority.
+   */
+  static #onRaiseMember(_event, target) {
+    this.#syncFormToGroups();
+    const effects = this.#groups[Number(target.dataset.group)]?.effects;
+    const idx = Number(target.dataset.member);
+    if ( !effects || idx < 1 ) return;
+    [effects[idx - 1], effects[idx]] = [effects[idx], effects[idx - 1]];
+    this.render();
+  }
+
+  /**
+   * @param {SubmitEvent|Event} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    await CONFIG[MODULE_ID].Terrain.setExclusiveGroups(groupsFromFormData(data));
+  }
+}
+
+/**
+ * Convert expanded form data into an array of groups.
+ * Form fields are named groups.{i}.id, groups.{i}.name, and groups.{i}.effects.{j}.
+ * @param {object} data     Expanded form data
+ * @returns {object[]}
+ */
+function groupsFromFormData(data) {
+  return Object.values(data.groups ?? {}).map(group => {
+    return {
+      id: group.id,
+      name: group.name,
+      effects: Object.values(group.effects ?? {})
+    };
+  });
+}
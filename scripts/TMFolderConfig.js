@@ -1,5 +1,6 @@
 /* globals
 CONFIG,
+CONST,
 foundry,
 game,
 */
@@ -77,10 +78,30 @@ export class TMFolderConfig extends HandlebarsApplicationMixin(ApplicationV2) {
     Object.assign(context, {
       folder,
       namePlaceholder: game.i18n.localize("DOCUMENT.Folder"),
+      parentChoices: this.#parentChoices(),
+      viewRoleChoices: roleChoices(CONST.USER_ROLES.PLAYER),
+      editRoleChoices: roleChoices(CONST.USER_ROLES.ASSISTANT),
     });
     return context;
   }
 
+  /**
+   * Folders that can contain this folder: any folder the user can change, other than this folder and its subfolders.
+   * @returns {object} Folder names keyed by id
+   */
+  #parentChoices() {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const folders = Terrain.folders;
+    const choices = {};
+    for ( const folder of folders.values() ) {
+      if ( folder.id === this.folderId ) continue;
+      if ( Terrain.folderAncestors(folder.id, folders).some(f => f.id === this.folderId) ) continue;
+      if ( !Terrain.canEditFolder(folder.id, game.user, folders) ) continue;
+      choices[folder.id] = game.i18n.localize(folder.name);
+    }
+    return choices;
+  }
+
   /**
    * @param {string} partId
    * @param {object} context
@@ -119,7 +140,12 @@ export class TMFolderConfig extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   async #processSubmitData(_event, _form, submitData, _options) {
     if ( !submitData || !submitData.folder ) return;
-    return CONFIG[MODULE_ID].Terrain.addFolder(submitData.folder);
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const { parent, ...folderData } = submitData.folder;
+    await Terrain.addFolder(folderData);
+    if ( (parent || null) !== Terrain.folders.get(folderData.id).parent ) {
+      await Terrain.moveFolder(folderData.id, { parent: parent || null });
+    }
   }
 
   /**
@@ -136,7 +162,14 @@ export class TMFolderConfig extends HandlebarsApplicationMixin(ApplicationV2) {
           performDeletions: true,
       });
     }
-    if ( submitData.folder ) submitData.folder.id ??= this.folderId;
+    if ( submitData.folder ) {
+      submitData.folder.id ??= this.folderId;
+      const permission = submitData.folder.permission;
+      if ( permission ) {
+        permission.view = Number(permission.view);
+        permission.edit = Math.max(Number(permission.edit), permission.view);
+      }
+    }
     this.#validateData(submitData);
     return submitData;
   }
@@ -168,3 +201,16 @@ export class TMFolderConfig extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 }
 
+/**
+ * User roles from a minimum role up to gamemaster, for a select input.
+ * @param {number} minRole      One of CONST.USER_ROLES
+ * @returns {object} Localized role names keyed by role
+ */
+function roleChoices(minRole) {
+  const choices = {};
+  for ( const [key, role] of Object.entries(CONST.USER_ROLES) ) {
+    if ( role < minRole ) continue;
+    choices[role] = game.i18n.localize(`USER.Role${key.titleCase()}`);
+  }
+  return choices;
+}
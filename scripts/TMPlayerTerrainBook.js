@@ -0,0 +1,183 @@
+/* globals
+CONFIG,
+CONST,
+foundry,
+game,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS, FA_ICONS, TEMPLATES } from "./const.js";
+import { SetTerrainRegionBehaviorType } from "./regions/SetTerrainRegionBehaviorType.js";
+
+// Read-only list of terrains, with descriptions and effect summaries, for players.
+// Never lists where a terrain is used; terrains on secret Set Terrain behaviors are omitted entirely.
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class TMPlayerTerrainBook extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-player-terrain-book`,
+    classes: ["sheet"],
+    window: {
+      title: `${MODULE_ID}.player-book.title`,
+      contentClasses: ["standard-form"],
+      icon: FA_ICONS.TERRAIN_BOOK,
+      resizable: true,
+    },
+    position: {
+      width: 480,
+      height: 600,
+    },
+  };
+
+  static PARTS = {
+    body: {
+      template: TEMPLATES.PLAYER_TERRAIN_BOOK,
+      scrollable: [".terrainmapper-player-book-list"],
+    },
+  };
+
+  /**
+   * @param {HandlebarsRenderOptions} options
+   * @returns {Promise<object>} The context object.
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const terrains = this.constructor.visibleTerrains()
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const entries = [];
+    for ( const terrain of terrains ) entries.push(await this.constructor._entryData(terrain));
+    Object.assign(context, { entries, isEmpty: !entries.length });
+    return context;
+  }
+
+  /**
+   * Filter entries by name as the user types.
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @returns {Promise<void>}
+   */
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    new foundry.applications.ux.SearchFilter({
+      inputSelector: "search input",
+      contentSelector: ".terrainmapper-player-book-list",
+      callback: this.#onSearchFilter.bind(this),
+    }).bind(this.element);
+  }
+
+  /**
+   * @param {KeyboardEvent} event   The key-up event from keyboard input
+   * @param {string} query          The raw string input to the search field
+   * @param {RegExp} rgx            The regular expression to test against
+   * @param {HTMLElement} html      The HTML element which should be filtered
+   */
+  #onSearchFilter(_event, query, rgx, html) {
+    const SearchFilter = foundry.applications.ux.SearchFilter;
+    for ( const li of html.querySelectorAll(".terrainmapper-player-book-entry") ) {
+      li.style.display = (!query || rgx.test(SearchFilter.cleanQuery(li.dataset.entryName))) ? "" : "none";
+    }
+  }
+
+  /**
+   * Terrains the current user may look up.
+   * Excludes terrains used by a secret Set Terrain behavior and terrains found only in folders the user cannot view.
+   * @param {User} [user]
+   * @returns {Terrain[]}
+   */
+  static visibleTerrains(user = game.user) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const secretIds = SetTerrainRegionBehaviorType.secretTerrainIds();
+    const folders = Terrain.folders;
+    return [...Terrain._instances.values()].filter(terrain => {
+      if ( secretIds.has(terrain.uniqueEffectId) ) return false;
+      const terrainFolders = [...Terrain.findFoldersForEffect(terrain.uniqueEffectId)];
+      if ( !terrainFolders.length ) return true;
+      return terrainFolders.some(folder => Terrain.canViewFolder(folder.id, user, folders));
+    });
+  }
+
+  /**
+   * Description and effect summary of a terrain.
+   * @param {Terrain} terrain
+   * @returns {Promise<object>}
+   */
+  static async _entryData(terrain) {
+    const doc = terrain.document;
+    const rawDescription = (doc instanceof foundry.documents.Item ? doc.system?.description?.value : doc?.description) ?? "";
+    const description = rawDescription
+      ? await foundry.applications.ux.TextEditor.implementation.enrichHTML(rawDescription, { secrets: false })
+      : "";
+    return {
+      id: terrain.uniqueEffectId,
+      name: terrain.name,
+      img: terrain.img,
+      description,
+      changes: this._changesSummary(doc),
+      movement: this._movementSummary(terrain),
+      exitDuration: this._exitDurationSummary(terrain),
+      hazard: this._hazardSummary(terrain)
+    };
+  }
+
+  /**
+   * Active effect changes of the terrain document, or of the effects on a terrain item.
+   * @param {Document} doc
+   * @returns {string[]}
+   */
+  static _changesSummary(doc) {
+    if ( !doc ) return [];
+    const changes = doc instanceof foundry.documents.Item
+      ? [...doc.effects].flatMap(effect => effect.changes)
+      : (doc.changes ?? []);
+    const modeNames = Object.fromEntries(Object.entries(CONST.ACTIVE_EFFECT_MODES).map(([key, value]) => [value, key]));
+    return changes.filter(change => change.key).map(change => {
+      const mode = game.i18n.localize(`EFFECT.MODE_${modeNames[change.mode] ?? "CUSTOM"}`);
+      return `${change.key} (${mode}) ${change.value}`;
+    });
+  }
+
+  /**
+   * Movement actions for which the terrain changes movement cost.
+   * @param {Terrain} terrain
+   * @returns {string[]}
+   */
+  static _movementSummary(terrain) {
+    if ( !terrain.hasMovementCost ) return [];
+    const costs = terrain.getInheritedFlag(FLAGS.TERRAIN.MOVEMENT_COST) ?? {};
+    return Object.keys(costs)
+      .filter(action => terrain.movementDifficulty(action) !== 1)
+      .map(action => {
+        const { multiplier, surcharge } = terrain.movementCost(action);
+        const label = game.i18n.localize(CONFIG.Token.movement.actions[action]?.label ?? action);
+        return game.i18n.format(`${MODULE_ID}.player-book.movement-cost`, { action: label, multiplier, surcharge });
+      });
+  }
+
+  /**
+   * @param {Terrain} terrain
+   * @returns {string}
+   */
+  static _exitDurationSummary(terrain) {
+    const duration = terrain.exitDuration;
+    if ( !duration ) return "";
+    const units = game.i18n.localize(FLAGS.TERRAIN.EXIT_DURATION_UNITS.LABELS[duration.units]);
+    return game.i18n.format(`${MODULE_ID}.player-book.exit-duration`, { value: duration.value, units });
+  }
+
+  /**
+   * Only the hazard's trigger and type; formulas, save DCs, and macros are left to the GM.
+   * @param {Terrain} terrain
+   * @returns {string}
+   */
+  static _hazardSummary(terrain) {
+    const hazard = terrain.hazard;
+    if ( !hazard ) return "";
+    const { TRIGGERS, TYPES } = FLAGS.TERRAIN.HAZARD;
+    return game.i18n.format(`${MODULE_ID}.player-book.hazard`, {
+      trigger: game.i18n.localize(TRIGGERS.LABELS[hazard.trigger]),
+      type: game.i18n.localize(TYPES.LABELS[hazard.type])
+    });
+  }
+}
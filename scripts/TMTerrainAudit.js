@@ -0,0 +1,120 @@
+/* globals
+CONFIG,
+foundry,
+game,
+ui,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { TerrainAudit } from "./TerrainAudit.js";
+
+// List dangling terrain references across the world and offer one-click repairs.
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class TMTerrainAudit extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /** @type {TerrainAuditReport} */
+  #report;
+
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-terrain-audit`,
+    classes: ["sheet"],
+    tag: "form",
+    window: {
+      title: `${MODULE_ID}.audit.title`,
+      contentClasses: ["standard-form"],
+      icon: "fa-solid fa-stethoscope",
+      resizable: true,
+    },
+    position: {
+      width: 560,
+      height: "auto",
+    },
+    actions: {
+      rescan: TMTerrainAudit.#onRescan,
+      remap: TMTerrainAudit.#onRemap,
+      recreate: TMTerrainAudit.#onRecreate,
+      strip: TMTerrainAudit.#onStrip,
+      stripDuplicates: TMTerrainAudit.#onStripDuplicates,
+    },
+  };
+
+  static PARTS = {
+    body: {
+      template: `modules/${MODULE_ID}/templates/terrain-audit.html`,
+      scrollable: [""],
+    },
+  };
+
+  /**
+   * @param {HandlebarsRenderOptions} options
+   * @returns {Promise<object>} The context object.
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    this.#report ??= TerrainAudit.scan();
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const terrainChoices = {};
+    [...Terrain._instances.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(t => terrainChoices[t.uniqueEffectId] = t.name);
+
+    const dangling = [...TerrainAudit.danglingIds(this.#report).entries()].map(([terrainId, counts]) => {
+      return { terrainId, ...counts, canRecreate: counts.recreatable > 0 };
+    });
+    Object.assign(context, {
+      report: this.#report,
+      dangling,
+      terrainChoices,
+      isClean: !dangling.length && !this.#report.duplicates.length
+    });
+    return context;
+  }
+
+  /**
+   * Run a repair, then rescan and rerender.
+   * @param {function} fn     Async repair function
+   */
+  async #repair(fn) {
+    await fn();
+    this.#report = TerrainAudit.scan();
+    ui.notifications.info(`${MODULE_ID}.audit.repaired`, { localize: true });
+    this.render();
+  }
+
+  static #onRescan(_event, _target) {
+    this.#report = TerrainAudit.scan();
+    this.render();
+  }
+
+  static async #onRemap(_event, target) {
+    const terrainId = target.dataset.terrainId;
+    const select = this.element.querySelector(`select[data-remap="${terrainId}"]`);
+    const newTerrainId = select?.value;
+    if ( !newTerrainId ) {
+      ui.notifications.warn(`${MODULE_ID}.audit.choose-terrain`, { localize: true });
+      return;
+    }
+    return this.#repair(() => TerrainAudit.remap(terrainId, newTerrainId));
+  }
+
+  static async #onRecreate(_event, target) {
+    return this.#repair(() => TerrainAudit.recreate(target.dataset.terrainId));
+  }
+
+  static async #onStrip(_event, target) {
+    const proceed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize(`${MODULE_ID}.audit.strip`) },
+      content: `<p>${game.i18n.localize(`${MODULE_ID}.audit.strip-confirm`)}</p>`,
+      rejectClose: false
+    });
+    if ( !proceed ) return;
+    return this.#repair(() => TerrainAudit.strip(target.dataset.terrainId));
+  }
+
+  static async #onStripDuplicates(_event, target) {
+    return this.#repair(() => TerrainAudit.stripDuplicates(target.dataset.terrainId));
+  }
+}
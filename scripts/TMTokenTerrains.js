@@ -0,0 +1,176 @@
+/* globals
+CONFIG,
+foundry,
+fromUuidSync,
+game,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, TEMPLATES, FA_ICONS } from "./const.js";
+
+// List the terrains on a token and where each came from.
+// GMs can suppress, re-add, or pin terrains, and resync the token with the regions it occupies.
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class TMTokenTerrains extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /**
+   * @param {object} options
+   * @param {Token} options.token     The token to list
+   */
+  constructor(options = {}) {
+    super(options);
+    this.token = options.token;
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ["sheet"],
+    window: {
+      contentClasses: ["standard-form"],
+      icon: FA_ICONS.TOKEN_TERRAINS,
+      resizable: true,
+    },
+    position: {
+      width: 420,
+      height: "auto",
+    },
+    actions: {
+      refresh: TMTokenTerrains.#onRefresh,
+      suppress: TMTokenTerrains.#onSuppress,
+      restore: TMTokenTerrains.#onRestore,
+      pin: TMTokenTerrains.#onPin,
+      sync: TMTokenTerrains.#onSync,
+    },
+  };
+
+  static PARTS = {
+    body: {
+      template: TEMPLATES.TOKEN_TERRAINS,
+      scrollable: [""],
+    },
+  };
+
+  /** @override */
+  get id() { return `${MODULE_ID}-token-terrains-${this.token.document.id}`; }
+
+  /** @override */
+  get title() { return game.i18n.format(`${MODULE_ID}.token-terrains.title`, { name: this.token.name }); }
+
+  /**
+   * @param {HandlebarsRenderOptions} options
+   * @returns {Promise<object>} The context object.
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const token = this.token;
+    const isGM = game.user.isGM;
+    const pinned = Terrain.pinnedIds(token);
+    const suppressed = Terrain.suppressedIds(token);
+
+    // One entry per terrain, listing the source of each copy on the token.
+    const entries = new Map();
+    for ( const terrain of token.getAllTerrains() ) {
+      if ( entries.has(terrain.uniqueEffectId) ) continue;
+      const sources = Terrain.tokenDocumentsForUniqueEffects(token, [terrain])
+        .map(doc => this.constructor._sourceData(doc));
+      if ( !isGM && sources.every(source => source.secret) ) continue;
+      entries.set(terrain.uniqueEffectId, {
+        id: terrain.uniqueEffectId,
+        name: terrain.name,
+        img: terrain.img,
+        sources: isGM ? sources : sources.filter(source => !source.secret),
+        pinned: pinned.has(terrain.uniqueEffectId)
+      });
+    }
+
+    const suppressedEntries = [...suppressed]
+      .map(id => Terrain._instances.get(id))
+      .filter(terrain => Boolean(terrain))
+      .map(terrain => ({ id: terrain.uniqueEffectId, name: terrain.name, img: terrain.img }));
+
+    Object.assign(context, {
+      isGM,
+      terrains: [...entries.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      suppressed: isGM ? suppressedEntries : [],
+      isEmpty: !entries.size && !(isGM && suppressedEntries.length)
+    });
+    return context;
+  }
+
+  /**
+   * Describe where a token copy of a terrain came from.
+   * @param {Document|object} doc     Token copy of the terrain
+   * @returns {object}
+   *  - @prop {string} label        Region name, or a note that the terrain was added directly
+   *  - @prop {boolean} secret      True if the source is a secret Set Terrain behavior
+   *  - @prop {boolean} lingering   True if the copy is lingering after the token left the region
+   */
+  static _sourceData(doc) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const lingering = Boolean(Terrain.lingerExpiryForCopy(doc));
+    const behavior = behaviorFromOrigin(Terrain.tokenDocumentOrigin(doc));
+    if ( !behavior ) return { label: game.i18n.localize(`${MODULE_ID}.token-terrains.direct`), secret: false, lingering };
+    return {
+      label: behavior.parent?.name ?? behavior.name,
+      secret: Boolean(behavior.system?.secret),
+      lingering
+    };
+  }
+
+  /**
+   * @param {HTMLElement} target
+   * @returns {Terrain|undefined}
+   */
+  static _terrainForTarget(target) {
+    return CONFIG[MODULE_ID].Terrain._instances.get(target.closest("[data-terrain-id]")?.dataset.terrainId);
+  }
+
+  static #onRefresh(_event, _target) { this.render(); }
+
+  static async #onSuppress(_event, target) {
+    const terrain = this.constructor._terrainForTarget(target);
+    if ( !terrain || !game.user.isGM ) return;
+    await terrain.suppressOnToken(this.token);
+    this.render();
+  }
+
+  static async #onRestore(_event, target) {
+    const terrain = this.constructor._terrainForTarget(target);
+    if ( !terrain || !game.user.isGM ) return;
+    await terrain.restoreOnToken(this.token);
+    this.render();
+  }
+
+  static async #onPin(_event, target) {
+    const terrain = this.constructor._terrainForTarget(target);
+    if ( !terrain || !game.user.isGM ) return;
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    await terrain.pinOnToken(this.token, !Terrain.pinnedIds(this.token).has(terrain.uniqueEffectId));
+    this.render();
+  }
+
+  static async #onSync(_event, _target) {
+    if ( !game.user.isGM ) return;
+    await CONFIG[MODULE_ID].Terrain.syncTokenToRegions(this.token);
+    this.render();
+  }
+}
+
+/**
+ * Locate the region behavior that added a terrain copy, if any.
+ * Copies added directly have the terrain storage id or no origin at all.
+ * @param {string} [origin]
+ * @returns {RegionBehavior|undefined}
+ */
+function behaviorFromOrigin(origin) {
+  if ( !origin ) return;
+  let doc;
+  try {
+    doc = fromUuidSync(origin, { strict: false });
+  } catch ( _err ) {
+    return;
+  }
+  if ( doc?.documentName === "RegionBehavior" ) return doc;
+}
@@ -0,0 +1,367 @@
+/* globals
+CONFIG,
+foundry,
+fromUuid,
+game,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { log } from "./util.js";
+import { updateDocument, updateEmbeddedDocuments, deleteEmbeddedDocuments } from "./unique_effects/documents.js";
+
+/**
+ * Find and repair terrain references that no longer resolve.
+ * Scans Set Terrain region behaviors in every scene, terrain copies on every actor and token, and the Terrain Book.
+ */
+export class TerrainAudit {
+
+  /**
+   * @typedef {object} TerrainAuditReport
+   * @property {object[]} regions       { terrainId, behaviorUuid, sceneName, regionName }
+   * @property {object[]} tokenEffects  { terrainId, name, actorUuid, actorName, documentName, documentId }
+   *   Flag copies, used with flag storage, have { terrainId, name, tokenUuid, tokenName, documentName: "Token" }
+   * @property {object[]} book          { terrainId, kind, containerId, containerName } where kind is "folder" or "group"
+   * @property {object[]} duplicates    { terrainId, name, documentUuids }
+   */
+
+  /**
+   * Scan the world for dangling terrain ids, orphaned token copies, and duplicate terrain ids.
+   * @returns {TerrainAuditReport}
+   */
+  static scan() {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const exists = id => Terrain._instances.has(id);
+    const report = { regions: [], tokenEffects: [], book: [], duplicates: [] };
+
+    // Region behaviors.
+    for ( const behavior of this._setTerrainBehaviors() ) {
+      for ( const terrainId of behavior.system.terrains ) {
+        if ( exists(terrainId) ) continue;
+        report.regions.push({
+          terrainId,
+          behaviorUuid: behavior.uuid,
+          sceneName: behavior.parent.parent.name,
+          regionName: behavior.parent.name
+        });
+      }
+    }
+
+    // Token copies.
+    for ( const actor of Terrain._actorsWithTokenCopies() ) {
+      for ( const doc of [...actor.effects, ...actor.items] ) {
+        if ( doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.TYPE) !== Terrain.type ) continue;
+        const terrainId = doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID);
+        if ( !terrainId || exists(terrainId) ) continue;
+        report.tokenEffects.push({
+          terrainId,
+          name: doc.name,
+          actorUuid: actor.uuid,
+          actorName: actor.name,
+          documentName: doc.documentName,
+          documentId: doc.id
+        });
+      }
+    }
+
+    // Flag copies on tokens, keyed by terrain id.
+    for ( const tokenD of this._tokenDocuments() ) {
+      for ( const terrainId of this._flagCopyIds(tokenD) ) {
+        if ( exists(terrainId) ) continue;
+        report.tokenEffects.push({
+          terrainId,
+          name: "",
+          tokenUuid: tokenD.uuid,
+          tokenName: tokenD.name,
+          documentName: "Token"
+        });
+      }
+    }
+
+    // Terrain Book folders and exclusive groups.
+    for ( const folder of Terrain.folders.values() ) {
+      for ( const terrainId of folder.effects ) {
+        if ( !exists(terrainId) ) report.book.push({ terrainId, kind: "folder", containerId: folder.id, containerName: folder.name });
+      }
+    }
+    for ( const group of Terrain.exclusiveGroups ) {
+      for ( const terrainId of group.effects ) {
+        if ( !exists(terrainId) ) report.book.push({ terrainId, kind: "group", containerId: group.id, containerName: group.name });
+      }
+    }
+
+    // Stored terrains sharing an id. Only the first is used; the rest are unreachable.
+    const storedById = Map.groupBy(Terrain.storageDocuments, doc => doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID));
+    for ( const [terrainId, docs] of storedById.entries() ) {
+      if ( !terrainId || docs.length < 2 ) continue;
+      report.duplicates.push({ terrainId, name: docs[0].name, documentUuids: docs.map(doc => doc.uuid) });
+    }
+
+    log("TerrainAudit|scan", report);
+    return report;
+  }
+
+  /**
+   * Ids that are referenced but missing, with the copies from which each could be recreated.
+   * @param {TerrainAuditReport} report
+   * Flag copies hold no terrain data, so they cannot be used to recreate the terrain.
+   * @returns {Map<string, object>} terrainId -> { name, regions, tokenEffects, recreatable, book }
+   */
+  static danglingIds(report) {
+    const out = new Map();
+    const entry = terrainId => {
+      if ( !out.has(terrainId) ) out.set(terrainId, { name: "", regions: 0, tokenEffects: 0, recreatable: 0, book: 0 });
+      return out.get(terrainId);
+    };
+    report.regions.forEach(r => entry(r.terrainId).regions += 1);
+    report.tokenEffects.forEach(t => {
+      const e = entry(t.terrainId);
+      e.tokenEffects += 1;
+      if ( t.documentName !== "Token" ) e.recreatable += 1;
+      e.name ||= t.name;
+    });
+    report.book.forEach(b => entry(b.terrainId).book += 1);
+    return out;
+  }
+
+  /**
+   * @typedef {object} TerrainUsage
+   * @property {object[]} regions   { sceneId, sceneName, regionId, regionName, behaviorId, behaviorName }
+   * @property {object[]} tokens    { sceneId, sceneName, tokenId, tokenName }
+   */
+
+  /**
+   * Every region behavior that references a terrain, and every placed token currently carrying it.
+   * @param {string} terrainId
+   * @returns {TerrainUsage}
+   */
+  static usage(terrainId) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const terrain = Terrain._instances.get(terrainId);
+    const usage = { regions: [], tokens: [] };
+    for ( const behavior of this._setTerrainBehaviors() ) {
+      if ( !behavior.system.terrains.has(terrainId) ) continue;
+      const region = behavior.parent;
+      const scene = region.parent;
+      usage.regions.push({
+        sceneId: scene.id,
+        sceneName: scene.name,
+        regionId: region.id,
+        regionName: region.name,
+        behaviorId: behavior.id,
+        behaviorName: behavior.name || game.i18n.localize(`TYPES.RegionBehavior.${behavior.type}`)
+      });
+    }
+    if ( !terrain ) return usage;
+    for ( const scene of game.scenes ) {
+      for ( const tokenD of scene.tokens ) {
+        // Tokens in scenes not on the canvas have no placeable; the storage only needs the document and actor.
+        const token = tokenD.object ?? { document: tokenD, actor: tokenD.actor };
+        if ( !terrain.isOnToken(token) ) continue;
+        usage.tokens.push({ sceneId: scene.id, sceneName: scene.name, tokenId: tokenD.id, tokenName: tokenD.name });
+      }
+    }
+    return usage;
+  }
+
+  // ----- NOTE: Repairs ----- //
+
+  /**
+   * Point every reference to a missing terrain at another terrain instead.
+   * Token copies are converted to copies of the new terrain.
+   * @param {string} terrainId      The missing terrain id
+   * @param {string} newTerrainId   An existing terrain id
+   */
+  static async remap(terrainId, newTerrainId) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const newTerrain = Terrain._instances.get(newTerrainId);
+    if ( !newTerrain ) return;
+
+    await this._updateRegionReferences(terrainId, newTerrainId);
+    await this._updateBookReferences(terrainId, newTerrainId);
+
+    // Convert token copies, keeping their per-copy data.
+    const copyData = newTerrain.tokenCopyData() ?? {};
+    await this._forEachOrphanedCopy(terrainId, async (actorUuid, documentName, docs) => {
+      const updates = docs.map(doc => {
+        const update = { ...foundry.utils.deepClone(copyData), _id: doc.id };
+        if ( documentName !== "ActiveEffect" ) delete update.changes;
+        return update;
+      });
+      await updateEmbeddedDocuments(actorUuid, documentName, updates);
+    });
+
+    // Move flag copies to the new id, keeping their value (e.g., "local").
+    await this._forEachOrphanedFlagCopy(terrainId, async (tokenD, value) => {
+      await updateDocument(tokenD.uuid, {
+        ...this._flagCopyRemoval(tokenD, terrainId),
+        [`flags.${MODULE_ID}.${newTerrainId}`]: value
+      });
+    });
+  }
+
+  /**
+   * Recreate a missing terrain in the Terrain Book from one of its token copies.
+   * @param {string} terrainId
+   * @returns {Terrain|undefined}
+   */
+  static async recreate(terrainId) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    if ( Terrain._instances.has(terrainId) ) return Terrain._instances.get(terrainId);
+    const entry = this.scan().tokenEffects.find(t => t.terrainId === terrainId && t.documentName !== "Token");
+    if ( !entry ) return;
+    const actor = await fromUuid(entry.actorUuid);
+    const collection = entry.documentName === "ActiveEffect" ? actor?.effects : actor?.items;
+    const doc = collection?.get(entry.documentId);
+    if ( !doc ) return;
+
+    const data = doc.toObject();
+    for ( const key of ["_id", "_stats", "origin", "duration", "statuses"] ) delete data[key];
+    const moduleFlags = data.flags[MODULE_ID];
+    for ( const key of Terrain.TOKEN_COPY_FLAGS ) delete moduleFlags[key];
+    moduleFlags[FLAGS.UNIQUE_EFFECT.ID] = terrainId;
+    await Terrain._createNewDocument(data);
+    return Terrain.create(terrainId);
+  }
+
+  /**
+   * Remove every reference to a missing terrain: region behaviors, token copies, and the Terrain Book.
+   * @param {string} terrainId
+   */
+  static async strip(terrainId) {
+    await this._updateRegionReferences(terrainId);
+    await this._updateBookReferences(terrainId);
+    await this._forEachOrphanedCopy(terrainId, async (actorUuid, documentName, docs) => {
+      await deleteEmbeddedDocuments(actorUuid, documentName, docs.map(doc => doc.id));
+    });
+    await this._forEachOrphanedFlagCopy(terrainId, async tokenD => {
+      await updateDocument(tokenD.uuid, this._flagCopyRemoval(tokenD, terrainId));
+    });
+  }
+
+  /**
+   * Delete all but the first stored terrain that share an id.
+   * @param {string} terrainId
+   */
+  static async stripDuplicates(terrainId) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const docs = Terrain.storageDocuments.filter(doc => doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID) === terrainId);
+    for ( const doc of docs.slice(1) ) await doc.delete();
+  }
+
+  // ----- NOTE: Helper methods ----- //
+
+  /**
+   * All Set Terrain behaviors in every scene.
+   * @returns {RegionBehavior[]}
+   */
+  static _setTerrainBehaviors() {
+    const behaviors = [];
+    for ( const scene of game.scenes ) {
+      for ( const region of scene.regions ) {
+        for ( const behavior of region.behaviors ) {
+          if ( behavior.type === `${MODULE_ID}.setTerrain` ) behaviors.push(behavior);
+        }
+      }
+    }
+    return behaviors;
+  }
+
+  /**
+   * Replace or remove a terrain id in every Set Terrain behavior.
+   * @param {string} terrainId
+   * @param {string} [newTerrainId]   If not provided, the id is removed
+   */
+  static async _updateRegionReferences(terrainId, newTerrainId) {
+    for ( const behavior of this._setTerrainBehaviors() ) {
+      if ( !behavior.system.terrains.has(terrainId) ) continue;
+      const terrains = new Set(behavior.system.terrains);
+      terrains.delete(terrainId);
+      if ( newTerrainId ) terrains.add(newTerrainId);
+      await behavior.update({ "system.terrains": [...terrains] });
+    }
+  }
+
+  /**
+   * Replace or remove a terrain id in the Terrain Book folders and exclusive groups.
+   * @param {string} terrainId
+   * @param {string} [newTerrainId]   If not provided, the id is removed
+   */
+  static async _updateBookReferences(terrainId, newTerrainId) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const replace = effects => {
+      const out = effects.map(id => id === terrainId ? newTerrainId : id).filter(Boolean);
+      return [...new Set(out)];
+    };
+
+    const folders = Terrain.folders;
+    if ( folders.values().some(folder => folder.effects.includes(terrainId)) ) {
+      folders.forEach(folder => folder.effects = replace(folder.effects));
+      await Terrain.setFolders(folders);
+    }
+
+    const groups = Terrain.exclusiveGroups;
+    if ( groups.some(group => group.effects.includes(terrainId)) ) {
+      await Terrain.setExclusiveGroups(groups.map(group => ({ ...group, effects: replace(group.effects) })));
+    }
+  }
+
+  /**
+   * Call a function for each actor's orphaned copies of a terrain, grouped by embedded document type.
+   * @param {string} terrainId
+   * @param {function} fn     async (actorUuid, documentName, docs) => {}
+   */
+  static async _forEachOrphanedCopy(terrainId, fn) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    for ( const actor of Terrain._actorsWithTokenCopies() ) {
+      for ( const [documentName, collection] of [["ActiveEffect", actor.effects], ["Item", actor.items]] ) {
+        const docs = collection.filter(doc => doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID) === terrainId);
+        if ( docs.length ) await fn(actor.uuid, documentName, docs);
+      }
+    }
+  }
+
+  /**
+   * Token documents in every scene.
+   * @returns {TokenDocument[]}
+   */
+  static _tokenDocuments() { return game.scenes.contents.flatMap(scene => scene.tokens.contents); }
+
+  /**
+   * Terrain ids of the flag copies on a token. Flag storage marks each terrain on the token with a flag
+   * keyed by the terrain id.
+   * @param {TokenDocument} tokenD
+   * @returns {string[]}
+   */
+  static _flagCopyIds(tokenD) {
+    const prefix = `${CONFIG[MODULE_ID].Terrain.type}_`;
+    return Object.keys(tokenD.flags?.[MODULE_ID] ?? {}).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Update that removes a flag copy from a token, along with its lingering expiry, if any.
+   * @param {TokenDocument} tokenD
+   * @param {string} terrainId
+   * @returns {object}
+   */
+  static _flagCopyRemoval(tokenD, terrainId) {
+    const update = { [`flags.${MODULE_ID}.-=${terrainId}`]: null };
+    const lingering = tokenD.getFlag(MODULE_ID, FLAGS.TOKEN.LINGERING_TERRAINS);
+    if ( lingering && Object.hasOwn(lingering, terrainId) ) {
+      update[`flags.${MODULE_ID}.${FLAGS.TOKEN.LINGERING_TERRAINS}.-=${terrainId}`] = null;
+    }
+    return update;
+  }
+
+  /**
+   * Call a function for each token with an orphaned flag copy of a terrain.
+   * @param {string} terrainId
+   * @param {function} fn     async (tokenD, value) => {}
+   */
+  static async _forEachOrphanedFlagCopy(terrainId, fn) {
+    for ( const tokenD of this._tokenDocuments() ) {
+      if ( this._flagCopyIds(tokenD).includes(terrainId) ) await fn(tokenD, tokenD.flags[MODULE_ID][terrainId]);
+    }
+  }
+}
@@ -1,4 +1,5 @@
 /* globals
+canvas,
 foundry,
 game,
 ui,
@@ -6,7 +7,7 @@ ui,
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID, FA_ICONS } from "./const.js";
+import { MODULE_ID, FA_ICONS, TEMPLATES } from "./const.js";
 import { TerrainEffectsControllerV2 } from "./TerrainEffectsControllerV2.js";
 import { Settings } from "./settings.js";
 
@@ -39,6 +40,9 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
 
   static tabName = MODULE_ID;
 
+  /** @type {string|undefined} Terrain whose usage is shown in the usage panel. */
+  selectedTerrainId;
+
   static DEFAULT_OPTIONS = {
     classes: ["directory", "flexcol"],
     window: {
@@ -72,6 +76,16 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
       collapseFolders: TerrainEffectsAppV2.#onCollapseFolders,
       toggleFolder: TerrainEffectsAppV2.#onToggleFolder,
       resetDefaults: TerrainEffectsAppV2.#onResetDefaults,
+      configureExclusiveGroups: TerrainEffectsAppV2.#onConfigureExclusiveGroups,
+      auditTerrains: TerrainEffectsAppV2.#onAuditTerrains,
+      exportToCompendium: TerrainEffectsAppV2.#onExportToCompendium,
+      importFromCompendium: TerrainEffectsAppV2.#onImportFromCompendium,
+      activateEntry: TerrainEffectsAppV2.#onActivateEntry,
+      closeUsage: TerrainEffectsAppV2.#onCloseUsage,
+      refresh: TerrainEffectsAppV2.#onRefreshUsage,
+      viewScene: TerrainEffectsAppV2.#onViewScene,
+      panToRegion: TerrainEffectsAppV2.#onPanToRegion,
+      panToToken: TerrainEffectsAppV2.#onPanToToken,
     },
   };
 
@@ -79,6 +93,8 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
 
   static _folderPartial = `modules/${MODULE_ID}/templates/terrain-effects-menu-app-folder-partial.html`;
 
+  static _usagePartial = TEMPLATES.TERRAIN_USAGE;
+
   static PARTS = {
     header: {
       template: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-header.html`,
@@ -91,6 +107,11 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
       ],
       scrollable: [""],
     },
+    usage: {
+      template: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-usage.html`,
+      templates: [this._usagePartial],
+      scrollable: [""],
+    },
   };
 
   /**
@@ -139,9 +160,9 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
           drop: this._controller.canDragDrop,
         },
         callbacks: {
-          dragstart: this._controller.onDragStart,
-          dragover: this._controller.onDragOver,
-          drop: this._controller.onEffectDrop,
+          dragstart: this._controller.onDragStart.bind(this._controller),
+          dragover: this._controller.onDragOver.bind(this._controller),
+          drop: this._controller.onEffectDrop.bind(this._controller),
         },
       }).bind(this.element);
     }
@@ -153,6 +174,11 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
          if ( folderHTML ) folderHTML.classList.add("expanded");
        });
     }
+
+    // Mark the terrain shown in the usage panel.
+    for ( const entry of this.element.querySelectorAll(".directory-item[data-entry-id]") ) {
+      entry.classList.toggle("active", entry.dataset.entryId === this.selectedTerrainId);
+    }
   }
 
   _createContextMenus() {
@@ -227,6 +253,24 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
           return this._controller.onDuplicateTerrain(effectId);
         }
       },
+      {
+        name: `${MODULE_ID}.terrainbook.create-variant`,
+        icon: '<i class="fas fa-code-branch fa-fw"></i>',
+        condition: () => game.user.isGM,
+        callback: async li => {
+          const effectId = this.#effectIdFromElement(li);
+          return this._controller.onCreateVariant(effectId);
+        }
+      },
+      {
+        name: `${MODULE_ID}.usage.where-used`,
+        icon: '<i class="fas fa-magnifying-glass-location fa-fw"></i>',
+        condition: () => game.user.isGM,
+        callback: async li => {
+          const effectId = this.#effectIdFromElement(li);
+          return this._controller.onShowUsage(effectId);
+        }
+      },
       {
         name: `${MODULE_ID}.terrainbook.add-favorite`,
         icon: '<i class="fas fa-star fa-fw"></i>',
@@ -314,6 +358,7 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
     switch ( partId ) {
       case "directory": this._controller.directoryData(context); break;
       case "header": this._controller.headerData(context); break;
+      case "usage": this._controller.usageData(context); break;
     }
     return context;
   }
@@ -367,6 +412,15 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
     if ( this.isPopout ) this.setPosition();
   }
 
+  /**
+   * Show where a terrain is used in the usage panel, or close the panel if no terrain is given.
+   * @param {string} [terrainId]
+   */
+  async selectTerrain(terrainId) {
+    this.selectedTerrainId = terrainId;
+    await this.render({ parts: ["usage"] });
+  }
+
   static async #onCreateEffect(event, _target) {
     event.stopPropagation();
     return this._controller.onCreateTerrain();
@@ -402,4 +456,87 @@ export class TerrainEffectsAppV2 extends foundry.applications.api.HandlebarsAppl
     return this._controller.onCreateDefaults();
   }
 
+  static async #onConfigureExclusiveGroups(event, _target) {
+    event.stopPropagation();
+    return this._controller.onConfigureExclusiveGroups();
+  }
+
+  static async #onAuditTerrains(event, _target) {
+    event.stopPropagation();
+    return this._controller.onAuditTerrains();
+  }
+
+  static async #onExportToCompendium(event, _target) {
+    event.stopPropagation();
+    return this._controller.onExportToCompendium();
+  }
+
+  static async #onImportFromCompendium(event, _target) {
+    event.stopPropagation();
+    return this._controller.onImportFromCompendium();
+  }
+
+  static async #onActivateEntry(event, target) {
+    event.stopPropagation();
+    if ( !game.user.isGM ) return;
+    const effectId = this.#effectIdFromElement(target);
+    return this._controller.onShowUsage(effectId);
+  }
+
+  static async #onCloseUsage(event, _target) {
+    event.stopPropagation();
+    return this.selectTerrain();
+  }
+
+  static async #onRefreshUsage(event, _target) {
+    event.stopPropagation();
+    return this.render({ parts: ["usage"] });
+  }
+
+  static async #onViewScene(event, target) {
+    event.stopPropagation();
+    await viewScene(target.dataset.sceneId);
+  }
+
+  /**
+   * View the region's scene, pan to the region, and control it.
+   */
+  static async #onPanToRegion(event, target) {
+    event.stopPropagation();
+    if ( !(await viewScene(target.dataset.sceneId)) ) return;
+    const region = canvas.scene.regions.get(target.dataset.regionId)?.object;
+    if ( !region ) return;
+    canvas.regions.activate();
+    region.control({ releaseOthers: true });
+    await canvas.animatePan(region.bounds.center);
+  }
+
+  /**
+   * View the token's scene, pan to the token, and control it.
+   */
+  static async #onPanToToken(event, target) {
+    event.stopPropagation();
+    if ( !(await viewScene(target.dataset.sceneId)) ) return;
+    const token = canvas.scene.tokens.get(target.dataset.tokenId)?.object;
+    if ( !token ) return;
+    canvas.tokens.activate();
+    token.control({ releaseOthers: true });
+    await canvas.animatePan(token.center);
+  }
+
+}
+
+/**
+ * Switch the canvas to a scene, if not already viewed.
+ * @param {string} sceneId
+ * @returns {boolean} True if the scene is now viewed
+ */
+async function viewScene(sceneId) {
+  const scene = game.scenes.get(sceneId);
+  if ( !scene ) {
+    ui.notifications.warn(`${MODULE_ID}.usage.missing-scene`, { localize: true });
+    return false;
+  }
+  if ( !scene.isView ) await scene.view();
+  return canvas.scene?.id === sceneId;
 }
@@ -17,8 +17,11 @@ ui
 
 import { Settings } from "./settings.js";
 import { log } from "./util.js";
-import { MODULE_ID } from "./const.js";
+import { MODULE_ID, TEMPLATES, IMPORT_CONFLICT } from "./const.js";
 import { TMFolderConfig } from "./TMFolderConfig.js";
+import { TMExclusiveGroupsConfig } from "./TMExclusiveGroupsConfig.js";
+import { TMTerrainAudit } from "./TMTerrainAudit.js";
+import { TerrainAudit } from "./TerrainAudit.js";
 
 /**
  * Controller class to handle app events and manipulate underlying Foundry data.
@@ -40,8 +43,14 @@ export class TerrainEffectsControllerV2 {
     this.#viewMvc = viewMvc;
   }
 
+  /**
+   * Can the current user change this folder? The all-terrains and favorites folders cannot be changed.
+   * @param {string} folderId
+   * @returns {boolean}
+   */
   static canModifyFolder(folderId) {
-    return !(folderId === this.ALL_TERRAINS_FOLDER && folderId === this.FAVORITE_TERRAINS_FOLDER);
+    if ( !folderId || folderId === this.ALL_TERRAINS_FOLDER || folderId === this.FAVORITE_TERRAINS_FOLDER ) return false;
+    return CONFIG[MODULE_ID].Terrain.canEditFolder(folderId);
   }
 
   /**
@@ -56,6 +65,7 @@ export class TerrainEffectsControllerV2 {
    */
   headerData(context) {
     context.hasDefaults = Boolean(CONFIG[MODULE_ID].Terrain._resetDefaultEffects);
+    context.isGM = game.user.isGM;
     return context;
   }
 
@@ -64,7 +74,8 @@ export class TerrainEffectsControllerV2 {
    * @returns {Object} the data to pass to the template
    */
   directoryData(context) {
-    const terrains = [...CONFIG[MODULE_ID].Terrain._instances.values()];
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const terrains = [...Terrain._instances.values()];
     this._sortTerrains(terrains);
     const folderData = [];
 
@@ -75,6 +86,7 @@ export class TerrainEffectsControllerV2 {
         id: this.constructor.ALL_TERRAINS_FOLDER,
         color: "black",
       },
+      depth: 1,
       effects: terrains,
     });
 
@@ -85,16 +97,22 @@ export class TerrainEffectsControllerV2 {
         id: this.constructor.FAVORITE_TERRAINS_FOLDER,
         color: "green",
       },
+      depth: 1,
       effects: this._fetchFavorites(terrains),
     });
 
-    // User-defined folders
-    CONFIG[MODULE_ID].Terrain.folders.forEach(folder => {
-      folderData.push({
+    // User-defined folders, nested, skipping those the user cannot see.
+    const folders = Terrain.folders;
+    const folderTree = (parentId, depth) => Terrain.folderChildren(parentId, folders)
+      .filter(folder => Terrain.canViewFolder(folder.id, game.user, folders))
+      .map(folder => ({
         folder,
-        effects: folder.effects.map(id => CONFIG[MODULE_ID].Terrain._instances.get(id)),
-      });
-    });
+        depth,
+        draggable: Terrain.canEditFolder(folder.id, game.user, folders),
+        children: folderTree(folder.id, depth + 1),
+        effects: folder.effects.map(id => Terrain._instances.get(id)).filter(Boolean),
+      }));
+    folderData.push(...folderTree(null, 1));
 
     Object.assign(context, {
       folderData,
@@ -103,6 +121,25 @@ export class TerrainEffectsControllerV2 {
     });
   }
 
+  /**
+   * Configure and return data for the panel listing where the selected terrain is used.
+   * @returns {Object} the data to pass to the template
+   */
+  usageData(context) {
+    const terrain = CONFIG[MODULE_ID].Terrain._instances.get(this.#viewMvc.selectedTerrainId);
+    if ( !terrain || !game.user.isGM ) return context;
+    const usage = TerrainAudit.usage(terrain.uniqueEffectId);
+    Object.assign(context, {
+      ...usage,
+      terrainId: terrain.uniqueEffectId,
+      title: game.i18n.format(`${MODULE_ID}.usage.title`, { name: terrain.name }),
+      showActions: true,
+      isUnused: !usage.regions.length && !usage.tokens.length,
+      usagePartial: this.#viewMvc.constructor._usagePartial,
+    });
+    return context;
+  }
+
 
   _fetchFavorites(terrains) {
     log("TerrainEffectsController|_fetchFavorites");
@@ -138,10 +175,9 @@ export class TerrainEffectsControllerV2 {
   async onCreateTerrain(folderId) {
     log("TerrainEffectsController|onCreateTerrain", { folderId });
     const terrain = await CONFIG[MODULE_ID].Terrain.create();
-    if ( folderId && this.constructor.canModifyFolder(folderId) ) await Settings.addFolder({
-      id: folderId,
-      effects: [terrain.uniqueEffectId],
-    });
+    if ( this.constructor.canModifyFolder(folderId) ) {
+      await CONFIG[MODULE_ID].Terrain.addEffectToFolder(folderId, terrain.uniqueEffectId);
+    }
     if ( folderId === this.constructor.FAVORITE_TERRAINS_FOLDER ) await Settings.addToFavorites(terrain.uniqueEffectId);
     this.rerender();
     terrain.document.sheet.render(true);
@@ -227,6 +263,25 @@ export class TerrainEffectsControllerV2 {
     folderConfig.render({ force: true });
   }
 
+  async onConfigureExclusiveGroups() {
+    const groupsConfig = new TMExclusiveGroupsConfig();
+    groupsConfig.render({ force: true });
+  }
+
+  async onAuditTerrains() {
+    const audit = new TMTerrainAudit();
+    audit.render({ force: true });
+  }
+
+  /**
+   * Select a terrain to show where it is used in the usage panel.
+   * @param {string} effectId
+   */
+  async onShowUsage(effectId) {
+    log("TerrainEffectsController|onShowUsage", { effectId });
+    await this.#viewMvc.selectTerrain(effectId);
+  }
+
   async onDeleteFolder(folderId) {
     if ( !folderId ) return;
     await CONFIG[MODULE_ID].Terrain.deleteFolder(folderId);
@@ -264,9 +319,19 @@ export class TerrainEffectsControllerV2 {
     log("TerrainEffectsController|onDeleteEffectClick", { effectId });
     const confirmText = game.i18n.localize(`${MODULE_ID}.terrainbook.are-you-sure`);
     const descriptionText = game.i18n.localize(`${MODULE_ID}.terrainbook.remove-terrain-description`);
+    let content = `<h4>${confirmText}</h4><p>${descriptionText}</p>`;
+
+    // Warn with the list of places still using the terrain.
+    const usage = TerrainAudit.usage(effectId);
+    if ( usage.regions.length || usage.tokens.length ) {
+      const warning = game.i18n.format(`${MODULE_ID}.usage.delete-warning`,
+        { regions: usage.regions.length, tokens: usage.tokens.length });
+      content += `<p class="notification warning">${warning}</p>`;
+      content += await renderTemplate(TEMPLATES.TERRAIN_USAGE, { ...usage, showActions: false });
+    }
     const proceed = await foundry.applications.api.DialogV2.confirm({
       window: { title: game.i18n.localize(`${MODULE_ID}.terrainbook.delete-terrain`) },
-      content: `<h4>${confirmText}</h4><p>${descriptionText}`,
+      content,
       rejectClose: false,
       modal: true,
     });
@@ -275,6 +340,7 @@ export class TerrainEffectsControllerV2 {
     const terrain = CONFIG[MODULE_ID].Terrain._instances.get(effectId);
     await terrain.destroy(true);
     this.rerender();
+    if ( this.#viewMvc.selectedTerrainId === effectId ) await this.#viewMvc.selectTerrain();
   }
 
   /**
@@ -317,7 +383,7 @@ export class TerrainEffectsControllerV2 {
     const terrain = CONFIG[MODULE_ID].Terrain._instances.get(effectId);
     const res = await this.importFromJSONDialog();
     if ( !res || res.type === "error" || res === "cancel" ) return;
-    await terrain.fromJSON(res);
+    await terrain.importFromJSON(res);
     this.rerender();
   }
 
@@ -335,7 +401,8 @@ export class TerrainEffectsControllerV2 {
       system: game.system.id,
       coreVersion: game.version,
       systemVersion: game.system.version,
-      terrainMapperVersion: game.modules.get(MODULE_ID).version
+      terrainMapperVersion: game.modules.get(MODULE_ID).version,
+      schemaVersion: CONFIG[MODULE_ID].Terrain.JSON_SCHEMA_VERSION
     };
     const filename = `${MODULE_ID}_${terrain.name}`;
     saveDataToFile(JSON.stringify(data, null, 2), "text/json", `${filename}.json`);
@@ -352,6 +419,18 @@ export class TerrainEffectsControllerV2 {
     this.rerender();
   }
 
+  /**
+   * Create a new terrain that inherits from the chosen terrain.
+   * @param {string} effectId
+   */
+  async onCreateVariant(effectId) {
+    log("TerrainEffectsController|onCreateVariant", { effectId });
+    const terrain = CONFIG[MODULE_ID].Terrain._instances.get(effectId);
+    const variant = await terrain.createVariant();
+    this.rerender();
+    variant.document.sheet.render(true);
+  }
+
   // ----- NOTE: Drag / Drop ----- //
 
   canDragStart(_event) {
@@ -364,33 +443,95 @@ export class TerrainEffectsControllerV2 {
 
 
   /**
-   * Handles starting the drag for effect items
-   * For non-nested effects, populates the dataTransfer with Foundry's expected
-   * ActiveEffect type and data to make non-nested effects behave as core does
+   * Handles starting the drag for effect items and folders.
+   * For effects, populates the dataTransfer with Foundry's expected
+   * ActiveEffect type and data to make effects behave as core does.
+   * Also records the folder the effect is dragged from, so it can be moved between folders.
    * @param {DragEvent} event - event that corresponds to the drag start
    */
-  onDragStart(_event) {
-    log(`TerrainEffectsController|onEffectDragStart for ${event.target.dataset.entryName}`);
-    const terrain = CONFIG[MODULE_ID].Terrain._instances.get(event.target.dataset.entryId);
-    event.dataTransfer.setData(
-      "text/plain",
-      JSON.stringify(terrain.toDragData())
-    );
+  onDragStart(event) {
+    const li = event.target.closest(".directory-item");
+    const { entryId, folderId } = li.dataset;
+    if ( entryId ) {
+      log(`TerrainEffectsController|onEffectDragStart for ${li.dataset.entryName}`);
+      const terrain = CONFIG[MODULE_ID].Terrain._instances.get(entryId);
+      const data = terrain.toDragData();
+      data.sourceFolderId = li.parentElement.closest(".directory-item.folder")?.dataset.folderId;
+      event.dataTransfer.setData("text/plain", JSON.stringify(data));
+      return;
+    }
+    if ( !TerrainEffectsControllerV2.canModifyFolder(folderId) ) {
+      event.preventDefault();
+      return;
+    }
+    log(`TerrainEffectsController|onFolderDragStart for ${folderId}`);
+    event.dataTransfer.setData("text/plain", JSON.stringify({ type: TerrainEffectsControllerV2.FOLDER_DRAG_TYPE, folderId }));
   }
 
+  /** @type {string} */
+  static FOLDER_DRAG_TYPE = `${MODULE_ID}.TerrainBookFolder`;
 
   /**
    * Callback actions which occur when a dragged element is dropped on a target.
+   * Folders and terrains from the book are moved; other effects are added to the book.
    * @param {DragEvent} event       The originating DragEvent
    */
   async onEffectDrop(event) {
     log(`TerrainEffectsController|onEffectDrop`);
     event.preventDefault();
     const data = TextEditor.getDragEventData(event);
-    await CONFIG[MODULE_ID].Terrain._processEffectDrop(data);
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    if ( data.type === TerrainEffectsControllerV2.FOLDER_DRAG_TYPE ) await this._onDropFolder(event, data);
+    else if ( Terrain._instances.has(data.terrainId) ) await this._onDropTerrain(event, data);
+    else await Terrain._processEffectDrop(data);
     this.rerender();
   }
 
+  /**
+   * Drop a folder onto the upper half of a folder header to place it before that folder.
+   * Drop it elsewhere on a folder to nest it inside. Drop it anywhere else to move it to the top level.
+   * @param {DragEvent} event
+   * @param {object} data       { folderId }
+   */
+  async _onDropFolder(event, data) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const Controller = TerrainEffectsControllerV2;
+    if ( !Controller.canModifyFolder(data.folderId) ) return;
+    const targetId = event.target.closest(".directory-item.folder")?.dataset.folderId;
+    if ( !Controller.canModifyFolder(targetId) ) return Terrain.moveFolder(data.folderId, { parent: null });
+    if ( targetId === data.folderId ) return;
+
+    const header = event.target.closest(".folder-header");
+    if ( header ) {
+      const rect = header.getBoundingClientRect();
+      if ( event.clientY < rect.top + (rect.height * 0.5) ) {
+        const parent = Terrain.folders.get(targetId).parent;
+        if ( parent && !Controller.canModifyFolder(parent) ) return;
+        return Terrain.moveFolder(data.folderId, { parent, before: targetId });
+      }
+    }
+    return Terrain.moveFolder(data.folderId, { parent: targetId });
+  }
+
+  /**
+   * Drop a terrain onto a folder to move it there from the folder it was dragged from.
+   * Dropping onto another terrain places it before that terrain.
+   * Dropping onto all terrains removes it from its folder; dropping onto favorites marks it a favorite.
+   * @param {DragEvent} event
+   * @param {object} data       { terrainId, sourceFolderId }
+   */
+  async _onDropTerrain(event, data) {
+    const Controller = TerrainEffectsControllerV2;
+    const toFolderId = event.target.closest(".directory-item.folder")?.dataset.folderId;
+    if ( toFolderId === Controller.FAVORITE_TERRAINS_FOLDER ) return Settings.addToFavorites(data.terrainId);
+    const from = Controller.canModifyFolder(data.sourceFolderId) ? data.sourceFolderId : undefined;
+    const to = Controller.canModifyFolder(toFolderId) ? toFolderId : undefined;
+    if ( !from && !to ) return;
+    const before = event.target.closest("[data-entry-id]")?.dataset.entryId;
+    return CONFIG[MODULE_ID].Terrain.moveEffectToFolder(data.terrainId,
+      { fromFolderId: from, toFolderId: to, before: before === data.terrainId ? undefined : before });
+  }
+
   /**
    * Callback actions which occur when a dragged element is dragged over a target.
    * @param {DragEvent} event       The originating DragEvent
@@ -475,6 +616,12 @@ export class TerrainEffectsControllerV2 {
   #onMatchFolder(folder, folderIds, autoExpandIds, { autoExpand = true } = {}) {
     folderIds.add(folder.id);
     if ( autoExpand ) autoExpandIds.add(folder.id);
+
+    // Show and expand the folders containing this one.
+    for ( const ancestor of CONFIG[MODULE_ID].Terrain.folderAncestors(folder.id) ) {
+      folderIds.add(ancestor.id);
+      autoExpandIds.add(ancestor.id);
+    }
   }
 
   /**
@@ -520,8 +667,138 @@ export class TerrainEffectsControllerV2 {
   }
 
 
+  // ----- NOTE: Compendium export/import ----- //
+
+  /**
+   * Choose terrains and folders, then export them to an Item compendium.
+   */
+  async onExportToCompendium() {
+    log("TerrainEffectsController|onExportToCompendium");
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const packs = this.constructor._itemPackChoices({ unlockedOnly: true });
+    if ( foundry.utils.isEmpty(packs) ) {
+      ui.notifications.warn(`${MODULE_ID}.compendium.no-packs`, { localize: true });
+      return;
+    }
+    const terrains = this._sortTerrains([...Terrain._instances.values()]).map(t => ({ id: t.uniqueEffectId, name: t.name }));
+    const folders = [...Terrain.folders.values()].map(f => ({ id: f.id, name: f.name }));
+    const content = await renderTemplate(TEMPLATES.COMPENDIUM_EXPORT, { packs, terrains, folders });
+    const res = await foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize(`${MODULE_ID}.compendium.export`) },
+      position: { width: 400 },
+      content,
+      buttons: [{
+        action: "export",
+        icon: '<i class="fas fa-file-export"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.compendium.export`),
+        default: true,
+        callback: (_event, button, _dialog) => {
+          const form = button.form;
+          const checked = attr => [...form.querySelectorAll(`input[${attr}]:checked`)]
+            .map(input => input.getAttribute(attr));
+          return {
+            pack: form.elements.pack.value,
+            terrainIds: checked("data-terrain-id"),
+            folderIds: checked("data-folder-id")
+          };
+        }
+      },
+      {
+        action: "cancel",
+        icon: '<i class="fas fa-times"></i>',
+        label: game.i18n.localize("Cancel"),
+      }],
+      rejectClose: false
+    });
+    if ( !res?.pack ) return;
+    const pack = game.packs.get(res.pack);
+    if ( !pack ) return;
+    const n = await Terrain.exportToCompendium(pack, res);
+    ui.notifications.info(game.i18n.format(`${MODULE_ID}.compendium.exported`, { n, pack: pack.title }));
+  }
+
+  /**
+   * Choose an Item compendium and import its terrains, resolving id conflicts.
+   */
+  async onImportFromCompendium() {
+    log("TerrainEffectsController|onImportFromCompendium");
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const packs = this.constructor._itemPackChoices();
+    if ( foundry.utils.isEmpty(packs) ) {
+      ui.notifications.warn(`${MODULE_ID}.compendium.no-packs`, { localize: true });
+      return;
+    }
+    const content = await renderTemplate(TEMPLATES.COMPENDIUM_IMPORT, { packs });
+    const packId = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(`${MODULE_ID}.compendium.import`) },
+      content,
+      ok: {
+        icon: "fas fa-file-import",
+        label: game.i18n.localize(`${MODULE_ID}.compendium.import`),
+        callback: (_event, button, _dialog) => button.form.elements.pack.value
+      },
+      rejectClose: false
+    });
+    const pack = game.packs.get(packId);
+    if ( !pack ) return;
+    const imported = await Terrain.importFromCompendium(pack, {
+      resolveConflicts: conflicts => this.resolveImportConflictsDialog(conflicts)
+    });
+    ui.notifications.info(game.i18n.format(`${MODULE_ID}.compendium.imported`, { n: imported.length, pack: pack.title }));
+    this.rerender();
+  }
+
+  /**
+   * Item compendiums available for export or import.
+   * @param {object} [opts]
+   * @param {boolean} [opts.unlockedOnly=false]   Only include packs that can be written
+   * @returns {object} Choices of { packId: title }
+   */
+  static _itemPackChoices({ unlockedOnly = false } = {}) {
+    const choices = {};
+    game.packs
+      .filter(pack => pack.documentName === "Item" && (!unlockedOnly || !pack.locked))
+      .forEach(pack => choices[pack.collection] = pack.title);
+    return choices;
+  }
+
   // ----- NOTE: Sub-Dialogs ----- //
 
+  /**
+   * Open a dialog to choose how to handle imported terrains whose ids already exist.
+   * @param {object[]} conflicts    Entries from Terrain.readCompendium
+   * @returns {Map<string, string>|null} Terrain id to IMPORT_CONFLICT.CHOICES; null if cancelled
+   */
+  async resolveImportConflictsDialog(conflicts) {
+    const content = await renderTemplate(TEMPLATES.COMPENDIUM_CONFLICTS, {
+      conflicts,
+      choices: IMPORT_CONFLICT.LABELS,
+      defaultChoice: IMPORT_CONFLICT.CHOICES.KEEP
+    });
+    return foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize(`${MODULE_ID}.compendium.conflict.title`) },
+      position: { width: 480 },
+      content,
+      buttons: [{
+        action: "import",
+        icon: '<i class="fas fa-file-import"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.compendium.import`),
+        default: true,
+        callback: (_event, button, _dialog) => {
+          const selects = button.form.querySelectorAll("select[data-terrain-id]");
+          return new Map([...selects].map(select => [select.dataset.terrainId, select.value]));
+        }
+      },
+      {
+        action: "cancel",
+        icon: '<i class="fas fa-times"></i>',
+        label: game.i18n.localize("Cancel"),
+        callback: () => null
+      }],
+      rejectClose: false
+    });
+  }
+
   /**
    * Open a dialog to import data into a terrain.
    * @returns {string|"close"|null} The json from the imported text file. "close" if close button hit; null if dialog closed.
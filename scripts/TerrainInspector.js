@@ -0,0 +1,270 @@
+/* globals
+canvas,
+document,
+foundry,
+game,
+ui,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { elevatedRegions, elevatedTiles } from "./util.js";
+import { ElevatedPoint } from "./geometry/3d/ElevatedPoint.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Hover readout of the ground elevation and terrains under the cursor.
+ * Shown on the token and region layers while the inspector tool is toggled on.
+ * Players see only non-secret terrains; GMs also see secret terrains and the source of each value.
+ */
+export class TerrainInspector {
+
+  /** @type {boolean} */
+  static enabled = false;
+
+  /** @type {HTMLElement} */
+  static #element;
+
+  /** @type {function} */
+  static #onPointerMove = foundry.utils.throttle(this._onPointerMove.bind(this), 50);
+
+  /** @type {function} */
+  static #onPointerLeave = this.hide.bind(this);
+
+  /** @type {string[]} */
+  static LAYERS = ["tokens", "regions"];
+
+  /**
+   * Turn the inspector on or off.
+   * @param {boolean} [enabled]     Defaults to toggling the current state
+   */
+  static toggle(enabled = !this.enabled) {
+    this.enabled = enabled;
+    if ( !enabled ) this.hide();
+  }
+
+  /**
+   * Listen for pointer movement over the canvas.
+   */
+  static activateListeners() {
+    const view = canvas.app?.view;
+    if ( !view ) return;
+    view.addEventListener("pointermove", this.#onPointerMove);
+    view.addEventListener("pointerleave", this.#onPointerLeave);
+  }
+
+  /**
+   * Stop listening for pointer movement over the canvas.
+   */
+  static deactivateListeners() {
+    const view = canvas.app?.view;
+    this.hide();
+    if ( !view ) return;
+    view.removeEventListener("pointermove", this.#onPointerMove);
+    view.removeEventListener("pointerleave", this.#onPointerLeave);
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  static _onPointerMove(event) {
+    if ( !this.enabled || !canvas.ready || !this.LAYERS.includes(ui.controls.control?.name) ) return this.hide();
+    const pt = canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY });
+    if ( !canvas.dimensions.sceneRect.contains(pt.x, pt.y) ) return this.hide();
+    const controlled = canvas.tokens.controlled;
+    const token = controlled.length === 1 ? controlled[0] : undefined;
+    this.show(this.inspect(pt, { token }), { x: event.clientX, y: event.clientY });
+  }
+
+  // ----- NOTE: Inspection ----- //
+
+  /**
+   * @typedef {object} InspectorSource
+   * @property {string} type      "scene", "region", or "tile"
+   * @property {string} id        Document id
+   * @property {string} name      Document name, or a label for unnamed tiles
+   */
+
+  /**
+   * @typedef {object} InspectorResult
+   * @property {number} elevation                   Ground elevation at the point
+   * @property {InspectorSource} elevationSource    What supplies the ground elevation
+   * @property {object[]} terrains                  { terrain, secret, sources: InspectorSource[] }
+   */
+
+  /**
+   * Ground elevation and terrains a token placed at this location would receive.
+   * The ground is the surface a token placed here would stand on; see groundAt.
+   * @param {Point} location                  Canvas coordinates
+   * @param {object} [opts]
+   * @param {Token} [opts.token]              Apply the Set Terrain filters for this token
+   * @param {User} [opts.user]                Secret terrains are omitted unless the user is a GM
+   * @returns {InspectorResult}
+   */
+  static inspect(location, { token, user = game.user } = {}) {
+    const { elevation, source: elevationSource } = this.groundAt(location);
+    const terrains = new Map();
+    const pt = ElevatedPoint.fromLocationWithElevation(location, elevation);
+    for ( const region of canvas.regions.placeables ) {
+      if ( !region.document.testPoint(pt) ) continue;
+      for ( const behavior of region.document.behaviors ) {
+        if ( behavior.disabled || behavior.type !== `${MODULE_ID}.setTerrain` ) continue;
+        const secret = behavior.system.secret;
+        if ( secret && !user.isGM ) continue;
+        if ( token && !behavior.system.tokenQualifies(token.document) ) continue;
+        for ( const terrain of behavior.system.terrainSet ) {
+          if ( !terrains.has(terrain) ) terrains.set(terrain, { terrain, secret, sources: [] });
+          const entry = terrains.get(terrain);
+          entry.secret &&= secret; // Only secret if every source is secret.
+          entry.sources.push(regionSource(region));
+        }
+      }
+    }
+    pt.release();
+    return {
+      elevation,
+      elevationSource,
+      terrains: [...terrains.values()].sort((a, b) => a.terrain.name.localeCompare(b.terrain.name))
+    };
+  }
+
+  /**
+   * Ground elevation at a location, resolved from the scene floor upward through elevated regions and tile floors.
+   * As with a token placed on the scene, a surface only supports the ground if the ground below reaches it:
+   * a region whose bottom is at or below the current ground lifts it to the region top,
+   * and a tile lifts it only from within one grid unit below. Bridges and floors overhead are skipped.
+   * @param {Point} location
+   * @returns {object}
+   *  - @prop {number} elevation
+   *  - @prop {InspectorSource} source
+   */
+  static groundAt(location) {
+    const surfaces = [];
+    for ( const region of elevatedRegions() ) {
+      const handler = region[MODULE_ID];
+      if ( !handler.pointInBounds(location, ["x", "y"]) || !handler.test2dPoint(location) ) continue;
+      const elevation = handler.elevationUponEntry(location);
+      surfaces.push({ elevation, bottom: region.elevationE.bottom, source: regionSource(region) });
+    }
+    for ( const tile of elevatedTiles() ) {
+      const elevation = tile.elevationE;
+      if ( !tile[MODULE_ID].waypointOnTile({ x: location.x, y: location.y, elevation }) ) continue;
+      surfaces.push({ elevation, bottom: elevation - 1, source: tileSource(tile) });
+    }
+
+    // Climb from the floor. Each surface reached raises the ground, possibly bringing a higher surface within reach.
+    let elevation = canvas.scene[MODULE_ID].sceneFloor;
+    let source = { type: "scene", id: canvas.scene.id, name: canvas.scene.name };
+    surfaces.sort((a, b) => a.elevation - b.elevation);
+    for ( const surface of surfaces ) {
+      if ( surface.elevation <= elevation || surface.bottom > elevation ) continue;
+      elevation = surface.elevation;
+      source = surface.source;
+    }
+    return { elevation, source };
+  }
+
+  // ----- NOTE: Display ----- //
+
+  /**
+   * Show the readout next to the cursor.
+   * @param {InspectorResult} result
+   * @param {Point} client                  Client coordinates of the cursor
+   */
+  static show(result, client) {
+    const el = this.#element ??= this.#createElement();
+    el.innerHTML = this._resultHTML(result);
+    el.style.left = `${client.x + 16}px`;
+    el.style.top = `${client.y + 16}px`;
+    el.hidden = false;
+  }
+
+  /**
+   * Hide the readout.
+   */
+  static hide() {
+    if ( this.#element ) this.#element.hidden = true;
+  }
+
+  /**
+   * @returns {HTMLElement}
+   */
+  static #createElement() {
+    const el = document.createElement("div");
+    el.id = `${MODULE_ID}-inspector`;
+    el.classList.add("themed", "theme-dark");
+    el.hidden = true;
+    document.body.appendChild(el);
+    return el;
+  }
+
+  /**
+   * @param {InspectorResult} result
+   * @returns {string}
+   */
+  static _resultHTML(result) {
+    const { escapeHTML } = foundry.utils;
+    const isGM = game.user.isGM;
+    const units = canvas.scene.grid.units;
+    const sourceLabel = source => escapeHTML(game.i18n.format(`${MODULE_ID}.inspector.source.${source.type}`,
+      { name: source.name }));
+
+    const elevation = `${Math.round(result.elevation * 100) / 100}${units ? ` ${units}` : ""}`;
+    let html = `<div><strong>${game.i18n.localize(`${MODULE_ID}.inspector.elevation`)}:</strong> ${escapeHTML(elevation)}`;
+    if ( isGM ) html += ` <span class="source">(${sourceLabel(result.elevationSource)})</span>`;
+    html += "</div>";
+
+    if ( !result.terrains.length ) {
+      return `${html}<div>${game.i18n.localize(`${MODULE_ID}.inspector.no-terrains`)}</div>`;
+    }
+    html += `<div><strong>${game.i18n.localize(`${MODULE_ID}.phrases.terrains`)}:</strong></div><ul>`;
+    for ( const { terrain, secret, sources } of result.terrains ) {
+      html += `<li>${escapeHTML(terrain.name)}`;
+      if ( isGM ) {
+        if ( secret ) html += ` <i class="fa-solid fa-user-secret" data-tooltip="${MODULE_ID}.inspector.secret"></i>`;
+        html += ` <span class="source">(${sources.map(sourceLabel).join(", ")})</span>`;
+      }
+      html += "</li>";
+    }
+    return `${html}</ul>`;
+  }
+}
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook canvasReady
+ * @param {Canvas} canvas
+ */
+function canvasReady(_canvas) { TerrainInspector.activateListeners(); }
+
+/**
+ * Hook canvasTearDown
+ * @param {Canvas} canvas
+ */
+function canvasTearDown(_canvas) { TerrainInspector.deactivateListeners(); }
+
+PATCHES.BASIC.HOOKS = { canvasReady, canvasTearDown };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * @param {Region} region
+ * @returns {InspectorSource}
+ */
+function regionSource(region) {
+  return { type: "region", id: region.document.id, name: region.document.name };
+}
+
+/**
+ * @param {Tile} tile
+ * @returns {InspectorSource}
+ */
+function tileSource(tile) {
+  const src = tile.document.texture.src;
+  const name = src ? decodeURIComponent(src.split("/").at(-1)) : tile.document.id;
+  return { type: "tile", id: tile.document.id, name };
+}
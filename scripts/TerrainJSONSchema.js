@@ -0,0 +1,208 @@
+/* globals
+CONFIG,
+foundry,
+game,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
+
+/**
+ * Validate terrain JSON before it is imported.
+ * Accepts a single exported terrain or a file with all terrains ({ objects, flags.exportSource }).
+ *
+ * Schema, version 1:
+ * - flags.exportSource.schemaVersion   Optional; files without it are treated as version 0.
+ * - Each terrain is an exported ActiveEffect or Item, with:
+ *   - name                               Non-empty string
+ *   - flags.terrainmapper.uniqueEffectId Non-empty string
+ *   - flags.terrainmapper.uniqueEffectType  "Terrain" if present
+ *   - img                                Optional path to an existing file
+ *   - changes                            Optional array of { key, mode, value }, with keys known to the current system
+ *
+ * Entries with errors are skipped on import. Warnings are reported but the entry is still imported.
+ */
+export class TerrainJSONSchema {
+
+  /** @type {number} */
+  static VERSION = 1;
+
+  /**
+   * @typedef {object} TerrainJSONEntryReport
+   * @property {number} index         Position of the entry in the file
+   * @property {string} name          Terrain name, if any
+   * @property {string} terrainId     Terrain id, if any
+   * @property {object} data          The terrain data
+   * @property {string[]} errors      Problems that prevent import
+   * @property {string[]} warnings    Problems reported but imported anyway
+   */
+
+  /**
+   * @typedef {object} TerrainJSONReport
+   * @property {number} schemaVersion                 Schema version of the file
+   * @property {string[]} errors                      Problems with the file as a whole
+   * @property {string[]} warnings                    Notes about the file as a whole
+   * @property {TerrainJSONEntryReport[]} entries
+   * @property {boolean} valid                        True if there are no errors at all
+   */
+
+  /**
+   * Validate a terrain JSON file or a single terrain.
+   * @param {string|object} json            JSON string or parsed object
+   * @param {object} [opts]
+   * @param {boolean} [opts.checkImages=true]   Test that image paths exist on the server
+   * @returns {Promise<TerrainJSONReport>}
+   */
+  static async validate(json, { checkImages = true } = {}) {
+    const report = { schemaVersion: 0, errors: [], warnings: [], entries: [], valid: false };
+    if ( typeof json === "string" ) {
+      try {
+        json = JSON.parse(json);
+      } catch ( err ) {
+        report.errors.push(game.i18n.format(`${MODULE_ID}.schema.errors.parse`, { error: err.message }));
+        return report;
+      }
+    }
+    if ( !json || typeof json !== "object" ) {
+      report.errors.push(game.i18n.localize(`${MODULE_ID}.schema.errors.not-object`));
+      return report;
+    }
+
+    const exportSource = json.flags?.exportSource;
+    report.schemaVersion = Number(exportSource?.schemaVersion ?? 0);
+    if ( report.schemaVersion > this.VERSION ) {
+      report.errors.push(game.i18n.format(`${MODULE_ID}.schema.errors.newer-schema`,
+        { version: report.schemaVersion, current: this.VERSION }));
+      return report;
+    }
+
+    // A file of all terrains, or a single terrain.
+    const objects = Object.hasOwn(json, "objects") ? json.objects : [json];
+    if ( !Array.isArray(objects) ) {
+      report.errors.push(game.i18n.localize(`${MODULE_ID}.schema.errors.objects-not-array`));
+      return report;
+    }
+    if ( exportSource?.system && exportSource.system !== game.system.id ) {
+      report.warnings.push(game.i18n.format(`${MODULE_ID}.schema.errors.other-system`,
+        { system: exportSource.system, current: game.system.id }));
+    }
+
+    for ( const [index, data] of objects.entries() ) {
+      report.entries.push(await this.validateEntry(data, { checkImages, index }));
+    }
+    report.valid = !report.errors.length && report.entries.every(entry => !entry.errors.length);
+    return report;
+  }
+
+  /**
+   * Validate a single terrain's data.
+   * @param {object} data
+   * @param {object} [opts]
+   * @param {boolean} [opts.checkImages=true]
+   * @param {number} [opts.index=0]
+   * @returns {Promise<TerrainJSONEntryReport>}
+   */
+  static async validateEntry(data, { checkImages = true, index = 0 } = {}) {
+    const entry = { index, name: "", terrainId: "", data, errors: [], warnings: [] };
+    const error = (key, fmt = {}) => entry.errors.push(game.i18n.format(`${MODULE_ID}.schema.errors.${key}`, fmt));
+    if ( !data || typeof data !== "object" || Array.isArray(data) ) {
+      error("not-object");
+      return entry;
+    }
+
+    // Name.
+    if ( typeof data.name === "string" && data.name ) entry.name = data.name;
+    else error("missing-name");
+
+    // Module flags.
+    const moduleFlags = data.flags?.[MODULE_ID];
+    const terrainId = moduleFlags?.[FLAGS.UNIQUE_EFFECT.ID];
+    if ( typeof terrainId === "string" && terrainId ) entry.terrainId = terrainId;
+    else error("missing-id", { flag: `flags.${MODULE_ID}.${FLAGS.UNIQUE_EFFECT.ID}` });
+    const type = moduleFlags?.[FLAGS.UNIQUE_EFFECT.TYPE];
+    if ( type && type !== "Terrain" ) error("wrong-type", { type });
+
+    // Changes. Only active effects have them; items store their rules in system data.
+    if ( Object.hasOwn(data, "changes") ) {
+      if ( !Array.isArray(data.changes) ) error("changes-not-array");
+      else data.changes.forEach((change, i) => {
+        const key = change?.key;
+        if ( typeof key !== "string" || !key ) error("missing-change-key", { index: i });
+        else if ( !this.isKnownChangeKey(key) ) error("unknown-change-key", { key, system: game.system.id });
+      });
+    }
+
+    // Image. A missing image would leave the terrain without an icon, so skip it.
+    if ( data.img != null ) {
+      if ( typeof data.img !== "string" ) error("bad-image", { img: String(data.img) });
+      else if ( checkImages && data.img && !(await this.imageExists(data.img)) ) error("bad-image", { img: data.img });
+    }
+    return entry;
+  }
+
+  /**
+   * Is this a key an active effect change can target in the current system?
+   * Only system keys are checked; they must exist in the data model or template of some actor type.
+   * Other keys (flags, or module keys such as ATL.*) are accepted, as are all keys if the system defines neither.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  static isKnownChangeKey(key) {
+    if ( !key.startsWith("system.") ) return true;
+
+    const path = key.slice("system.".length);
+    const dataModels = CONFIG.Actor.dataModels ?? {};
+    const templates = game.model?.Actor ?? {};
+    const types = new Set([...Object.keys(dataModels), ...Object.keys(templates)]);
+    if ( !types.size ) return true;
+    for ( const type of types ) {
+      if ( dataModels[type]?.schema?.getField(path) ) return true;
+      if ( foundry.utils.hasProperty(templates[type] ?? {}, path) ) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Test whether an image path can be loaded.
+   * @param {string} img
+   * @returns {Promise<boolean>}
+   */
+  static async imageExists(img) {
+    try {
+      return await foundry.canvas.srcExists(img);
+    } catch ( _err ) {
+      return false;
+    }
+  }
+
+  /**
+   * Show a report of the problems found, if any.
+   * @param {TerrainJSONReport} report
+   * @param {object} [opts]
+   * @param {number} [opts.imported]    Number of terrains actually imported
+   * @returns {Promise<void>}
+   */
+  static async showReport(report, { imported } = {}) {
+    const problems = report.entries.filter(entry => entry.errors.length || entry.warnings.length);
+    if ( !report.errors.length && !report.warnings.length && !problems.length ) return;
+    const content = await foundry.applications.handlebars.renderTemplate(TEMPLATES.IMPORT_REPORT, {
+      errors: report.errors,
+      warnings: report.warnings,
+      entries: problems.map(entry => ({
+        ...entry,
+        label: entry.name || entry.terrainId || game.i18n.format(`${MODULE_ID}.schema.entry`, { index: entry.index + 1 }),
+        skipped: entry.errors.length > 0
+      })),
+      showSummary: imported !== undefined,
+      imported,
+      skipped: report.entries.filter(entry => entry.errors.length).length
+    });
+    await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(`${MODULE_ID}.schema.report-title`), icon: "fa-solid fa-triangle-exclamation" },
+      position: { width: 520 },
+      content,
+      rejectClose: false
+    });
+  }
+}
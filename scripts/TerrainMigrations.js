@@ -0,0 +1,360 @@
+/* globals
+CONFIG,
+File,
+foundry,
+fromUuidSync,
+game,
+ui,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
+import { Settings } from "./settings.js";
+import { log } from "./util.js";
+import { UniqueFlagEffect, UniqueFlagItemEffect } from "./unique_effects/UniqueFlagEffect.js";
+
+/* Migrations
+Each migration has a version number and lists the kinds of documents it touches.
+For each document of those kinds, migrate(doc) returns the update to apply, or nothing if the document is fine.
+Migrations run once per world, in order, by the active GM on ready. The last version run is stored in a world setting.
+Before any document is changed, the source data of every document to be changed is saved to a backup JSON
+in the world folder.
+*/
+
+/**
+ * @typedef {object} TerrainMigration
+ * @property {number} version           Migrations run in ascending order; each runs once per world
+ * @property {string} name              Short description, shown in reports
+ * @property {string[]} targets         Keys of TerrainMigrations.TARGETS
+ * @property {function} migrate         (doc, target) => update object, or undefined if no change
+ */
+
+/**
+ * @typedef {object} MigrationReport
+ * @property {number} from              Migration version before the run
+ * @property {number} to                Migration version after the run
+ * @property {object[]} migrations      { version, name, changes: { target, uuid, name, update }[] }
+ */
+
+export class TerrainMigrations {
+
+  /**
+   * Kinds of documents a migration may touch, and how to find them across the world.
+   * @type {object<string, function>}
+   */
+  static TARGETS = {
+    /** Terrain documents in storage, for every storage back end, including flag storage. */
+    terrains: async () => TerrainMigrations.storedTerrainDocuments(),
+
+    /** Terrain copies on world actors and the synthetic actors of unlinked tokens. */
+    tokenEffects: async () => {
+      const Terrain = CONFIG[MODULE_ID].Terrain;
+      if ( TerrainMigrations.usesFlagCopies ) return [];
+      const embedded = { ActiveEffect: "effects", Item: "items" }[Terrain.storageDocumentName];
+      if ( !embedded ) return [];
+      const docs = [];
+      for ( const actor of Terrain._actorsWithTokenCopies() ) {
+        for ( const doc of actor[embedded] ) {
+          if ( doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.TYPE) === Terrain.type ) docs.push(doc);
+        }
+      }
+      return docs;
+    },
+
+    /** Token documents in every scene with terrain copies stored as token flags, for flag storage. */
+    tokenFlags: async () => {
+      if ( !TerrainMigrations.usesFlagCopies ) return [];
+      const Terrain = CONFIG[MODULE_ID].Terrain;
+      const prefix = `${Terrain.type}_`;
+      return game.scenes.contents
+        .flatMap(scene => scene.tokens.contents)
+        .filter(tokenD => Object.keys(tokenD.flags?.[MODULE_ID] ?? {}).some(key => key.startsWith(prefix)));
+    }
+  };
+
+  /**
+   * Registered migrations, in version order.
+   * @type {TerrainMigration[]}
+   */
+  static MIGRATIONS = [];
+
+  /**
+   * Add a migration.
+   * @param {TerrainMigration} migration
+   */
+  static register(migration) {
+    if ( this.MIGRATIONS.some(m => m.version === migration.version) ) {
+      console.error(`${MODULE_ID}|Migration ${migration.version} is already registered.`);
+      return;
+    }
+    this.MIGRATIONS.push(migration);
+    this.MIGRATIONS.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Terrain documents in storage.
+   * Reads the storage as is, because initializing it could create the storage item, even in a dry run.
+   * @returns {Document[]}
+   */
+  static storedTerrainDocuments() {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const storageMap = Terrain._storageMap ?? Terrain._existingStorageMap();
+    return [...(storageMap?.values() ?? [])].filter(doc => Boolean(doc.flags?.[MODULE_ID]));
+  }
+
+  /**
+   * Does the current terrain class store token copies as token flags instead of embedded documents?
+   * @type {boolean}
+   */
+  static get usesFlagCopies() {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    return Terrain.prototype instanceof UniqueFlagEffect || Terrain.prototype instanceof UniqueFlagItemEffect;
+  }
+
+  /**
+   * Version of the last migration run in this world.
+   * @type {number}
+   */
+  static get currentVersion() { return Settings.get(Settings.KEYS.MIGRATION_VERSION) ?? 0; }
+
+  /**
+   * Version of the newest registered migration.
+   * @type {number}
+   */
+  static get latestVersion() { return this.MIGRATIONS.at(-1)?.version ?? 0; }
+
+  /**
+   * Migrations newer than the given version.
+   * @param {number} [from]
+   * @returns {TerrainMigration[]}
+   */
+  static pending(from = this.currentVersion) { return this.MIGRATIONS.filter(m => m.version > from); }
+
+  // ----- NOTE: Dry run ----- //
+
+  /**
+   * List what the pending migrations would change, without changing anything.
+   * Each migration is tested against the current documents, so a change that depends on
+   * an earlier pending migration may not be listed.
+   * @param {object} [opts]
+   * @param {number} [opts.from]    Treat migrations newer than this version as pending
+   * @returns {Promise<MigrationReport>}
+   */
+  static async dryRun({ from = this.currentVersion } = {}) {
+    const migrations = this.pending(from);
+    const report = { from, to: migrations.at(-1)?.version ?? from, migrations: [] };
+    const docsByTarget = new Map();
+    for ( const migration of migrations ) {
+      const changes = [];
+      for ( const target of migration.targets ) {
+        if ( !docsByTarget.has(target) ) docsByTarget.set(target, await this._targetDocuments(target));
+        for ( const doc of docsByTarget.get(target) ) {
+          const update = this._migrateDocument(migration, doc, target);
+          if ( update ) changes.push({ target, uuid: doc.uuid, name: doc.name ?? doc.id, update });
+        }
+      }
+      report.migrations.push({ version: migration.version, name: migration.name, changes });
+    }
+    return report;
+  }
+
+  /**
+   * Show the changes the pending migrations would make.
+   * @param {object} [opts]
+   * @param {number} [opts.from]    Treat migrations newer than this version as pending
+   * @returns {Promise<MigrationReport>}
+   */
+  static async showDryRun(opts) {
+    const report = await this.dryRun(opts);
+    const content = await foundry.applications.handlebars.renderTemplate(TEMPLATES.MIGRATION_REPORT, {
+      from: report.from,
+      to: report.to,
+      isEmpty: !report.migrations.some(m => m.changes.length),
+      migrations: report.migrations.map(m => ({
+        ...m,
+        changes: m.changes.map(change => ({
+          ...change,
+          target: game.i18n.localize(`${MODULE_ID}.migration.targets.${change.target}`),
+          keys: Object.keys(foundry.utils.flattenObject(change.update)).join(", ")
+        }))
+      }))
+    });
+    await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(`${MODULE_ID}.migration.report-title`), icon: "fa-solid fa-database" },
+      position: { width: 600 },
+      content,
+      rejectClose: false
+    });
+    return report;
+  }
+
+  // ----- NOTE: Migration ----- //
+
+  /**
+   * Run pending migrations if this user is the active GM.
+   * Called on ready.
+   * @returns {Promise<MigrationReport|undefined>}
+   */
+  static async migrateWorld() {
+    if ( !game.users.activeGM?.isSelf ) return;
+    if ( !this.pending().length ) return;
+    return this.run();
+  }
+
+  /**
+   * Back up the documents that would change, then run the pending migrations in order.
+   * Stops at the first migration that fails; later migrations will be tried again on the next load.
+   * @param {object} [opts]
+   * @param {number} [opts.from]          Treat migrations newer than this version as pending
+   * @param {boolean} [opts.backup=true]  Write a backup JSON before changing anything
+   * @returns {Promise<MigrationReport>} Report of the changes made
+   */
+  static async run({ from = this.currentVersion, backup = true } = {}) {
+    const dryRun = await this.dryRun({ from });
+    const uuids = new Set(dryRun.migrations.flatMap(m => m.changes.map(change => change.uuid)));
+    if ( backup && uuids.size ) {
+      const path = await this.writeBackup(dryRun, uuids);
+      if ( !path ) {
+        ui.notifications.error(`${MODULE_ID}.migration.backup-failed`, { localize: true, permanent: true });
+        return { from, to: from, migrations: [] };
+      }
+      ui.notifications.info(game.i18n.format(`${MODULE_ID}.migration.backup-written`, { path }));
+    }
+
+    const report = { from, to: from, migrations: [] };
+    for ( const migration of this.pending(from) ) {
+      log(`Migrations|Running migration ${migration.version}: ${migration.name}`);
+      const changes = [];
+      try {
+        for ( const target of migration.targets ) {
+          for ( const doc of await this._targetDocuments(target) ) {
+            const update = this._migrateDocument(migration, doc, target);
+            if ( !update ) continue;
+            await doc.update(update);
+            changes.push({ target, uuid: doc.uuid, name: doc.name ?? doc.id, update });
+          }
+        }
+      } catch ( err ) {
+        console.error(`${MODULE_ID}|Migration ${migration.version} failed.`, err);
+        ui.notifications.error(game.i18n.format(`${MODULE_ID}.migration.failed`, { version: migration.version }),
+          { permanent: true });
+        break;
+      }
+      report.migrations.push({ version: migration.version, name: migration.name, changes });
+      report.to = migration.version;
+      await Settings.set(Settings.KEYS.MIGRATION_VERSION, migration.version);
+    }
+    const n = report.migrations.reduce((acc, m) => acc + m.changes.length, 0);
+    if ( n ) ui.notifications.info(game.i18n.format(`${MODULE_ID}.migration.complete`, { n, version: report.to }));
+    return report;
+  }
+
+  /**
+   * Save the source data of documents that a migration will change to a JSON file in the world folder.
+   * @param {MigrationReport} dryRun
+   * @param {Set<string>} uuids           Documents to save
+   * @returns {Promise<string|undefined>} Path of the backup file, or undefined if it could not be written
+   */
+  static async writeBackup(dryRun, uuids) {
+    const FilePicker = foundry.applications.apps.FilePicker.implementation;
+    const dir = `worlds/${game.world.id}/${MODULE_ID}-backups`;
+    const documents = {};
+    for ( const uuid of uuids ) documents[uuid] = fromUuidSync(uuid)?.toObject();
+    const data = {
+      world: game.world.id,
+      moduleVersion: game.modules.get(MODULE_ID).version,
+      created: new Date().toISOString(),
+      from: dryRun.from,
+      to: dryRun.to,
+      migrations: dryRun.migrations.map(m => ({ version: m.version, name: m.name })),
+      documents
+    };
+    const filename = `migration-${dryRun.from}-${dryRun.to}-${Date.now()}.json`;
+    const file = new File([JSON.stringify(data, null, 2)], filename, { type: "application/json" });
+    try {
+      await FilePicker.createDirectory("data", dir).catch(_err => undefined); // Throws if the folder exists.
+      const res = await FilePicker.upload("data", dir, file, {}, { notify: false });
+      if ( !res?.path ) return;
+      return res.path;
+    } catch ( err ) {
+      console.error(`${MODULE_ID}|Migration backup could not be written.`, err);
+    }
+  }
+
+  /**
+   * @param {string} target     Key of TARGETS
+   * @returns {Promise<Document[]>}
+   */
+  static async _targetDocuments(target) {
+    const fn = this.TARGETS[target];
+    if ( !fn ) {
+      console.warn(`${MODULE_ID}|Unknown migration target ${target}.`);
+      return [];
+    }
+    return fn();
+  }
+
+  /**
+   * @param {TerrainMigration} migration
+   * @param {Document} doc
+   * @param {string} target
+   * @returns {object|undefined} The update, if any
+   */
+  static _migrateDocument(migration, doc, target) {
+    const update = migration.migrate(doc, target);
+    if ( !update || foundry.utils.isEmpty(update) ) return;
+    return update;
+  }
+}
+
+// ----- NOTE: Migrations ----- //
+
+/**
+ * 1. Fill in fields missing from terrains and their token copies, and correct the terrain id format.
+ * Replaces the version check that ran on every load and canvas draw.
+ * Flag copies on tokens are keyed by terrain id, so they are renamed before the terrain ids change.
+ */
+TerrainMigrations.register({
+  version: 1,
+  name: "Fill in missing terrain data and normalize terrain ids",
+  targets: ["tokenFlags", "terrains", "tokenEffects"],
+  migrate: (doc, target) => {
+    if ( target === "tokenFlags" ) return renameTokenFlagCopies(doc);
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const source = doc.toObject();
+    const migrated = foundry.utils.mergeObject(Terrain.newDocumentData(), source, {
+      inplace: false, insertKeys: false, insertValues: true });
+    delete migrated.flags[MODULE_ID][FLAGS.VERSION]; // Set below only if other changes are made.
+
+    const oldId = source.flags?.[MODULE_ID]?.[FLAGS.UNIQUE_EFFECT.ID];
+    const splitRes = oldId ? Terrain.deconstructUniqueEffectId(oldId) : undefined;
+    migrated.flags[MODULE_ID][FLAGS.UNIQUE_EFFECT.ID] = Terrain.uniqueEffectId({ baseEffectId: splitRes?.baseEffectId });
+
+    const update = foundry.utils.diffObject(source, migrated);
+    if ( foundry.utils.isEmpty(update) ) return;
+    foundry.utils.setProperty(update, `flags.${MODULE_ID}.${FLAGS.VERSION}`, game.modules.get(MODULE_ID).version);
+    return update;
+  }
+});
+
+/**
+ * Update to move flag copies of terrains on a token to the normalized terrain ids.
+ * @param {TokenDocument} tokenD
+ * @returns {object|undefined}
+ */
+function renameTokenFlagCopies(tokenD) {
+  const Terrain = CONFIG[MODULE_ID].Terrain;
+  const flags = tokenD.flags?.[MODULE_ID] ?? {};
+  const update = {};
+  for ( const doc of TerrainMigrations.storedTerrainDocuments() ) {
+    const oldId = doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID);
+    if ( !oldId || !Object.hasOwn(flags, oldId) ) continue;
+    const newId = Terrain.uniqueEffectId({ baseEffectId: Terrain.deconstructUniqueEffectId(oldId).baseEffectId });
+    if ( newId === oldId ) continue;
+    update[`flags.${MODULE_ID}.-=${oldId}`] = null;
+    update[`flags.${MODULE_ID}.${newId}`] = flags[oldId];
+  }
+  if ( foundry.utils.isEmpty(update) ) return;
+  return update;
+}
@@ -0,0 +1,501 @@
+/* globals
+canvas,
+CONFIG,
+foundry,
+PIXI,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { log, segmentBounds } from "./util.js";
+import { SCENE_GRAPH } from "./WallTracer.js";
+import { regionsWithTerrainMovementCost, terrainMovementDifficulty } from "./Token.js";
+import { ElevatedPoint } from "./geometry/3d/ElevatedPoint.js";
+import { doSegmentsOverlap } from "./geometry/util.js";
+
+/* Terrain pathfinding
+
+A* search over the scene for the cheapest route between two points for a given token.
+- Square and hex grids: nodes are grid spaces, connected to their adjacent spaces.
+- Gridless: nodes are the start, the end, and points just outside each wall endpoint in the SCENE_GRAPH.
+  Nodes are connected if the token can move directly between them. (A visibility-based navigation mesh.)
+
+Edges blocked by walls in the SCENE_GRAPH are skipped.
+Edge cost is the measured distance multiplied by the terrain movement difficulty at the edge midpoint.
+Once the cheapest 2d route is found, elevation is added to each leg using TokenElevationHandler#constructPath.
+*/
+
+/**
+ * @typedef {object} PathfinderNode
+ * @prop {string} key           Unique key for the node
+ * @prop {PIXI.Point} center    Center point of the node, in pixels
+ * @prop {GridOffset2D} [offset] Grid offset, for gridded scenes
+ */
+
+/**
+ * Find the cheapest path for a token between two points.
+ */
+export class TerrainPathfinder {
+  /**
+   * Maximum number of nodes to expand before giving up.
+   * @type {number}
+   */
+  static MAX_ITERATIONS = 20_000;
+
+  /**
+   * How far from a wall endpoint, as a percentage of the token size, to place gridless navigation points.
+   * @type {number}
+   */
+  static NAV_POINT_SPACING = 0.55;
+
+  /**
+   * Tolerance when comparing terrain movement difficulties, which may be computed from floating-point multipliers.
+   * @type {number}
+   */
+  static DIFFICULTY_EPSILON = 1e-06;
+
+  /** @type {Token} */
+  token;
+
+  /** @type {string} */
+  action;
+
+  /** @type {Region[]} */
+  costRegions = [];
+
+  /**
+   * Lowest terrain difficulty in the scene, used to keep the heuristic from overestimating.
+   * @type {number}
+   */
+  minDifficulty = 1;
+
+  /**
+   * @param {Token} token                 Token that will be moving
+   * @param {object} [opts]
+   * @param {string} [opts.action]        Movement action; defaults to the token's current HUD action
+   */
+  constructor(token, { action } = {}) {
+    this.token = token;
+    this.action = action ?? token._getHUDMovementAction();
+  }
+
+  /** @type {boolean} */
+  get isGridless() { return canvas.grid.isGridless; }
+
+  /** @type {number} */
+  get elevation() { return this.token.document.elevation; }
+
+  // ----- NOTE: Primary methods ----- //
+
+  /**
+   * Find the cheapest path between two points.
+   * @param {Point} start                 Starting center point; defaults to the token center
+   * @param {Point} end                   Ending center point
+   * @returns {object|null} Null if no path was found
+   *   - @prop {ElevatedPoint[]} path     Center points along the path, including elevation
+   *   - @prop {object[]} waypoints       Top-left waypoints, suitable for TokenDocument#move
+   *   - @prop {number} cost              Total cost of the path, in grid units
+   */
+  findPath(start, end) {
+    start ??= this.token.center;
+    this.costRegions = regionsWithTerrainMovementCost();
+    this.minDifficulty = Math.min(1, ...this.costRegions.flatMap(region => [...region[MODULE_ID].terrains]
+      .filter(t => t)
+      .map(t => t.movementDifficulty(this.action))));
+    if ( this.isGridless ) this.#buildNavPoints(start, end);
+
+    const startNode = this._nodeForPoint(start);
+    const endNode = this._nodeForPoint(end);
+    const result = this._search(startNode, endNode);
+    if ( !result ) {
+      log(`TerrainPathfinder|No path found for ${this.token.name} from ${start.x},${start.y} to ${end.x},${end.y}.`);
+      return null;
+    }
+
+    // For gridded scenes, start and end at the exact points provided.
+    const pts2d = result.nodes.map(node => node.center);
+    pts2d[0] = new PIXI.Point(start.x, start.y);
+    pts2d[pts2d.length - 1] = new PIXI.Point(end.x, end.y);
+
+    const path = this._addElevation(this._simplify(pts2d));
+    const waypoints = path.slice(1).map(pt => this._waypointForPoint(pt));
+    return { path, waypoints, cost: result.cost };
+  }
+
+  /**
+   * Run the A* search.
+   * @param {PathfinderNode} startNode
+   * @param {PathfinderNode} endNode
+   * @returns {object|null}
+   *  - @prop {PathfinderNode[]} nodes    Nodes along the path, from start to end
+   *  - @prop {number} cost               Total cost
+   */
+  _search(startNode, endNode) {
+    const open = new MinHeap();
+    const cameFrom = new Map();
+    const costSoFar = new Map([[startNode.key, 0]]);
+    const nodes = new Map([[startNode.key, startNode]]);
+    open.push(startNode.key, this._heuristic(startNode, endNode));
+
+    let iter = 0;
+    while ( open.size ) {
+      if ( (iter += 1) > this.constructor.MAX_ITERATIONS ) {
+        console.warn(`${MODULE_ID}|TerrainPathfinder exceeded ${this.constructor.MAX_ITERATIONS} iterations.`);
+        return null;
+      }
+      const currKey = open.pop();
+      const curr = nodes.get(currKey);
+      if ( currKey === endNode.key ) return { nodes: this.#reconstruct(cameFrom, nodes, currKey), cost: costSoFar.get(currKey) };
+
+      for ( const next of this._neighbors(curr, endNode) ) {
+        if ( this._wallsBlock(curr.center, next.center) ) continue;
+        const newCost = costSoFar.get(currKey) + this._edgeCost(curr.center, next.center);
+        if ( costSoFar.has(next.key) && costSoFar.get(next.key) <= newCost ) continue;
+        costSoFar.set(next.key, newCost);
+        cameFrom.set(next.key, currKey);
+        nodes.set(next.key, next);
+        open.push(next.key, newCost + this._heuristic(next, endNode));
+      }
+    }
+    return null;
+  }
+
+  // ----- NOTE: Nodes ----- //
+
+  /** @type {PathfinderNode[]} */
+  #navPoints = [];
+
+  /**
+   * Construct the node that contains a given point.
+   * @param {Point} pt
+   * @returns {PathfinderNode}
+   */
+  _nodeForPoint(pt) {
+    if ( this.isGridless ) return { key: pointKey(pt), center: new PIXI.Point(pt.x, pt.y) };
+    return this._nodeForOffset(canvas.grid.getOffset(pt));
+  }
+
+  /**
+   * Construct a node for a grid offset.
+   * @param {GridOffset2D} offset
+   * @returns {PathfinderNode}
+   */
+  _nodeForOffset(offset) {
+    const { x, y } = canvas.grid.getCenterPoint(offset);
+    return {
+      key: `${offset.i}.${offset.j}`,
+      center: new PIXI.Point(x, y),
+      offset
+    };
+  }
+
+  /**
+   * Nodes adjacent to a given node.
+   * @param {PathfinderNode} node
+   * @param {PathfinderNode} endNode
+   * @returns {PathfinderNode[]}
+   */
+  _neighbors(node, endNode) {
+    if ( this.isGridless ) return [...this.#navPoints, endNode].filter(other => other.key !== node.key);
+    const { sceneRect } = canvas.dimensions;
+    return canvas.grid.getAdjacentOffsets(node.offset)
+      .map(offset => this._nodeForOffset(offset))
+      .filter(other => sceneRect.contains(other.center.x, other.center.y));
+  }
+
+  /**
+   * Gridless: place navigation points just outside each wall endpoint, away from the connected walls.
+   * @param {Point} start
+   * @param {Point} end
+   */
+  #buildNavPoints(start, end) {
+    const spacing = Math.max(this.token.w, this.token.h) * this.constructor.NAV_POINT_SPACING;
+    const { sceneRect } = canvas.dimensions;
+
+    // Collect the direction of each connected edge at every wall vertex.
+    const vertexDirs = new Map();
+    for ( const edge of SCENE_GRAPH.edges.values() ) {
+      const a = edge.a.point;
+      const b = edge.b.point;
+      if ( !vertexDirs.has(edge.a.key) ) vertexDirs.set(edge.a.key, { vertex: a, dirs: [] });
+      if ( !vertexDirs.has(edge.b.key) ) vertexDirs.set(edge.b.key, { vertex: b, dirs: [] });
+      vertexDirs.get(edge.a.key).dirs.push(b.subtract(a).normalize());
+      vertexDirs.get(edge.b.key).dirs.push(a.subtract(b).normalize());
+    }
+
+    const navPoints = new Map();
+    for ( const { vertex, dirs } of vertexDirs.values() ) {
+      // Place a point opposite the averaged edge direction.
+      // If the edges cancel out (e.g., a straight wall), place points to either side.
+      const dir = new PIXI.Point();
+      dirs.forEach(d => dir.add(d, dir));
+      const candidates = [];
+      if ( dir.magnitude() < 1e-06 ) {
+        const perp = dirs[0];
+        candidates.push(new PIXI.Point(-perp.y, perp.x), new PIXI.Point(perp.y, -perp.x));
+      } else candidates.push(dir.normalize().multiplyScalar(-1));
+
+      for ( const c of candidates ) {
+        const pt = vertex.add(c.multiplyScalar(spacing));
+        if ( !sceneRect.contains(pt.x, pt.y) ) continue;
+        const key = pointKey(pt);
+        navPoints.set(key, { key, center: pt });
+      }
+    }
+    navPoints.delete(pointKey(start));
+    navPoints.delete(pointKey(end));
+    this.#navPoints = [...navPoints.values()];
+  }
+
+  /**
+   * Reconstruct the path from the search map.
+   * @param {Map<string, string>} cameFrom
+   * @param {Map<string, PathfinderNode>} nodes
+   * @param {string} key
+   * @returns {PathfinderNode[]}
+   */
+  #reconstruct(cameFrom, nodes, key) {
+    const out = [nodes.get(key)];
+    while ( cameFrom.has(key) ) {
+      key = cameFrom.get(key);
+      out.push(nodes.get(key));
+    }
+    return out.reverse();
+  }
+
+  // ----- NOTE: Costs ----- //
+
+  /**
+   * Estimated cost between two nodes. Must not overestimate.
+   * @param {PathfinderNode} a
+   * @param {PathfinderNode} b
+   * @returns {number}
+   */
+  _heuristic(a, b) { return this._distance(a.center, b.center) * this.minDifficulty; }
+
+  /**
+   * Distance between two points, in grid units.
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {number}
+   */
+  _distance(a, b) {
+    if ( this.isGridless ) return PIXI.Point.distanceBetween(a, b) / canvas.dimensions.distancePixels;
+    return canvas.grid.measurePath([a, b]).distance;
+  }
+
+  /**
+   * Cost of moving between two adjacent points, accounting for terrain.
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {number}
+   */
+  _edgeCost(a, b) {
+    const dist = this._distance(a, b);
+    if ( !this.costRegions.length ) return dist;
+
+    // Gridless segments may be long, so sample along the segment.
+    const difficulties = this._sampleDifficulties(a, b, this.isGridless ? 1 : 0);
+    return dist * (difficulties.reduce((acc, d) => acc + d, 0) / difficulties.length);
+  }
+
+  /**
+   * Terrain movement difficulty at evenly spaced points along a segment.
+   * @param {Point} a
+   * @param {Point} b
+   * @param {number} [samplesPerGrid=1]   Samples per grid space of segment length; 0 to sample only the midpoint
+   * @returns {number[]}
+   */
+  _sampleDifficulties(a, b, samplesPerGrid = 1) {
+    const nSamples = Math.max(1, Math.ceil(PIXI.Point.distanceBetween(a, b) * samplesPerGrid / canvas.grid.size));
+    const difficulties = [];
+    for ( let i = 0; i < nSamples; i += 1 ) {
+      const t = (i + 0.5) / nSamples;
+      const pt = ElevatedPoint.fromLocationWithElevation({ x: a.x + ((b.x - a.x) * t), y: a.y + ((b.y - a.y) * t) }, this.elevation);
+      difficulties.push(terrainMovementDifficulty(pt, this.action, this.costRegions, { test2d: true }));
+    }
+    return difficulties;
+  }
+
+  /**
+   * Test whether walls in the scene graph block movement between two points.
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {boolean}
+   */
+  _wallsBlock(a, b) {
+    const bounds = segmentBounds(a, b);
+    const collisionTest = (o, _rect) => doSegmentsOverlap(a, b, o.t.a, o.t.b);
+    const edges = SCENE_GRAPH.edgesQuadtree.getObjects(bounds, { collisionTest });
+    for ( const edge of edges ) {
+      if ( edge.edgeBlocks(a, this.token, undefined, this.elevation) ) return true;
+    }
+    return false;
+  }
+
+  // ----- NOTE: Path construction ----- //
+
+  /**
+   * Remove points that lie on a straight line between their neighbors.
+   * A point is only removed if the merged segment is not blocked by walls and crosses uniform terrain.
+   * @param {PIXI.Point[]} pts
+   * @returns {PIXI.Point[]}
+   */
+  _simplify(pts) {
+    if ( pts.length < 3 ) return pts;
+    const out = [pts[0]];
+    for ( let i = 1, n = pts.length - 1; i < n; i += 1 ) {
+      const prev = out.at(-1);
+      const curr = pts[i];
+      const next = pts[i + 1];
+      const collinear = foundry.utils.orient2dFast(prev, curr, next).almostEqual(0);
+      if ( collinear && !this._wallsBlock(prev, next) && this._hasUniformTerrain(prev, next) ) continue;
+      out.push(curr);
+    }
+    out.push(pts.at(-1));
+    return out;
+  }
+
+  /**
+   * Does the terrain movement difficulty stay the same along the whole segment?
+   * Samples twice per grid space so that terrain in any space crossed by the segment is caught.
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {boolean}
+   */
+  _hasUniformTerrain(a, b) {
+    if ( !this.costRegions.length ) return true;
+    const [first, ...rest] = this._sampleDifficulties(a, b, 2);
+    return rest.every(d => d.almostEqual(first, this.constructor.DIFFICULTY_EPSILON));
+  }
+
+  /**
+   * Add elevation to each leg of the path using the token elevation handler.
+   * @param {PIXI.Point[]} pts
+   * @returns {ElevatedPoint[]}
+   */
+  _addElevation(pts) {
+    const { terrainFlightActions, terrainBurrowActions, terrainWalkActions } = CONFIG[MODULE_ID];
+    const flying = terrainFlightActions.has(this.action);
+    const burrowing = terrainBurrowActions.has(this.action);
+    const walking = terrainWalkActions.has(this.action);
+    const tm = this.token[MODULE_ID];
+    const constrain = canvas.scene.getFlag(MODULE_ID, FLAGS.SCENE.CONSTRAIN_ELEVATION);
+
+    let a = ElevatedPoint.fromLocationWithElevation(pts[0], this.elevation);
+    const path = [a];
+    for ( let i = 1, n = pts.length; i < n; i += 1 ) {
+      const b = ElevatedPoint.fromLocationWithElevation(pts[i], a.elevation);
+      if ( !constrain ) {
+        path.push(b);
+        a = b;
+        continue;
+      }
+
+      // As with Token#createTerrainMovementPath, skip if no regions or tiles along this leg.
+      tm.initialize(a, b);
+      if ( !(tm.regions.length || tm.tiles.length) ) {
+        path.push(b);
+        a = b;
+        continue;
+      }
+      const leg = tm.constructPath(a, b, { flying, burrowing, walking });
+      path.push(...leg.slice(1));
+      a = path.at(-1);
+    }
+    return path;
+  }
+
+  /**
+   * Convert a center point to a top-left waypoint for the token.
+   * @param {ElevatedPoint} pt
+   * @returns {object}
+   */
+  _waypointForPoint(pt) {
+    const tl = this.token.getTopLeft(pt.x, pt.y);
+    return {
+      x: Math.round(tl.x),
+      y: Math.round(tl.y),
+      elevation: pt.elevation,
+      action: this.action
+    };
+  }
+
+  // ----- NOTE: Static methods ----- //
+
+  /**
+   * Find the cheapest path for a token to a destination.
+   * @param {Token} token                 Token that will be moving
+   * @param {Point} destination           Ending center point
+   * @param {object} [opts]
+   * @param {string} [opts.action]        Movement action; defaults to the token's current HUD action
+   * @param {Point} [opts.start]          Starting center point; defaults to the token center
+   * @returns {object|null} See TerrainPathfinder#findPath
+   */
+  static findPath(token, destination, { action, start } = {}) {
+    const pathfinder = new this(token, { action });
+    return pathfinder.findPath(start, destination);
+  }
+}
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Key for a point, rounded to the nearest pixel.
+ * @param {Point} pt
+ * @returns {string}
+ */
+function pointKey(pt) { return `${Math.round(pt.x)}.${Math.round(pt.y)}`; }
+
+/**
+ * Minimal binary heap used as the priority queue for the search.
+ */
+class MinHeap {
+  /** @type {object[]} */
+  #heap = [];
+
+  /** @type {number} */
+  get size() { return this.#heap.length; }
+
+  /**
+   * @param {*} value
+   * @param {number} priority
+   */
+  push(value, priority) {
+    const heap = this.#heap;
+    heap.push({ value, priority });
+    let i = heap.length - 1;
+    while ( i > 0 ) {
+      const parent = (i - 1) >> 1;
+      if ( heap[parent].priority <= heap[i].priority ) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * @returns {*} The value with the lowest priority.
+   */
+  pop() {
+    const heap = this.#heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if ( heap.length ) {
+      heap[0] = last;
+      let i = 0;
+      const n = heap.length;
+      while ( true ) {
+        const l = (2 * i) + 1;
+        const r = l + 1;
+        let smallest = i;
+        if ( l < n && heap[l].priority < heap[smallest].priority ) smallest = l;
+        if ( r < n && heap[r].priority < heap[smallest].priority ) smallest = r;
+        if ( smallest === i ) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
@@ -4,6 +4,7 @@ CONFIG,
 CONST,
 game,
 PIXI,
+ui,
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
@@ -58,9 +59,53 @@ function updateToken(tokenD, changed, _options, userId) {
 }
 
 
+/**
+ * Hook dropCanvasData
+ * Add a terrain dropped onto a token to that token, for every terrain storage type.
+ * @param {Canvas} canvas     The Canvas
+ * @param {object} data       The data that has been dropped onto the Canvas
+ * @returns {boolean|void} False to prevent other handling of the drop
+ */
+function dropCanvasData(_canvas, data) {
+  const Terrain = CONFIG[MODULE_ID].Terrain;
+  const terrain = Terrain.fromDragData(data);
+  if ( !terrain ) return;
+  const token = topmostTokenAt(data);
+  if ( !token ) return;
+  if ( !token.isOwner ) {
+    ui.notifications.warn(`${MODULE_ID}.drop.not-owner`, { localize: true });
+    return false;
+  }
+  Terrain.addToToken(token, [terrain]); // Async
+  return false;
+}
+
+/**
+ * Hook dropActorSheetData
+ * Terrains stored as token flags cannot be copied to the actor, so add them to the actor's tokens instead.
+ * @param {Actor} actor                 The Actor whose sheet received the drop
+ * @param {ActorSheet} sheet            The sheet
+ * @param {object} data                 The data that has been dropped onto the sheet
+ * @returns {boolean|void} False to prevent other handling of the drop
+ */
+function dropActorSheetData(actor, _sheet, data) {
+  if ( !data?.flagStorage ) return;
+  const Terrain = CONFIG[MODULE_ID].Terrain;
+  const terrain = Terrain.fromDragData(data);
+  if ( !terrain ) return;
+  const tokens = actor.getActiveTokens();
+  if ( !tokens.length ) {
+    ui.notifications.warn(`${MODULE_ID}.drop.no-tokens`, { localize: true });
+    return false;
+  }
+  tokens.forEach(token => Terrain.addToToken(token, [terrain])); // Async
+  return false;
+}
 
 PATCHES.BASIC.HOOKS = {
   updateToken,
+  dropCanvasData,
+  dropActorSheetData
 };
 
 // ----- NOTE: Wraps ----- //
@@ -99,7 +144,8 @@ export function calculatePathForCenterPoints(token, aCenter, bCenter) {
 
 /**
  * Wrap Token#createTerrainMovementPath
- * Add in waypoints for plateaus/ramps
+ * Add in waypoints for plateaus/ramps.
+ * Split the path where it crosses terrain boundaries and apply terrain movement costs.
  *
  * ----
  * @param {TokenGetTerrainMovementPathWaypoint[]} waypoints    The waypoints of movement
@@ -108,14 +154,30 @@ export function calculatePathForCenterPoints(token, aCenter, bCenter) {
  * @returns {TokenTerrainMovementWaypoint[]}                   The movement path with terrain data
  */
 function createTerrainMovementPath(wrapped, waypoints, options) {
-  if ( waypoints.length < 2 || !canvas.scene.getFlag(MODULE_ID, FLAGS.SCENE.CONSTRAIN_ELEVATION) ) return wrapped(waypoints, options);
+  if ( waypoints.length < 2 ) return wrapped(waypoints, options);
+  if ( canvas.scene.getFlag(MODULE_ID, FLAGS.SCENE.CONSTRAIN_ELEVATION) ) waypoints = constructElevationWaypoints(this, waypoints);
+
+  const costRegions = regionsWithTerrainMovementCost();
+  if ( !costRegions.length ) return wrapped(waypoints, options);
+  waypoints = splitWaypointsAtTerrainBoundaries(this, waypoints, costRegions);
+  const path = wrapped(waypoints, options);
+  applyTerrainMovementCosts(this, path, costRegions);
+  return path;
+}
 
+/**
+ * Add in waypoints for plateaus/ramps.
+ * @param {Token} token
+ * @param {TokenGetTerrainMovementPathWaypoint[]} waypoints    The waypoints of movement
+ * @returns {TokenGetTerrainMovementPathWaypoint[]}            The waypoints, with elevation changes added
+ */
+function constructElevationWaypoints(token, waypoints) {
   log(`createTerrainMovementPath|Initial Waypoints: ${waypoints.length} waypoints: ${ElevatedPoint.fromObject(waypoints[0])} --> ${ElevatedPoint.fromObject(waypoints.at(-1))}`);
   if ( CONFIG[MODULE_ID].debug ) console.table(waypoints);
 
   // Check if this is a basic elevation change. Allow, disallow, allow with elevation change.
   waypoints = waypoints.filter((pt, idx) => idx === 0 || (!pt.intermediate && (pt.explicit || pt.checkpoint)));
-  const tm = this[MODULE_ID];
+  const tm = token[MODULE_ID];
 
   // Testing
   // if ( waypoints.length > 2 ) console.log("Waypoints", waypoints);
@@ -136,8 +198,8 @@ function createTerrainMovementPath(wrapped, waypoints, options) {
     const walking = CONFIG[MODULE_ID].terrainWalkActions.has(next.action);
 
     // log(`createTerrainMovementPath|${ElevatedPoint.fromObject(start)} --> ${ElevatedPoint.fromObject(next)}`, { flying, burrowing, walking });
-    const a = _centerWaypoint(start, this);
-    const b = _centerWaypoint(next, this);
+    const a = _centerWaypoint(start, token);
+    const b = _centerWaypoint(next, token);
     tm.initialize(a, b);
 
     // If no regions or tiles, just allow the movement to continue as is.
@@ -150,7 +212,7 @@ function createTerrainMovementPath(wrapped, waypoints, options) {
     }
 
     const path = tm.constructPath(a, b, { flying, burrowing, walking });
-    path.forEach(pt => _uncenterPathPointInPlace(pt, this));
+    path.forEach(pt => _uncenterPathPointInPlace(pt, token));
 
     // Use the next waypoint parameters, changing only what is necessary.
     for ( let j = 1, maxJ = path.length - 1; j < maxJ; j += 1 ) {
@@ -189,7 +251,7 @@ function createTerrainMovementPath(wrapped, waypoints, options) {
   if ( CONFIG[MODULE_ID].debug ) console.table(newWaypoints);
   log(`\n\n`);
 
-  return wrapped(newWaypoints, options);
+  return newWaypoints;
 }
 
 /**
@@ -251,8 +313,24 @@ function getAllTerrains() { return CONFIG[MODULE_ID].Terrain.allOnToken(this); }
 
 /**
  * Remove all terrains from the token.
+ * @param {object} [opts]
+ * @param {boolean} [opts.includePinned=false]    Also remove pinned terrains
+ * @returns {boolean} True if change was made
+ */
+async function removeAllTerrains(opts) { return CONFIG[MODULE_ID].Terrain.removeAllFromToken(this, opts); }
+
+/**
+ * Replace the terrains on the token. Pinned terrains are kept.
+ * @param {Terrain[]|Set<Terrain>} terrains
+ * @returns {boolean} True if change was made
  */
-async function removeAllTerrains() { return CONFIG[MODULE_ID].Terrain.removeAllFromToken(this); }
+async function replaceAllTerrains(terrains) { return CONFIG[MODULE_ID].Terrain.replaceAllOnToken(this, terrains); }
+
+/**
+ * Recompute the terrains on the token from the regions it occupies.
+ * @returns {boolean} True if change was made
+ */
+async function syncTerrainsToRegions() { return CONFIG[MODULE_ID].Terrain.syncTokenToRegions(this); }
 
 /**
  * Test if token has a given terrain.
@@ -275,12 +353,130 @@ function getTopLeft(x, y) {
 PATCHES.BASIC.METHODS = {
   getAllTerrains,
   removeAllTerrains,
+  replaceAllTerrains,
+  syncTerrainsToRegions,
   hasTerrain,
   getTopLeft
 };
 
 // ----- NOTE: Helper functions ----- //
 
+/**
+ * The visible token at a canvas location, preferring the highest and then the one drawn on top.
+ * @param {Point} location
+ * @returns {Token|undefined}
+ */
+function topmostTokenAt(location) {
+  return canvas.tokens.placeables
+    .filter(token => token.visible && token.bounds.contains(location.x, location.y))
+    .sort((a, b) => (a.document.elevation - b.document.elevation) || (a.document.sort - b.document.sort))
+    .at(-1);
+}
+
+/**
+ * Regions on the canvas with at least one terrain that modifies movement cost.
+ * @returns {Region[]}
+ */
+export function regionsWithTerrainMovementCost() {
+  return canvas.regions.placeables.filter(region => region[MODULE_ID].terrains.values().some(t => t?.hasMovementCost));
+}
+
+/**
+ * Movement difficulty at a given location, based on the terrains of the regions that contain it.
+ * Where more than one terrain applies, the highest difficulty is used.
+ * @param {ElevatedPoint} pt                    Location to test
+ * @param {string} action                       Movement action, e.g. "walk"
+ * @param {Region[]} [regions]                  Regions to test
+ * @param {object} [opts]
+ * @param {boolean} [opts.test2d=false]         If true, ignore the region elevation when testing the location
+ * @returns {number} Multiple of the distance moved; 1 if no terrain applies
+ */
+export function terrainMovementDifficulty(pt, action, regions = regionsWithTerrainMovementCost(), { test2d = false } = {}) {
+  let difficulty = 1;
+  for ( const region of regions ) {
+    const tm = region[MODULE_ID];
+    if ( !(test2d ? tm.test2dPoint(pt) : tm.testPoint(pt)) ) continue;
+    for ( const terrain of tm.terrains ) {
+      if ( !terrain ) continue;
+      difficulty = Math.max(difficulty, terrain.movementDifficulty(action));
+    }
+  }
+  return difficulty;
+}
+
+/**
+ * Add intermediate waypoints wherever the path crosses the boundary of a region with a terrain movement cost.
+ * Each segment between waypoints then lies entirely inside or entirely outside each such region.
+ * @param {Token} token
+ * @param {TokenGetTerrainMovementPathWaypoint[]} waypoints    The waypoints of movement
+ * @param {Region[]} regions                                   Regions to test
+ * @returns {TokenGetTerrainMovementPathWaypoint[]}            The waypoints, split at terrain boundaries
+ */
+function splitWaypointsAtTerrainBoundaries(token, waypoints, regions) {
+  const newWaypoints = [waypoints[0]];
+  for ( let i = 1, maxI = waypoints.length; i < maxI; i += 1 ) {
+    const prev = waypoints[i - 1];
+    const next = waypoints[i];
+    const a = _centerWaypoint(prev, token);
+    const b = _centerWaypoint(next, token);
+
+    // Gather the intersections along the segment, ignoring the endpoints.
+    const ixs = [];
+    for ( const region of regions ) {
+      for ( const ix of region[MODULE_ID].segmentIntersections(a, b) ) {
+        if ( ix.t0.almostEqual(0) || ix.t0.almostEqual(1) || ix.t0 < 0 || ix.t0 > 1 ) continue;
+        ixs.push(ix);
+      }
+    }
+    ixs.sort((ix0, ix1) => ix0.t0 - ix1.t0);
+
+    // Add each unique intersection as an intermediate waypoint.
+    let prevT = 0;
+    for ( const ix of ixs ) {
+      if ( ix.t0.almostEqual(prevT) ) continue;
+      prevT = ix.t0;
+      const pathPt = _uncenterPathPointInPlace(a.projectToward(b, ix.t0), token);
+      newWaypoints.push(Object.assign({}, next, {
+        checkpoint: false,
+        intermediate: true,
+        snapped: false,
+        explicit: false,
+        x: pathPt.x,
+        y: pathPt.y,
+        elevation: pathPt.elevation,
+      }));
+    }
+    newWaypoints.push(next);
+  }
+  return newWaypoints;
+}
+
+/**
+ * Set the terrain data for each segment of the movement path based on the terrains of the regions it passes through.
+ * Segments are assumed to lie entirely inside or outside each region, so the midpoint determines the terrains.
+ * @param {Token} token
+ * @param {TokenTerrainMovementWaypoint[]} path     The movement path with terrain data; modified in place
+ * @param {Region[]} regions                        Regions to test
+ */
+function applyTerrainMovementCosts(token, path, regions) {
+  const TerrainData = CONFIG.Token.movement.TerrainData;
+  if ( !TerrainData?.schema.has("difficulty") ) {
+    log("applyTerrainMovementCosts|Terrain data for this system does not support difficulty.");
+    return;
+  }
+
+  for ( let i = 1, maxI = path.length; i < maxI; i += 1 ) {
+    const waypoint = path[i];
+    const a = _centerWaypoint(path[i - 1], token);
+    const b = _centerWaypoint(waypoint, token);
+    const difficulty = terrainMovementDifficulty(a.projectToward(b, 0.5), waypoint.action, regions);
+    if ( difficulty === 1 ) continue;
+
+    const currDifficulty = waypoint.terrain?.difficulty ?? 1;
+    if ( currDifficulty >= difficulty ) continue;
+    waypoint.terrain = waypoint.terrain ? waypoint.terrain.clone({ difficulty }) : new TerrainData({ difficulty });
+  }
+}
 
 
 // ----- NOTE: Getters ----- //
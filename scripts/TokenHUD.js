@@ -0,0 +1,89 @@
+/* globals
+canvas,
+foundry,
+game,
+ui
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FA_ICONS } from "./const.js";
+import { TerrainPathfinder } from "./TerrainPathfinder.js";
+import { TokenElevationHandler } from "./TokenElevationHandler.js";
+import { Draw } from "./geometry/Draw.js";
+import { TMTokenTerrains } from "./TMTokenTerrains.js";
+import { pickCanvasPosition } from "./util.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook renderTokenHUD
+ * Add a button to suggest the cheapest path to a destination.
+ * Add a button to list the token's terrains.
+ * @param {ApplicationV2} application          The Application instance being rendered
+ * @param {HTMLElement} element                The inner HTML of the document that will be displayed and may be modified
+ * @param {ApplicationRenderContext} context   The application rendering context data
+ * @param {ApplicationRenderOptions} options   The application rendering options
+ */
+function renderTokenHUD(app, element, _context, _options) {
+  const col = element.querySelector(".col.right");
+  if ( !col ) return;
+  const token = app.object;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("control-icon");
+  button.dataset.tooltip = game.i18n.localize(`${MODULE_ID}.token-hud.suggest-path`);
+  button.innerHTML = `<i class="${FA_ICONS.PATHFINDING}" inert></i>`;
+  button.addEventListener("click", _event => {
+    app.close();
+    selectDestinationAndSuggestPath(token); // Async
+  });
+  col.appendChild(button);
+
+  const terrainsButton = document.createElement("button");
+  terrainsButton.type = "button";
+  terrainsButton.classList.add("control-icon");
+  terrainsButton.dataset.tooltip = game.i18n.localize(`${MODULE_ID}.token-hud.terrains`);
+  terrainsButton.innerHTML = `<i class="${FA_ICONS.TOKEN_TERRAINS}" inert></i>`;
+  terrainsButton.addEventListener("click", _event => {
+    const existing = foundry.applications.instances.get(`${MODULE_ID}-token-terrains-${token.document.id}`);
+    if ( existing ) existing.render({ force: true });
+    else new TMTokenTerrains({ token }).render({ force: true });
+  });
+  col.appendChild(terrainsButton);
+}
+
+PATCHES.BASIC.HOOKS = { renderTokenHUD };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Wait for the user to click a destination on the canvas, then preview the cheapest path to it.
+ * If the user confirms, move the token along the path.
+ * A right-click or Escape cancels the selection.
+ * @param {Token} token
+ */
+async function selectDestinationAndSuggestPath(token) {
+  ui.notifications.info(`${MODULE_ID}.token-hud.select-destination`, { localize: true });
+  const destination = await pickCanvasPosition();
+  if ( !destination ) return;
+  const result = TerrainPathfinder.findPath(token, destination);
+  if ( !result ) {
+    ui.notifications.warn(`${MODULE_ID}.token-hud.no-path`, { localize: true });
+    return;
+  }
+
+  TokenElevationHandler.drawPath(result.path, { color: Draw.COLORS.green });
+  const costLabel = `${Math.round(result.cost * 100) / 100} ${canvas.grid.units}`.trim();
+  const proceed = await foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize(`${MODULE_ID}.token-hud.suggest-path`) },
+    content: `<p>${game.i18n.format(`${MODULE_ID}.token-hud.confirm-path`, { cost: costLabel })}</p>`,
+    rejectClose: false
+  });
+  Draw.clearDrawings();
+  if ( proceed ) await token.document.move(result.waypoints);
+}
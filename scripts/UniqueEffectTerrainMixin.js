@@ -1,15 +1,27 @@
 /* globals
+canvas,
+ChatMessage,
 CONFIG,
+CONST,
 foundry,
 fromUuid,
 game,
+Roll,
+ui
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { ICONS, MODULE_ID, FLAGS } from "./const.js";
+import { ICONS, MODULE_ID, FLAGS, IMPORT_CONFLICT } from "./const.js";
 import { loadDefaultTerrainJSONs } from "./default_terrains.js";
-import { createDocument } from "./unique_effects/documents.js";
+import { TerrainJSONSchema } from "./TerrainJSONSchema.js";
+import { Settings } from "./settings.js";
+import { log } from "./util.js";
+import {
+  createDocument,
+  updateDocument,
+  updateEmbeddedDocuments,
+  deleteEmbeddedDocuments } from "./unique_effects/documents.js";
 
 /**
  * A mixin which extends the UniqueEffect with specialized terrain behaviors
@@ -53,16 +65,23 @@ export function TerrainMixin(Base) {
         }
         this._flagStorageDocument = item;
       }
+      await this._migrateClientFolders();
     }
 
     // ----- NOTE: Folder management ----- //
 
     static _folders = new Map();
 
+    /**
+     * Terrain Book folders, keyed by id.
+     * Stored in the flag storage item so all GMs share the same folders.
+     * Each access returns fresh copies of the stored folders.
+     * @type {Map<string, TMFolder>}
+     */
     static get folders() {
       const folderArray = this._flagStorageDocument.getFlag(MODULE_ID, FLAGS.TERRAIN_BOOK.FOLDERS) || [];
       this._folders.clear();
-      folderArray.forEach(folder => this._folders.set(folder.id, folder));
+      folderArray.forEach(folder => this._folders.set(folder.id, this._normalizeFolder(foundry.utils.deepClone(folder))));
       return this._folders;
     }
 
@@ -77,6 +96,27 @@ export function TerrainMixin(Base) {
 
     static getFolderById(id) { return this.folders.get(id); }
 
+    /**
+     * Minimum user roles to see and to change a folder, if not set on the folder.
+     * @type {object} { view, edit }
+     */
+    static get DEFAULT_FOLDER_PERMISSION() {
+      return { view: CONST.USER_ROLES.PLAYER, edit: CONST.USER_ROLES.ASSISTANT };
+    }
+
+    /**
+     * Fill in fields missing from folders saved by earlier versions.
+     * @param {object} folder
+     * @returns {TMFolder}
+     */
+    static _normalizeFolder(folder) {
+      folder.effects ??= [];
+      folder.parent ??= null;
+      folder.sort ??= 0;
+      folder.permission = { ...this.DEFAULT_FOLDER_PERMISSION, ...folder.permission };
+      return folder;
+    }
+
     /**
      * Add a folder if not yet present. Update otherwise.
      */
@@ -93,20 +133,29 @@ export function TerrainMixin(Base) {
         data.name ??= game.i18n.localize("FOLDER.ExportNewFolder");
         data.color ??= "black";
         data.effects ??= [];
-        folders.set(data.id, data);
+        data.parent ??= null;
+        data.sort ??= this.folderChildren(data.parent, folders).length;
+        folders.set(data.id, this._normalizeFolder(data));
       }
       return this._saveFolders();
     }
 
+    /**
+     * Delete a folder. Its subfolders move up to its parent.
+     * @param {string} id
+     */
     static async deleteFolder(id) {
       const folders = this.folders;
+      const folder = folders.get(id);
+      if ( !folder ) return;
+      folders.forEach(f => { if ( f.parent === id ) f.parent = folder.parent; });
       folders.delete(id);
       return this._saveFolders();
     }
 
     static async addEffectToFolder(folderId, effectId) {
+      if ( !this.folders.has(folderId) ) await this.addFolder({ id: folderId });
       const folders = this.folders;
-      if ( !folders.has(folderId) ) this.addFolder({ id: folderId });
       const folder = folders.get(folderId);
       if ( folder.effects.includes(effectId) ) return;
       folder.effects.push(effectId);
@@ -117,22 +166,22 @@ export function TerrainMixin(Base) {
       const folders = this.folders;
       if ( !folders.has(folderId) ) return;
       const folder = folders.get(folderId);
-      const idx = folder.effects.findIndex(effectId);
+      const idx = folder.effects.indexOf(effectId);
       if ( !~idx ) return;
       folder.effects.splice(idx, 1);
-      return this._saveFolders;
+      return this._saveFolders();
     }
 
     static async removeEffectFromAllFolders(effectId) {
       const folders = this.folders;
       let needsSave = false;
       for ( const folder of folders.values() ) {
-        const idx = folder.effects.findIndex(effectId);
+        const idx = folder.effects.indexOf(effectId);
         if ( !~idx ) continue;
         folder.effects.splice(idx, 1);
         needsSave ||= true;
       }
-      if ( needsSave ) await this._saveFolders;
+      if ( needsSave ) await this._saveFolders();
     }
 
     static findFoldersForEffect(effectId) {
@@ -143,6 +192,150 @@ export function TerrainMixin(Base) {
       return out;
     }
 
+    /**
+     * Folders directly inside a folder, in sort order.
+     * Folders whose parent no longer exists are treated as top-level.
+     * @param {string|null} parentId              Null for top-level folders
+     * @param {Map<string, TMFolder>} [folders]   Folders to search; pass when editing a copy
+     * @returns {TMFolder[]}
+     */
+    static folderChildren(parentId = null, folders = this.folders) {
+      return [...folders.values()]
+        .filter(folder => (folders.has(folder.parent) ? folder.parent : null) === parentId)
+        .sort((a, b) => a.sort - b.sort);
+    }
+
+    /**
+     * Folders containing a folder, nearest first.
+     * @param {string} folderId
+     * @param {Map<string, TMFolder>} [folders]
+     * @returns {TMFolder[]}
+     */
+    static folderAncestors(folderId, folders = this.folders) {
+      const out = [];
+      let parent = folders.get(folders.get(folderId)?.parent);
+      while ( parent && !out.includes(parent) && parent.id !== folderId ) {
+        out.push(parent);
+        parent = folders.get(parent.parent);
+      }
+      return out;
+    }
+
+    /**
+     * Can the user see this folder? Folders inside a hidden folder are also hidden.
+     * @param {string} folderId
+     * @param {User} [user]
+     * @param {Map<string, TMFolder>} [folders]
+     * @returns {boolean}
+     */
+    static canViewFolder(folderId, user = game.user, folders = this.folders) {
+      const folder = folders.get(folderId);
+      if ( !folder ) return false;
+      return [folder, ...this.folderAncestors(folderId, folders)].every(f => user.hasRole(f.permission.view));
+    }
+
+    /**
+     * Can the user rename, move, or change the contents of this folder?
+     * @param {string} folderId
+     * @param {User} [user]
+     * @param {Map<string, TMFolder>} [folders]
+     * @returns {boolean}
+     */
+    static canEditFolder(folderId, user = game.user, folders = this.folders) {
+      if ( !this.canViewFolder(folderId, user, folders) ) return false;
+      return user.hasRole(folders.get(folderId).permission.edit);
+    }
+
+    /**
+     * Move a folder inside another folder, or to the top level.
+     * @param {string} folderId
+     * @param {object} [opts]
+     * @param {string|null} [opts.parent=null]    The new parent folder
+     * @param {string} [opts.before]              Sibling folder to place this folder before; otherwise last
+     */
+    static async moveFolder(folderId, { parent = null, before } = {}) {
+      const folders = this.folders;
+      const folder = folders.get(folderId);
+      if ( !folder ) return;
+      if ( !folders.has(parent) ) parent = null;
+      if ( parent === folderId || this.folderAncestors(parent, folders).includes(folder) ) return; // Would create a cycle.
+      folder.parent = parent;
+      const siblings = this.folderChildren(parent, folders).filter(f => f !== folder);
+      const idx = siblings.findIndex(f => f.id === before);
+      siblings.splice(~idx ? idx : siblings.length, 0, folder);
+      siblings.forEach((f, i) => f.sort = i);
+      return this._saveFolders();
+    }
+
+    /**
+     * Move a terrain between folders or within a folder.
+     * @param {string} effectId
+     * @param {object} [opts]
+     * @param {string} [opts.fromFolderId]    Folder to remove the terrain from
+     * @param {string} [opts.toFolderId]      Folder to add the terrain to
+     * @param {string} [opts.before]          Terrain to place this terrain before; otherwise last
+     */
+    static async moveEffectToFolder(effectId, { fromFolderId, toFolderId, before } = {}) {
+      const folders = this.folders;
+      const from = folders.get(fromFolderId);
+      if ( from ) from.effects = from.effects.filter(id => id !== effectId);
+      const to = folders.get(toFolderId);
+      if ( to ) {
+        const effects = to.effects.filter(id => id !== effectId);
+        const idx = effects.indexOf(before);
+        effects.splice(~idx ? idx : effects.length, 0, effectId);
+        to.effects = effects;
+      }
+      return this._saveFolders();
+    }
+
+    /**
+     * Move folders saved by older versions in the client-scoped app_folders setting into the shared Terrain Book.
+     * Each GM client migrates its own folders on first load. Folders with the same id are merged.
+     */
+    static async _migrateClientFolders() {
+      if ( !game.user.isGM ) return;
+      const key = Settings.KEYS.CONTROL_APP.FOLDERS;
+      const clientFolders = Settings.get(key);
+      if ( !clientFolders?.length ) return;
+      log(`Terrain|Migrating ${clientFolders.length} Terrain Book folders from client settings.`);
+      for ( const folder of clientFolders ) await this.addFolder(foundry.utils.deepClone(folder));
+      await Settings.set(key, []);
+    }
+
+    // ----- NOTE: Exclusive groups ----- //
+
+    /**
+     * Groups of terrains that cannot coexist on a token.
+     * Effects are listed in priority order, highest first.
+     * @type {object[]} { id, name, effects }
+     */
+    static get exclusiveGroups() {
+      return this._flagStorageDocument?.getFlag(MODULE_ID, FLAGS.TERRAIN_BOOK.EXCLUSIVE_GROUPS) || [];
+    }
+
+    static async setExclusiveGroups(groups) {
+      groups = groups
+        .filter(group => group.effects?.length)
+        .map(group => ({
+          id: group.id || foundry.utils.randomID(),
+          name: group.name || game.i18n.localize(`${MODULE_ID}.exclusive-groups.new-group`),
+          effects: [...new Set(group.effects.filter(Boolean))]
+        }));
+      return this._flagStorageDocument.setFlag(MODULE_ID, FLAGS.TERRAIN_BOOK.EXCLUSIVE_GROUPS, groups);
+    }
+
+    /**
+     * The first exclusive group that contains this terrain.
+     * @type {object|null} { id, rank }
+     */
+    get exclusiveGroup() {
+      for ( const group of this.constructor.exclusiveGroups ) {
+        const rank = group.effects.indexOf(this.uniqueEffectId);
+        if ( ~rank ) return { id: group.id, rank };
+      }
+      return null;
+    }
 
     /**
      * Alias
@@ -152,6 +345,951 @@ export function TerrainMixin(Base) {
      */
     tokenHasTerrain(token) { return this.isOnToken(token); }
 
+    // ----- NOTE: Inheritance ----- //
+
+    /** @type {string} */
+    static DEFAULT_IMG = "icons/svg/hazard.svg";
+
+    /**
+     * Flags that identify a specific terrain or token copy and so are never inherited.
+     * @type {Set<string>}
+     */
+    static NON_INHERITED_FLAGS = new Set([
+      FLAGS.UNIQUE_EFFECT.ID,
+      FLAGS.UNIQUE_EFFECT.TYPE,
+      FLAGS.UNIQUE_EFFECT.IS_LOCAL,
+      FLAGS.TERRAIN.PARENT,
+      FLAGS.TERRAIN.LINGER_EXPIRY,
+      FLAGS.VERSION
+    ]);
+
+    /**
+     * The terrain from which this terrain inherits, if any.
+     * @type {Terrain|undefined}
+     */
+    get parent() {
+      const parentId = this.document?.getFlag(MODULE_ID, FLAGS.TERRAIN.PARENT);
+      if ( !parentId || parentId === this.uniqueEffectId ) return undefined;
+      return this.constructor._instances.get(parentId);
+    }
+
+    /**
+     * Chain of parent terrains, nearest first. Stops if the chain loops back on itself.
+     * @type {Terrain[]}
+     */
+    get ancestors() {
+      const ancestors = [];
+      const seen = new Set([this]);
+      let parent = this.parent;
+      while ( parent && !seen.has(parent) ) {
+        ancestors.push(parent);
+        seen.add(parent);
+        parent = parent.parent;
+      }
+      return ancestors;
+    }
+
+    /**
+     * Terrains that inherit from this terrain, directly or through other children.
+     * @type {Terrain[]}
+     */
+    get descendants() {
+      return [...this.constructor._instances.values()].filter(t => t !== this && t.ancestors.includes(this));
+    }
+
+    /**
+     * Terrains without their own icon use the icon of the nearest parent that has one.
+     * @type {string}
+     */
+    get img() {
+      const img = super.img;
+      if ( img && img !== this.constructor.DEFAULT_IMG ) return img;
+      for ( const parent of this.ancestors ) {
+        const parentImg = parent.document?.img;
+        if ( parentImg && parentImg !== this.constructor.DEFAULT_IMG ) return parentImg;
+      }
+      return img;
+    }
+
+    /**
+     * Get a module flag from this terrain, falling back on the nearest parent that sets it.
+     * @param {string} key
+     * @returns {*}
+     */
+    getInheritedFlag(key) {
+      for ( const terrain of [this, ...this.ancestors] ) {
+        const value = terrain.document?.getFlag(MODULE_ID, key);
+        if ( typeof value !== "undefined" ) return value;
+      }
+      return undefined;
+    }
+
+    /**
+     * Set or clear the parent of this terrain.
+     * @param {Terrain|string|null} parent      Terrain or its uniqueEffectId; null to clear
+     * @returns {boolean} True if the parent was changed
+     */
+    async setParent(parent) {
+      const parentId = parent?.uniqueEffectId ?? parent ?? null;
+      if ( !parentId ) {
+        await this.document.unsetFlag(MODULE_ID, FLAGS.TERRAIN.PARENT);
+        return true;
+      }
+      const newParent = this.constructor._instances.get(parentId);
+      if ( !newParent || newParent === this || newParent.ancestors.includes(this) ) {
+        console.warn(`${MODULE_ID}|Terrain ${this.name} cannot inherit from ${newParent?.name ?? parentId}.`);
+        return false;
+      }
+      await this.document.setFlag(MODULE_ID, FLAGS.TERRAIN.PARENT, parentId);
+      return true;
+    }
+
+    /**
+     * Create a new terrain that inherits everything from this one.
+     * Unlike duplicate, the variant stores no copies of this terrain's data, so later edits flow through.
+     * @returns {Terrain}
+     */
+    async createVariant() {
+      const variant = await this.constructor.create();
+      await variant.document.update({
+        name: game.i18n.format(`${MODULE_ID}.terrainbook.variant-name`, { name: this.name }),
+        [`flags.${MODULE_ID}.${FLAGS.TERRAIN.PARENT}`]: this.uniqueEffectId
+      });
+      return variant;
+    }
+
+    /**
+     * Data inherited from the parent chain with this terrain's own data layered on top.
+     * Changes are overridden by key: if this terrain has a change for a key, the parent changes for that key are dropped.
+     * @returns {object|undefined} { img, flags, changes }; undefined if the terrain has no parent
+     */
+    inheritedData() {
+      const ancestors = this.ancestors;
+      if ( !ancestors.length ) return undefined;
+      const data = { img: this.img, flags: {} };
+      const changes = new Map();
+      for ( const terrain of [...ancestors.reverse(), this] ) {
+        const src = terrain.document?.toObject?.();
+        if ( !src ) continue;
+        const flags = foundry.utils.deepClone(src.flags ?? {});
+        if ( terrain !== this && flags[MODULE_ID] ) {
+          for ( const key of this.constructor.NON_INHERITED_FLAGS ) delete flags[MODULE_ID][key];
+        }
+        foundry.utils.mergeObject(data.flags, flags);
+        if ( !Array.isArray(src.changes) ) continue;
+        const keyed = Map.groupBy(src.changes, change => change.key);
+        keyed.forEach((arr, key) => changes.set(key, arr));
+      }
+      if ( changes.size ) data.changes = [...changes.values()].flat();
+      return data;
+    }
+
+    /**
+     * Add inherited data to each terrain copy added to the token.
+     */
+    static async _addToToken(token, effects, data) {
+      await this._clearLingeringFlagCopies(token.document, effects);
+      const inheriting = effects.filter(effect => effect.parent);
+      if ( !inheriting.length ) return super._addToToken(token, effects, data);
+      let changed = false;
+      const plain = effects.filter(effect => !effect.parent);
+      if ( plain.length ) changed = await super._addToToken(token, plain, data);
+      for ( const effect of inheriting ) {
+        const datum = foundry.utils.mergeObject(effect.inheritedData(), data ?? {}, { inplace: false });
+        changed = (await super._addToToken(token, [effect], datum)) || changed;
+      }
+      return changed;
+    }
+
+    /**
+     * Add inherited data to each terrain copy added to the token locally.
+     */
+    static _addToTokenLocally(token, effects, data) {
+      const inheriting = effects.filter(effect => effect.parent);
+      if ( !inheriting.length ) return super._addToTokenLocally(token, effects, data);
+      let changed = false;
+      const plain = effects.filter(effect => !effect.parent);
+      if ( plain.length ) changed = super._addToTokenLocally(token, plain, data);
+      for ( const effect of inheriting ) {
+        const datum = foundry.utils.mergeObject(effect.inheritedData(), data ?? {}, { inplace: false });
+        changed = super._addToTokenLocally(token, [effect], datum) || changed;
+      }
+      return changed;
+    }
+
+    /**
+     * Module flags that belong to an individual token copy and are kept when syncing the copy.
+     * @type {Set<string>}
+     */
+    static TOKEN_COPY_FLAGS = new Set([...Base.TOKEN_COPY_FLAGS, FLAGS.TERRAIN.LINGER_EXPIRY]);
+
+    /**
+     * Token copies of an inheriting terrain carry the inherited data.
+     * @returns {object|undefined}
+     */
+    tokenCopyData() {
+      const data = super.tokenCopyData();
+      const inherited = this.inheritedData();
+      if ( !data || !inherited ) return data;
+      foundry.utils.mergeObject(data, inherited);
+      if ( this.document.documentName !== "ActiveEffect" ) delete data.changes;
+      const moduleFlags = data.flags?.[MODULE_ID];
+      if ( moduleFlags ) for ( const key of this.constructor.TOKEN_COPY_FLAGS ) delete moduleFlags[key];
+      return data;
+    }
+
+    /**
+     * When a stored terrain document is updated, sync its token copies and those of its children.
+     * @param {Document} document     Updated ActiveEffect or Item
+     * @param {object} _changed       Differential data that was used to update the document
+     */
+    static _onUpdateTerrainDocument(document, _changed) {
+      const terrain = this.uniqueEffectForTokenDocument(document);
+      if ( !terrain || terrain.document !== document ) return; // Not a stored terrain.
+      this.queueTokenCopySync([terrain, ...terrain.descendants]); // Async
+    }
+
+    // ----- NOTE: Compendium export/import ----- //
+
+    /**
+     * Item data that carries this terrain in a compendium.
+     * Item terrains are exported as-is; active effect terrains are embedded in a carrier item.
+     * @returns {object}
+     */
+    _compendiumItemData() {
+      const data = this.document.toObject();
+      delete data._id;
+      delete data.folder;
+      if ( this.constructor.storageDocumentName === "Item" ) return data;
+      return {
+        name: data.name,
+        img: data.img,
+        type: this.constructor._storageMapData.type,
+        flags: {
+          [MODULE_ID]: {
+            [FLAGS.UNIQUE_EFFECT.TYPE]: this.constructor.type,
+            [FLAGS.UNIQUE_EFFECT.ID]: this.uniqueEffectId
+          }
+        },
+        effects: [data]
+      };
+    }
+
+    /**
+     * Export terrains and Terrain Book folders to an Item compendium.
+     * Terrains in the chosen folders are exported along with the chosen terrains.
+     * Terrains already in the pack, matched by id, are updated.
+     * @param {CompendiumCollection} pack
+     * @param {object} [opts]
+     * @param {string[]} [opts.terrainIds=[]]   Terrains to export
+     * @param {string[]} [opts.folderIds=[]]    Terrain Book folders to export, with their terrains
+     * @returns {number} Number of terrains exported
+     */
+    static async exportToCompendium(pack, { terrainIds = [], folderIds = [] } = {}) {
+      if ( pack.documentName !== "Item" || pack.locked ) {
+        ui.notifications.error(`${MODULE_ID}.compendium.pack-unavailable`, { localize: true });
+        return 0;
+      }
+
+      // Create or locate a compendium folder for each Terrain Book folder.
+      const folderMap = new Map();
+      const ids = new Set(terrainIds);
+      for ( const folderId of folderIds ) {
+        const folder = this.getFolderById(folderId);
+        if ( !folder ) continue;
+        folder.effects.forEach(id => ids.add(id));
+        let packFolder = pack.folders.find(f => f.getFlag(MODULE_ID, FLAGS.TERRAIN_BOOK.FOLDER_ID) === folderId);
+        packFolder ??= await foundry.documents.Folder.implementation.create({
+          name: folder.name,
+          color: folder.color,
+          type: "Item",
+          flags: { [MODULE_ID]: { [FLAGS.TERRAIN_BOOK.FOLDER_ID]: folderId } }
+        }, { pack: pack.collection });
+        folderMap.set(folderId, packFolder.id);
+      }
+
+      // Match existing pack entries by terrain id so re-exports update rather than duplicate.
+      const index = await pack.getIndex({ fields: [`flags.${MODULE_ID}.${FLAGS.UNIQUE_EFFECT.ID}`] });
+      const existing = new Map();
+      index.forEach(entry => {
+        const id = entry.flags?.[MODULE_ID]?.[FLAGS.UNIQUE_EFFECT.ID];
+        if ( id ) existing.set(id, entry._id);
+      });
+
+      const toCreate = [];
+      const toUpdate = [];
+      for ( const id of ids ) {
+        const terrain = this._instances.get(id);
+        if ( !terrain?.document ) continue;
+        const data = terrain._compendiumItemData();
+        const folderId = folderIds.find(fId => this.getFolderById(fId)?.effects.includes(id));
+        if ( folderId ) data.folder = folderMap.get(folderId);
+        if ( existing.has(id) ) {
+          data._id = existing.get(id);
+          toUpdate.push(data);
+        } else toCreate.push(data);
+      }
+      const cls = foundry.documents.Item.implementation;
+      if ( toCreate.length ) await cls.createDocuments(toCreate, { pack: pack.collection });
+      if ( toUpdate.length ) await cls.updateDocuments(toUpdate, { pack: pack.collection, recursive: false });
+      return toCreate.length + toUpdate.length;
+    }
+
+    /**
+     * Read the terrains stored in an Item compendium.
+     * Accepts item terrains and items that embed active effect terrains, whichever this class stores.
+     * @param {CompendiumCollection} pack
+     * @returns {object[]} { terrainId, name, data, folder } where folder is { id, name, color } or undefined
+     */
+    static async readCompendium(pack) {
+      const out = [];
+      if ( pack.documentName !== "Item" ) return out;
+      const isTerrain = doc => doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.TYPE) === this.type
+        && doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID);
+      for ( const item of await pack.getDocuments() ) {
+        const packFolder = item.folder;
+        const folder = packFolder ? {
+          id: packFolder.getFlag(MODULE_ID, FLAGS.TERRAIN_BOOK.FOLDER_ID) ?? packFolder.id,
+          name: packFolder.name,
+          color: packFolder.color?.toString() ?? "black"
+        } : undefined;
+        const docs = this.storageDocumentName === "Item"
+          ? (isTerrain(item) ? [item] : [])
+          : item.effects.filter(isTerrain);
+        for ( const doc of docs ) {
+          const data = doc.toObject();
+          delete data._id;
+          delete data.folder;
+          out.push({ terrainId: doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID), name: doc.name, data, folder });
+        }
+      }
+      return out;
+    }
+
+    /**
+     * Import the terrains stored in an Item compendium, placing them in matching Terrain Book folders.
+     * @param {CompendiumCollection} pack
+     * @param {object} [opts]
+     * @param {function} [opts.resolveConflicts]    Async function passed the entries whose ids already exist.
+     *   Returns a Map of terrain id to IMPORT_CONFLICT.CHOICES. Defaults to keeping the existing terrain.
+     * @returns {Terrain[]} The created or overwritten terrains
+     */
+    static async importFromCompendium(pack, { resolveConflicts } = {}) {
+      const { KEEP, OVERWRITE, COPY } = IMPORT_CONFLICT.CHOICES;
+      const entries = await this.readCompendium(pack);
+      const conflicts = entries.filter(entry => this._instances.has(entry.terrainId));
+      const resolutions = conflicts.length && resolveConflicts ? await resolveConflicts(conflicts) : new Map();
+      if ( !resolutions ) return []; // Dialog cancelled.
+
+      const imported = [];
+      const folderEffects = new Map();
+      for ( const entry of entries ) {
+        let terrain;
+        const resolution = this._instances.has(entry.terrainId) ? (resolutions.get(entry.terrainId) ?? KEEP) : undefined;
+        switch ( resolution ) {
+          case KEEP: continue;
+          case OVERWRITE: {
+            terrain = this._instances.get(entry.terrainId);
+            await terrain.fromJSON(JSON.stringify(entry.data));
+            break;
+          }
+          case COPY: {
+            const newId = this.uniqueEffectId();
+            foundry.utils.setProperty(entry.data, `flags.${MODULE_ID}.${FLAGS.UNIQUE_EFFECT.ID}`, newId);
+            entry.data.name = game.i18n.format(`${MODULE_ID}.compendium.copy-name`, { name: entry.data.name });
+            await this._createNewDocument(entry.data);
+            terrain = await this.create(newId);
+            break;
+          }
+          default: {
+            await this._createNewDocument(entry.data);
+            terrain = await this.create(entry.terrainId);
+          }
+        }
+        imported.push(terrain);
+        if ( !entry.folder ) continue;
+        if ( !folderEffects.has(entry.folder.id) ) folderEffects.set(entry.folder.id, { ...entry.folder, effects: [] });
+        folderEffects.get(entry.folder.id).effects.push(terrain.uniqueEffectId);
+      }
+      for ( const folder of folderEffects.values() ) await this.addFolder(folder);
+      return imported;
+    }
+
+    // ----- NOTE: JSON import ----- //
+
+    /** @type {number} */
+    static get JSON_SCHEMA_VERSION() { return TerrainJSONSchema.VERSION; }
+
+    /**
+     * Import all terrains from a json file, replacing the existing terrains.
+     * Entries that fail validation are skipped. If none pass, the existing terrains are kept.
+     * Problems are reported to the user in a dialog.
+     * @param {string} json   Data to import
+     * @returns {Terrain[]} The imported terrains
+     */
+    static async importAllFromJSON(json) {
+      const report = await TerrainJSONSchema.validate(json);
+      const valid = report.errors.length ? [] : report.entries.filter(entry => !entry.errors.length);
+      const imported = [];
+      if ( valid.length ) await this.deleteAll(true);
+      for ( const entry of valid ) {
+        try {
+          imported.push(await this._importJSONEntry(entry));
+        } catch ( err ) {
+          console.error(`${MODULE_ID}|importAllFromJSON`, err);
+          entry.errors.push(game.i18n.format(`${MODULE_ID}.schema.errors.import-failed`, { error: err.message }));
+        }
+      }
+      await TerrainJSONSchema.showReport(report, { imported: imported.length });
+      return imported;
+    }
+
+    /**
+     * Replace this terrain's data with a single exported terrain.
+     * Nothing is changed if the data is invalid.
+     * @param {string} json
+     * @returns {boolean} True if imported
+     */
+    async importFromJSON(json) {
+      const report = await TerrainJSONSchema.validate(json);
+      const entry = report.entries[0];
+      if ( report.errors.length || !entry || entry.errors.length ) {
+        await TerrainJSONSchema.showReport(report, { imported: 0 });
+        return false;
+      }
+      const data = this.constructor._cleanJSONEntryData(entry.data);
+      data.flags[MODULE_ID][FLAGS.UNIQUE_EFFECT.ID] = this.uniqueEffectId; // Keep this terrain's id.
+      await this.fromJSON(JSON.stringify(data));
+      await TerrainJSONSchema.showReport(report); // Warnings only.
+      return true;
+    }
+
+    /**
+     * Create a terrain from a validated json entry.
+     * @param {TerrainJSONEntryReport} entry
+     * @returns {Terrain}
+     */
+    static async _importJSONEntry(entry) {
+      await this._createNewDocument(this._cleanJSONEntryData(entry.data));
+      return this.create(entry.terrainId);
+    }
+
+    /**
+     * Copy of exported data without the fields tied to the exporting world.
+     * @param {object} data
+     * @returns {object}
+     */
+    static _cleanJSONEntryData(data) {
+      data = foundry.utils.deepClone(data);
+      delete data._id;
+      delete data._stats;
+      delete data.folder;
+      delete data.flags.exportSource;
+      return data;
+    }
+
+    // ----- NOTE: Movement cost ----- //
+
+    /**
+     * Movement cost settings for a given movement action.
+     * Multiplier is applied to the distance moved; surcharge is added per grid space moved.
+     * @param {string} action     Movement action, e.g. "walk"
+     * @returns {object}
+     *  - @prop {number} multiplier     Multiple of the distance moved; 1 if not set
+     *  - @prop {number} surcharge      Grid units added per grid space moved; 0 if not set
+     */
+    movementCost(action) {
+      const cost = this.getInheritedFlag(FLAGS.TERRAIN.MOVEMENT_COST)?.[action] ?? {};
+      return {
+        multiplier: Number.isFinite(cost.multiplier) ? cost.multiplier : 1,
+        surcharge: Number.isFinite(cost.surcharge) ? cost.surcharge : 0
+      };
+    }
+
+    /**
+     * Movement difficulty for a given action, expressed as a multiple of distance moved.
+     * Converts the surcharge into an equivalent multiplier using the scene grid distance.
+     * @param {string} action     Movement action, e.g. "walk"
+     * @returns {number}
+     */
+    movementDifficulty(action) {
+      const { multiplier, surcharge } = this.movementCost(action);
+      return multiplier + (surcharge / (canvas.scene?.grid.distance || 1));
+    }
+
+    /** @type {boolean} */
+    get hasMovementCost() {
+      const costs = this.getInheritedFlag(FLAGS.TERRAIN.MOVEMENT_COST);
+      if ( !costs ) return false;
+      return Object.keys(costs).some(action => this.movementDifficulty(action) !== 1);
+    }
+
+    // ----- NOTE: Lingering effects ----- //
+
+    /**
+     * How long this terrain remains on a token after the token exits the region.
+     * @type {object|null}
+     *  - @prop {number} value      Duration amount
+     *  - @prop {string} units      FLAGS.TERRAIN.EXIT_DURATION_UNITS.CHOICES
+     */
+    get exitDuration() {
+      const duration = this.getInheritedFlag(FLAGS.TERRAIN.EXIT_DURATION);
+      if ( !duration || !(duration.value > 0) ) return null;
+      return { value: duration.value, units: duration.units || FLAGS.TERRAIN.EXIT_DURATION_UNITS.CHOICES.ROUNDS };
+    }
+
+    /**
+     * Token copies of the terrain that may be lingering or made to linger.
+     * Flag copies record no origin, so they are matched by terrain id alone.
+     * @param {Token} token
+     * @param {Terrain[]} terrains
+     * @param {string} [origin]
+     * @returns {Document[]|object[]} Active effects, items, or flag documents
+     */
+    static _lingerableTokenDocuments(token, terrains, origin) {
+      return this.tokenDocumentsForUniqueEffects(token, terrains, true, origin);
+    }
+
+    /**
+     * Expiry of a lingering token copy.
+     * Active effect and item copies store it in their own flag.
+     * Flag copies are shared with the stored terrain, so the token stores it for them, keyed by terrain id.
+     * @param {Document|object} doc     Token copy of the terrain
+     * @returns {object|undefined} See Terrain._lingerExpiry; undefined if the copy is not lingering
+     */
+    static lingerExpiryForCopy(doc) {
+      if ( doc.documentName ) return doc.getFlag(MODULE_ID, FLAGS.TERRAIN.LINGER_EXPIRY) || undefined;
+      return doc.token?.document.getFlag(MODULE_ID, FLAGS.TOKEN.LINGERING_TERRAINS)?.[doc.uniqueEffectId];
+    }
+
+    /**
+     * Forget the expiry of flag copies, so that newly added copies do not start out lingering.
+     * @param {TokenDocument} tokenD
+     * @param {Terrain[]} terrains
+     */
+    static async _clearLingeringFlagCopies(tokenD, terrains) {
+      const lingering = tokenD?.getFlag(MODULE_ID, FLAGS.TOKEN.LINGERING_TERRAINS);
+      if ( !lingering ) return;
+      const update = {};
+      for ( const terrain of terrains ) {
+        if ( !Object.hasOwn(lingering, terrain.uniqueEffectId) ) continue;
+        update[`flags.${MODULE_ID}.${FLAGS.TOKEN.LINGERING_TERRAINS}.-=${terrain.uniqueEffectId}`] = null;
+      }
+      if ( !foundry.utils.isEmpty(update) ) await updateDocument(tokenD.uuid, update);
+    }
+
+    /**
+     * Determine when a lingering terrain should expire.
+     * Rounds are tracked by the active combat, if any; otherwise converted to world time.
+     * @param {object} duration     See Terrain#exitDuration
+     * @returns {object} { worldTime } or { combat, round }
+     */
+    static _lingerExpiry(duration) {
+      const { ROUNDS } = FLAGS.TERRAIN.EXIT_DURATION_UNITS.CHOICES;
+      if ( duration.units === ROUNDS ) {
+        const combat = game.combat;
+        if ( combat?.started ) return { combat: combat.id, round: combat.round + duration.value };
+        return { worldTime: game.time.worldTime + (duration.value * CONFIG.time.roundTime) };
+      }
+      return { worldTime: game.time.worldTime + duration.value };
+    }
+
+    /**
+     * Convert token copies of terrains with an exit duration into timed effects instead of removing them.
+     * @param {Token} token
+     * @param {Terrain[]|Set<Terrain>} terrains     Terrains being removed
+     * @param {string} [origin]                     Only affect copies with this origin
+     * @returns {Set<Terrain>} The terrains that will linger; the rest should be removed as usual
+     */
+    static async lingerOnToken(token, terrains, origin) {
+      const lingering = new Set();
+      const updates = { ActiveEffect: [], Item: [] };
+      const tokenUpdate = {};
+      for ( const terrain of terrains ) {
+        const duration = terrain.exitDuration;
+        if ( !duration ) continue;
+        const docs = this._lingerableTokenDocuments(token, [terrain], origin);
+        if ( !docs.length ) continue;
+        lingering.add(terrain);
+        const expiry = this._lingerExpiry(duration);
+        for ( const doc of docs ) {
+          if ( !doc.documentName ) {
+            tokenUpdate[`flags.${MODULE_ID}.${FLAGS.TOKEN.LINGERING_TERRAINS}.${doc.uniqueEffectId}`] = expiry;
+            continue;
+          }
+          const update = { _id: doc.id, [`flags.${MODULE_ID}.${FLAGS.TERRAIN.LINGER_EXPIRY}`]: expiry };
+          if ( doc.documentName === "ActiveEffect" ) update.duration = Object.hasOwn(expiry, "round")
+            ? { rounds: duration.value, startRound: game.combat.round, startTurn: game.combat.turn, combat: expiry.combat }
+            : { seconds: expiry.worldTime - game.time.worldTime, startTime: game.time.worldTime };
+          updates[doc.documentName].push(update);
+        }
+      }
+      for ( const [embeddedName, data] of Object.entries(updates) ) {
+        if ( data.length ) await updateEmbeddedDocuments(token.actor.uuid, embeddedName, data);
+      }
+      if ( !foundry.utils.isEmpty(tokenUpdate) ) await updateDocument(token.document.uuid, tokenUpdate);
+      return lingering;
+    }
+
+    /**
+     * Restore lingering copies of terrains on the token to untimed effects, e.g., when the token re-enters the region.
+     * @param {Token} token
+     * @param {Terrain[]|Set<Terrain>} terrains
+     * @param {string} [origin]                     New origin for the restored copies
+     * @returns {Set<Terrain>} The terrains that were restored
+     */
+    static async refreshLingeringOnToken(token, terrains, origin) {
+      const refreshed = new Set();
+      const updates = { ActiveEffect: [], Item: [] };
+      const tokenUpdate = {};
+      for ( const terrain of terrains ) {
+        const docs = this._lingerableTokenDocuments(token, [terrain])
+          .filter(doc => this.lingerExpiryForCopy(doc));
+        if ( !docs.length ) continue;
+        refreshed.add(terrain);
+        for ( const doc of docs ) {
+          if ( !doc.documentName ) {
+            tokenUpdate[`flags.${MODULE_ID}.${FLAGS.TOKEN.LINGERING_TERRAINS}.-=${doc.uniqueEffectId}`] = null;
+            continue;
+          }
+          const update = { _id: doc.id, [`flags.${MODULE_ID}.-=${FLAGS.TERRAIN.LINGER_EXPIRY}`]: null };
+          if ( origin ) Object.assign(update, this.tokenDocumentOriginData(origin));
+          if ( doc.documentName === "ActiveEffect" ) update.duration = {
+            rounds: null, seconds: null, startRound: null, startTurn: null, startTime: null, combat: null };
+          updates[doc.documentName].push(update);
+        }
+      }
+      for ( const [embeddedName, data] of Object.entries(updates) ) {
+        if ( data.length ) await updateEmbeddedDocuments(token.actor.uuid, embeddedName, data);
+      }
+      if ( !foundry.utils.isEmpty(tokenUpdate) ) await updateDocument(token.document.uuid, tokenUpdate);
+      return refreshed;
+    }
+
+    /**
+     * Remove lingering terrain copies that have expired from tokens in every scene.
+     * Active effect and item copies are found on world actors and the synthetic actors of unlinked tokens;
+     * flag copies are found on the token documents.
+     */
+    static async removeExpiredLingering() {
+      const byId = id => this._instances.get(id);
+
+      // Active effect and item copies. Tokens outside the viewed scene have no placeable; only the actor is used.
+      for ( const actor of this._actorsWithTokenCopies() ) {
+        const token = actor.getActiveTokens(false, false)[0] ?? { actor };
+        for ( const doc of [...actor.effects, ...actor.items] ) {
+          const expiry = doc.getFlag(MODULE_ID, FLAGS.TERRAIN.LINGER_EXPIRY);
+          if ( !expiry || !this._lingerHasExpired(expiry) ) continue;
+          const terrain = byId(doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID));
+          if ( terrain ) await this._removeFromToken(token, [terrain], false, this.tokenDocumentOrigin(doc));
+          else await deleteEmbeddedDocuments(actor.uuid, doc.documentName, [doc.id]); // Terrain was deleted.
+        }
+      }
+
+      // Flag copies.
+      for ( const scene of game.scenes ) {
+        for ( const tokenD of scene.tokens ) {
+          const lingering = tokenD.getFlag(MODULE_ID, FLAGS.TOKEN.LINGERING_TERRAINS);
+          if ( !lingering ) continue;
+          const expiredIds = Object.entries(lingering)
+            .filter(([_id, expiry]) => this._lingerHasExpired(expiry))
+            .map(([id]) => id);
+          if ( !expiredIds.length ) continue;
+          const terrains = expiredIds.map(byId).filter(terrain => Boolean(terrain));
+          const update = {};
+          for ( const id of expiredIds ) update[`flags.${MODULE_ID}.${FLAGS.TOKEN.LINGERING_TERRAINS}.-=${id}`] = null;
+          if ( tokenD.object && terrains.length ) await this._removeFromToken(tokenD.object, terrains);
+          else for ( const id of expiredIds ) update[`flags.${MODULE_ID}.-=${id}`] = null;
+          await updateDocument(tokenD.uuid, update);
+        }
+      }
+    }
+
+    /**
+     * @param {object} expiry     See Terrain._lingerExpiry
+     * @returns {boolean}
+     */
+    static _lingerHasExpired(expiry) {
+      if ( Object.hasOwn(expiry, "worldTime") ) return game.time.worldTime >= expiry.worldTime;
+      const combat = game.combats.get(expiry.combat);
+      if ( !combat ) return true; // Combat ended.
+      return combat.round >= expiry.round;
+    }
+
+    // ----- NOTE: Token pins and suppression ----- //
+
+    /**
+     * Ids of terrains pinned on the token. Region exit does not remove pinned terrains.
+     * @param {Token} token
+     * @returns {Set<string>}
+     */
+    static pinnedIds(token) {
+      return new Set(token.document.getFlag(MODULE_ID, FLAGS.TOKEN.PINNED_TERRAINS) ?? []);
+    }
+
+    /**
+     * Ids of terrains suppressed on the token. Regions do not add suppressed terrains.
+     * @param {Token} token
+     * @returns {Set<string>}
+     */
+    static suppressedIds(token) {
+      return new Set(token.document.getFlag(MODULE_ID, FLAGS.TOKEN.SUPPRESSED_TERRAINS) ?? []);
+    }
+
+    /**
+     * Pin or unpin this terrain on the token.
+     * @param {Token} token
+     * @param {boolean} [pinned=true]
+     */
+    async pinOnToken(token, pinned = true) {
+      const ids = this.constructor.pinnedIds(token);
+      if ( pinned ) ids.add(this.uniqueEffectId);
+      else ids.delete(this.uniqueEffectId);
+      await token.document.setFlag(MODULE_ID, FLAGS.TOKEN.PINNED_TERRAINS, [...ids]);
+    }
+
+    /**
+     * Remove this terrain from the token and keep regions from adding it back.
+     * Suppressing a terrain also unpins it.
+     * @param {Token} token
+     */
+    async suppressOnToken(token) {
+      const pinned = this.constructor.pinnedIds(token);
+      const suppressed = this.constructor.suppressedIds(token);
+      pinned.delete(this.uniqueEffectId);
+      suppressed.add(this.uniqueEffectId);
+      await token.document.update({ [`flags.${MODULE_ID}`]: {
+        [FLAGS.TOKEN.PINNED_TERRAINS]: [...pinned],
+        [FLAGS.TOKEN.SUPPRESSED_TERRAINS]: [...suppressed]
+      }});
+      await this.constructor.removeFromToken(token, [this], { removeAllDuplicates: true });
+    }
+
+    /**
+     * Lift the suppression of this terrain and add it back to the token.
+     * If a region containing the token provides the terrain, the copy is attributed to that region.
+     * @param {Token} token
+     */
+    async restoreOnToken(token) {
+      const suppressed = this.constructor.suppressedIds(token);
+      suppressed.delete(this.uniqueEffectId);
+      await token.document.setFlag(MODULE_ID, FLAGS.TOKEN.SUPPRESSED_TERRAINS, [...suppressed]);
+      if ( this.isOnToken(token) ) return;
+      const behavior = this._regionBehaviorForToken(token);
+      await this.constructor.addToToken(token, [this], behavior ? { origin: behavior.uuid } : undefined);
+    }
+
+    /**
+     * Remove all terrains from the token. Pinned terrains are kept unless requested.
+     * @param {Token} token
+     * @param {object} [opts]
+     * @param {boolean} [opts.includePinned=false]   Also remove pinned terrains
+     * @returns {boolean} True if change was made
+     */
+    static async removeAllFromToken(token, { includePinned = false } = {}) {
+      if ( includePinned ) return super.removeAllFromToken(token);
+      const pinned = this.pinnedIds(token);
+      const toRemove = new Set(this.allOnToken(token).filter(t => !pinned.has(t.uniqueEffectId)));
+      if ( !toRemove.size ) return false;
+      return await this._removeFromToken(token, [...toRemove], true);
+    }
+
+    /**
+     * Replace the terrains on the token. Pinned terrains already on the token are kept.
+     * @param {Token} token
+     * @param {Terrain[]|Set<Terrain>} terrains     Terrains the token should have
+     * @param {object} [data]                       Additional data to add to the created effects
+     * @returns {boolean} True if change was made
+     */
+    static async replaceAllOnToken(token, terrains, data) {
+      const pinned = this.pinnedIds(token);
+      const keep = this.allOnToken(token).filter(t => pinned.has(t.uniqueEffectId));
+      return super.replaceAllOnToken(token, new Set([...terrains, ...keep]), data);
+    }
+
+    /**
+     * Recompute the token's terrains from the Set Terrain behaviors of the regions it currently occupies.
+     * Terrains that no region provides are removed, unless pinned or lingering after an exit.
+     * Suppressed terrains are not added. New copies are attributed to the behavior that provides them.
+     * @param {Token} token
+     * @returns {boolean} True if change was made
+     */
+    static async syncTokenToRegions(token) {
+      const tokenD = token.document;
+      const pinned = this.pinnedIds(token);
+      const suppressed = this.suppressedIds(token);
+
+      // Terrains provided by each behavior, keyed by the behavior uuid used as the copy origin.
+      const provided = new Map();
+      for ( const region of tokenD.regions ?? [] ) {
+        for ( const behavior of region.behaviors ) {
+          if ( behavior.disabled || behavior.type !== `${MODULE_ID}.setTerrain` ) continue;
+          if ( !behavior.system.tokenQualifies(tokenD) ) continue;
+          const terrains = [...behavior.system.terrainSet].filter(t => !suppressed.has(t.uniqueEffectId));
+          if ( terrains.length ) provided.set(behavior.uuid, terrains);
+        }
+      }
+      const desired = new Set([...provided.values()].flat());
+
+      // Remove terrains that no region provides.
+      const isLingering = doc => Boolean(this.lingerExpiryForCopy(doc));
+      const toRemove = new Set();
+      for ( const terrain of this.allOnToken(token) ) {
+        if ( desired.has(terrain) || pinned.has(terrain.uniqueEffectId) ) continue;
+        if ( this.tokenDocumentsForUniqueEffects(token, [terrain]).every(isLingering) ) continue;
+        toRemove.add(terrain);
+      }
+      let changed = false;
+      if ( toRemove.size ) changed = await this._removeFromToken(token, [...toRemove], true);
+
+      // Add the missing terrains, restoring lingering copies instead of duplicating them.
+      for ( const [origin, terrains] of provided ) {
+        const refreshed = await this.refreshLingeringOnToken(token, terrains, origin);
+        const toAdd = terrains.filter(t => {
+          if ( refreshed.has(t) ) return false;
+          if ( t.allowsDuplicates ) return !this.tokenDocumentsForUniqueEffects(token, [t], false, origin).length;
+          return !t.isOnToken(token);
+        });
+        changed ||= refreshed.size > 0;
+        if ( toAdd.length ) changed = (await this.addToToken(token, toAdd, { origin })) || changed;
+      }
+      return changed;
+    }
+
+    /**
+     * A Set Terrain behavior of a region containing the token that would add this terrain to it.
+     * @param {Token} token
+     * @returns {RegionBehavior|undefined}
+     */
+    _regionBehaviorForToken(token) {
+      const tokenD = token.document;
+      for ( const region of tokenD.regions ?? [] ) {
+        for ( const behavior of region.behaviors ) {
+          if ( behavior.disabled || behavior.type !== `${MODULE_ID}.setTerrain` ) continue;
+          if ( behavior.system.terrains.has(this.uniqueEffectId) && behavior.system.tokenQualifies(tokenD) ) return behavior;
+        }
+      }
+    }
+
+    // ----- NOTE: Hazards ----- //
+
+    /**
+     * Hazard configuration for this terrain, if any.
+     * @type {object|null}
+     *  - @prop {string} trigger      FLAGS.TERRAIN.HAZARD.TRIGGERS.CHOICES
+     *  - @prop {string} type         FLAGS.TERRAIN.HAZARD.TYPES.CHOICES
+     *  - @prop {string} message      Chat text or roll flavor
+     *  - @prop {string} formula      Damage roll formula
+     *  - @prop {object} save         { ability, dc } for the saving throw prompt
+     *  - @prop {string} macro        Uuid of the macro to execute
+     */
+    get hazard() {
+      const { FLAG, TRIGGERS, TYPES } = FLAGS.TERRAIN.HAZARD;
+      const hazard = this.getInheritedFlag(FLAG);
+      if ( !hazard || !hazard.trigger || hazard.trigger === TRIGGERS.CHOICES.NONE ) return null;
+      return {
+        trigger: hazard.trigger,
+        type: hazard.type || TYPES.CHOICES.CHAT,
+        message: hazard.message ?? "",
+        formula: hazard.formula ?? "",
+        save: { ability: hazard.save?.ability ?? "", dc: hazard.save?.dc ?? null },
+        macro: hazard.macro ?? ""
+      };
+    }
+
+    /**
+     * Run this terrain's hazard for a token, if the hazard uses the given trigger.
+     * @param {Token} token
+     * @param {string} trigger        FLAGS.TERRAIN.HAZARD.TRIGGERS.CHOICES
+     * @param {Combat} [combat]       If provided, the hazard is recorded in the combat's hazard log
+     * @returns {boolean} True if the hazard fired
+     */
+    async triggerHazard(token, trigger, combat) {
+      const hazard = this.hazard;
+      if ( !hazard || hazard.trigger !== trigger ) return false;
+      const { CHAT, DAMAGE, SAVE, MACRO } = FLAGS.TERRAIN.HAZARD.TYPES.CHOICES;
+      const speaker = ChatMessage.implementation.getSpeaker({ token: token.document });
+      const flavor = `<strong>${this.name}</strong>${hazard.message ? ` — ${hazard.message}` : ""}`;
+      switch ( hazard.type ) {
+        case CHAT: {
+          await ChatMessage.implementation.create({ speaker, content: `<p>${flavor}</p>` });
+          break;
+        }
+        case DAMAGE: {
+          if ( !hazard.formula ) return false;
+          const roll = await new Roll(hazard.formula, token.actor?.getRollData() ?? {}).evaluate();
+          await roll.toMessage({ speaker, flavor });
+          break;
+        }
+        case SAVE: {
+          const save = game.i18n.format(`${MODULE_ID}.hazard.save-prompt`, {
+            name: token.name,
+            ability: hazard.save.ability,
+            dc: hazard.save.dc ?? "—" });
+          await ChatMessage.implementation.create({ speaker, content: `<p>${flavor}</p><p>${save}</p>` });
+          break;
+        }
+        case MACRO: {
+          const macro = hazard.macro ? await fromUuid(hazard.macro) : null;
+          if ( !macro ) {
+            console.warn(`${MODULE_ID}|Hazard macro ${hazard.macro} for terrain ${this.name} not found.`);
+            return false;
+          }
+          await macro.execute({ token, actor: token.actor, terrain: this, trigger });
+          break;
+        }
+        default: return false;
+      }
+      if ( combat ) await this.constructor.logHazard(combat, token, this, hazard);
+      return true;
+    }
+
+    /**
+     * Record that a hazard fired for a token in the combat's hazard log.
+     * @param {Combat} combat
+     * @param {Token} token
+     * @param {Terrain} terrain
+     * @param {object} hazard       See Terrain#hazard
+     */
+    static async logHazard(combat, token, terrain, hazard) {
+      const log = [...this.hazardLog(combat), {
+        round: combat.round,
+        turn: combat.turn,
+        tokenId: token.id,
+        tokenName: token.name,
+        terrainId: terrain.uniqueEffectId,
+        terrainName: terrain.name,
+        trigger: hazard.trigger,
+        type: hazard.type
+      }];
+      await combat.setFlag(MODULE_ID, FLAGS.COMBAT.HAZARD_LOG, log);
+    }
+
+    /**
+     * Hazards that have fired during a combat.
+     * @param {Combat} [combat]     Defaults to the active combat
+     * @returns {object[]} Entries of { round, turn, tokenId, tokenName, terrainId, terrainName, trigger, type }
+     */
+    static hazardLog(combat = game.combat) {
+      return combat?.getFlag(MODULE_ID, FLAGS.COMBAT.HAZARD_LOG) ?? [];
+    }
+
+    /**
+     * Run the hazards for all terrains on a token that use the given trigger.
+     * Terrains that are only lingering after the token left the region do not fire.
+     * @param {Token} token
+     * @param {string} trigger        FLAGS.TERRAIN.HAZARD.TRIGGERS.CHOICES
+     * @param {Combat} [combat]
+     */
+    static async triggerHazardsOnToken(token, trigger, combat) {
+      const docs = [...(this.getTokenStorage(token)?.values() ?? [])];
+      for ( const terrain of new Set(this.allOnToken(token)) ) {
+        const copies = docs.filter(doc => doc.getFlag?.(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID) === terrain.uniqueEffectId);
+        if ( copies.length && copies.every(doc => this.lingerExpiryForCopy(doc)) ) continue;
+        await terrain.triggerHazard(token, trigger, combat);
+      }
+    }
+
     /** @type {string} */
     static type = "Terrain";
 
@@ -172,16 +1310,34 @@ export function TerrainMixin(Base) {
     static newDocumentData(activeEffectId) {
       const data = Base.newDocumentData.call(this, activeEffectId);
       data.name = game.i18n.localize(`${MODULE_ID}.phrases.new-terrain`);
-      data.img = "icons/svg/hazard.svg";
+      data.img = this.DEFAULT_IMG;
       return data;
     }
 
+    /**
+     * Default terrains supplied by the system adapter, from JSON files and Item compendium packs.
+     * @returns {Map<string, object>} Terrain id to document data
+     */
+    static async _loadDefaultTerrainData() {
+      const { defaultTerrainJSONs = [], defaultCompendiumIds = [] } = CONFIG[MODULE_ID];
+      const defaultMap = defaultTerrainJSONs.length ? await loadDefaultTerrainJSONs(defaultTerrainJSONs) : new Map();
+      for ( const packId of defaultCompendiumIds ) {
+        const pack = game.packs.get(packId);
+        if ( !pack ) {
+          console.warn(`${MODULE_ID}|Default terrain compendium ${packId} not found.`);
+          continue;
+        }
+        for ( const entry of await this.readCompendium(pack) ) defaultMap.set(entry.terrainId, entry.data);
+      }
+      return defaultMap;
+    }
+
     /**
      * Initialize default effects by adding the document(s) to the storage map.
      */
     static async _initializeDefaultEffects() {
-      if ( !CONFIG[MODULE_ID].defaultTerrainJSONs.length ) return;
-      const defaultMap = await loadDefaultTerrainJSONs(CONFIG[MODULE_ID].defaultTerrainJSONs);
+      const defaultMap = await this._loadDefaultTerrainData();
+      if ( !defaultMap.size ) return;
       const promises = [];
       defaultMap.forEach(data => {
         data.name = game.i18n.localize(data.name);
@@ -204,8 +1360,8 @@ export function TerrainMixin(Base) {
      * Reset default effects by removing the existing ids and re-adding.
      */
     static async _resetDefaultEffects() {
-      if ( !CONFIG[MODULE_ID].defaultTerrainJSONs.length ) return;
-      const defaultMap = await loadDefaultTerrainJSONs(CONFIG[MODULE_ID].defaultTerrainJSONs);
+      const defaultMap = await this._loadDefaultTerrainData();
+      if ( !defaultMap.size ) return;
 
       // Delete existing.
       for ( const key of defaultMap.keys() ) {
@@ -218,12 +1374,22 @@ export function TerrainMixin(Base) {
       await this._initializeDefaultEffects();
     }
 
+    /**
+     * Include the terrain id so the terrain can be dropped on the canvas to paint a region.
+     * @returns {object}
+     */
+    toDragData() {
+      const data = super.toDragData();
+      data.terrainId = this.uniqueEffectId;
+      return data;
+    }
+
     /**
      * Remove this terrain from any folders.
      */
-    async destroy() {
+    async destroy(deleteDocument = false) {
       await this.constructor.removeEffectFromAllFolders(this.uniqueEffectId);
-      return super.destroy();
+      return super.destroy(deleteDocument);
     }
   };
 }
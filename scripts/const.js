@@ -12,6 +12,7 @@ export const MODULE_ID = "terrainmapper";
 export const TEMPLATES = {
   SCENE: `modules/${MODULE_ID}/templates/scene-config.html`,
   ACTIVE_EFFECT: `modules/${MODULE_ID}/templates/active-effect-config.html`,
+  ACTIVE_EFFECT_HAZARD: `modules/${MODULE_ID}/templates/active-effect-config-hazard.html`,
   SETTINGS: `modules/${MODULE_ID}/templates/settings-menu-tab-partial.html`,
   ITEM_PF2e: `modules/${MODULE_ID}/templates/item-config-pf2e.html`,
   REGION: `modules/${MODULE_ID}/templates/region-config.html`,
@@ -19,8 +20,18 @@ export const TEMPLATES = {
   TERRAIN_BOOK_DIRECTORY: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-directory.html`,
   TERRAIN_BOOK_DOCUMENT_PARTIAL: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-document-partial.html`,
   TERRAIN_BOOK_FOLDER: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-folder-config.html`,
+  TERRAIN_BOOK_EXCLUSIVE_GROUPS: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-exclusive-groups.html`,
   TERRAIN_BOOK_FOLDER_PARTIAL: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-folder-partial.html`,
+  COMPENDIUM_CONFLICTS: `modules/${MODULE_ID}/templates/compendium-conflicts.html`,
+  COMPENDIUM_EXPORT: `modules/${MODULE_ID}/templates/compendium-export.html`,
+  COMPENDIUM_IMPORT: `modules/${MODULE_ID}/templates/compendium-import.html`,
+  TERRAIN_AUDIT: `modules/${MODULE_ID}/templates/terrain-audit.html`,
+  TERRAIN_USAGE: `modules/${MODULE_ID}/templates/terrain-usage.html`,
+  IMPORT_REPORT: `modules/${MODULE_ID}/templates/terrain-import-report.html`,
   TERRAIN_BOOK_HEADER: `modules/${MODULE_ID}/templates/terrain-effects-menu-app-header.html`,
+  PLAYER_TERRAIN_BOOK: `modules/${MODULE_ID}/templates/player-terrain-book.html`,
+  TOKEN_TERRAINS: `modules/${MODULE_ID}/templates/token-terrains.html`,
+  MIGRATION_REPORT: `modules/${MODULE_ID}/templates/migration-report.html`,
 };
 
 // Track certain modules that complement features of this module.
@@ -45,7 +56,67 @@ export const FLAGS = {
     TYPE: "uniqueEffectType",
     DUPLICATES_ALLOWED: "duplicatesAllowed",
     IS_LOCAL: "isLocal",
-    DISPLAY_ICON: "displayStatusIcon"
+    DISPLAY_ICON: "displayStatusIcon",
+    ORIGIN: "origin" // Source of a token copy that has no origin field of its own, e.g., an item.
+  },
+
+  // Terrain-specific settings stored on the terrain document.
+  TERRAIN: {
+    MOVEMENT_COST: "movementCost", // { [action]: { multiplier, surcharge } }
+    EXIT_DURATION: "exitDuration", // { value, units }
+    EXIT_DURATION_UNITS: {
+      CHOICES: {
+        ROUNDS: "rounds",
+        SECONDS: "seconds"
+      },
+      LABELS: {
+        rounds: `${MODULE_ID}.active-effect-config.exitDuration.rounds`,
+        seconds: `${MODULE_ID}.active-effect-config.exitDuration.seconds`
+      }
+    },
+    LINGER_EXPIRY: "lingerExpiry", // Set on token copies: { worldTime } or { combat, round }
+    PARENT: "parent", // uniqueEffectId of the terrain from which this terrain inherits
+    HAZARD: {
+      FLAG: "hazard", // { trigger, type, message, formula, save: { ability, dc }, macro }
+      TRIGGERS: {
+        CHOICES: {
+          NONE: "none",
+          TURN_START: "turnStart",
+          TURN_END: "turnEnd"
+        },
+        LABELS: {
+          none: `${MODULE_ID}.hazard.triggers.none`,
+          turnStart: `${MODULE_ID}.hazard.triggers.turnStart`,
+          turnEnd: `${MODULE_ID}.hazard.triggers.turnEnd`
+        }
+      },
+      TYPES: {
+        CHOICES: {
+          CHAT: "chat",
+          DAMAGE: "damage",
+          SAVE: "save",
+          MACRO: "macro"
+        },
+        LABELS: {
+          chat: `${MODULE_ID}.hazard.types.chat`,
+          damage: `${MODULE_ID}.hazard.types.damage`,
+          save: `${MODULE_ID}.hazard.types.save`,
+          macro: `${MODULE_ID}.hazard.types.macro`
+        }
+      }
+    }
+  },
+
+  // TokenDocument
+  TOKEN: {
+    PINNED_TERRAINS: "pinnedTerrains", // [terrainId] Terrains that region exit will not remove
+    SUPPRESSED_TERRAINS: "suppressedTerrains", // [terrainId] Terrains that regions will not add
+    LINGERING_TERRAINS: "lingeringTerrains" // { terrainId: expiry } Lingering flag copies, for flag storage
+  },
+
+  // Combat
+  COMBAT: {
+    HAZARD_LOG: "hazardLog" // [{ round, turn, tokenId, tokenName, terrainId, terrainName, trigger, type }]
   },
 
   // Scene
@@ -60,21 +131,58 @@ export const FLAGS = {
     CHOICES: {
       NONE: "none",
       PLATEAU: "plateau",
-      RAMP: "ramp"
+      RAMP: "ramp",
+      HEIGHTMAP: "heightmap",
+      RADIAL: "radial",
+      VERTEX: "vertex"
     },
     LABELS: {
       none: `${MODULE_ID}.elevationAlgorithm.labels.none`,
       plateau: `${MODULE_ID}.elevationAlgorithm.labels.plateau`,
-      ramp: `${MODULE_ID}.elevationAlgorithm.labels.ramp`
+      ramp: `${MODULE_ID}.elevationAlgorithm.labels.ramp`,
+      heightmap: `${MODULE_ID}.elevationAlgorithm.labels.heightmap`,
+      radial: `${MODULE_ID}.elevationAlgorithm.labels.radial`,
+      vertex: `${MODULE_ID}.elevationAlgorithm.labels.vertex`
     },
     PLATEAU_ELEVATION: "plateauElevation",
     RAMP: {
       FLOOR: "rampFloor",
       DIRECTION: "rampDirection",
       STEP_SIZE: "rampStepSize",
-      SPLIT_POLYGONS: "splitPolygons"
+      SPLIT_POLYGONS: "splitPolygons",
+      PROFILE: "rampProfile",
+      PROFILE_POINTS: "rampProfilePoints", // "x,y x,y ...": fraction along the ramp, fraction of the rise.
+      PROFILE_CHOICES: {
+        LINEAR: "linear",
+        EASE_IN: "easeIn",
+        EASE_OUT: "easeOut",
+        S_CURVE: "sCurve",
+        CUSTOM: "custom"
+      },
+      PROFILE_LABELS: {
+        linear: `${MODULE_ID}.rampProfile.labels.linear`,
+        easeIn: `${MODULE_ID}.rampProfile.labels.easeIn`,
+        easeOut: `${MODULE_ID}.rampProfile.labels.easeOut`,
+        sCurve: `${MODULE_ID}.rampProfile.labels.sCurve`,
+        custom: `${MODULE_ID}.rampProfile.labels.custom`
+      }
+    },
+    HEIGHTMAP_SRC: "heightmapSrc", // Grayscale image spanning the region bounds; black is rampFloor, white is plateauElevation.
+    RADIAL: {
+      PEAK: "radialPeak", // {x, y} of the peak, at plateauElevation. Region edges are at rampFloor.
+      FALLOFF: "radialFalloff",
+      FALLOFF_CHOICES: {
+        LINEAR: "linear",
+        SMOOTH: "smooth"
+      },
+      FALLOFF_LABELS: {
+        linear: `${MODULE_ID}.radialFalloff.labels.linear`,
+        smooth: `${MODULE_ID}.radialFalloff.labels.smooth`
+      }
     },
+    VERTEX_ELEVATIONS: "vertexElevations", // Elevation of each polygon vertex, keyed "x_y" in rounded pixels.
     WALL_RESTRICTIONS: "wallRestrictions",
+    PAINTED_TERRAIN: "paintedTerrain", // Terrain id for a region created by painting that terrain on the canvas.
   },
 
   TILE: {
@@ -100,11 +208,27 @@ export const FLAGS = {
   TERRAIN_BOOK: {
     FOLDER_COLOR: "folderColor",
     FOLDERS: "folders",
+    EXCLUSIVE_GROUPS: "exclusiveGroups", // [{ id, name, effects: [ids, highest priority first] }]
+    FOLDER_ID: "folderId", // Set on compendium folders to track the Terrain Book folder they hold
   },
 
   VERSION: "version"
 };
 
+// How to handle a terrain imported from a compendium whose id already exists in the world.
+export const IMPORT_CONFLICT = {
+  CHOICES: {
+    KEEP: "keep",
+    OVERWRITE: "overwrite",
+    COPY: "copy"
+  },
+  LABELS: {
+    keep: `${MODULE_ID}.compendium.conflict.keep`,
+    overwrite: `${MODULE_ID}.compendium.conflict.overwrite`,
+    copy: `${MODULE_ID}.compendium.conflict.copy`
+  }
+};
+
 export const MOVEMENT_TYPES = {
   BURROW: 0,
   WALK: 1,
@@ -123,6 +247,10 @@ export const FA_ICONS = {
   ELEVATOR: "fa-solid fa-elevator",             // https://fontawesome.com/icons/elevator
   TERRAIN_BOOK: "fa-solid fa-mountain-sun",     // https://fontawesome.com/icons/mountain-sun
   BLOCKING_WALLS: "fa-solid fa-person-walking-dashed-line-arrow-right",    // https://fontawesome.com/icons/person-walking-dashed-line-arrow-right
+  PATHFINDING: "fa-solid fa-route",             // https://fontawesome.com/icons/route
+  HAZARD: "fa-solid fa-skull-crossbones",       // https://fontawesome.com/icons/skull-crossbones
+  INSPECTOR: "fa-solid fa-magnifying-glass-location",   // https://fontawesome.com/icons/magnifying-glass-location
+  TOKEN_TERRAINS: "fa-solid fa-layer-group",    // https://fontawesome.com/icons/layer-group
 };
 
 export const ICONS = {
@@ -1,44 +1,22 @@
 /* globals
 foundry,
-game
+game,
+ui,
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID, FLAGS } from "./const.js";
+import { MODULE_ID } from "./const.js";
+import { TerrainJSONSchema } from "./TerrainJSONSchema.js";
 
 /* Default terrains by system
 Stored as json files. At json/systemid/terrain_name.json
+Which files are used for a system is set by its adapter; see SystemAdapters.js.
 */
 
-/**
- * Return a map of any default terrains for a given system.
- * @returns {string[]} JSON paths for the given system
- * be further modified on input. Typically used to localize the name.
- */
-export function defaultTerrains() {
-  const systemId = game.system.id;
-  switch ( systemId ) {
-    case "dnd5e": return [
-      `modules/${MODULE_ID}/json/${systemId}/cliff.json`,
-      `modules/${MODULE_ID}/json/${systemId}/difficult.json`,
-      `modules/${MODULE_ID}/json/${systemId}/water.json`
-    ];
-
-    case "a5e": return [
-      `modules/${MODULE_ID}/json/${systemId}/cliff.json`,
-      `modules/${MODULE_ID}/json/${systemId}/difficult.json`,
-      `modules/${MODULE_ID}/json/${systemId}/frigid.json`,
-      `modules/${MODULE_ID}/json/${systemId}/hazy.json`,
-      `modules/${MODULE_ID}/json/${systemId}/swampy.json`,
-      `modules/${MODULE_ID}/json/${systemId}/water.json`
-    ];
-  }
-  return [];
-}
-
 /**
  * Takes an array of json paths and loads them, returning a map of uniqueEffectId to the json data.
+ * Files that fail to load or fail validation are skipped and logged, and the GM is notified.
  * @param {string[]} paths
  * @returns {Map<string, object>}
  */
@@ -46,14 +24,31 @@ export async function loadDefaultTerrainJSONs(paths) {
   // Load the JSONs
   const promises = [];
   for ( const path of paths ) promises.push(foundry.utils.fetchJsonWithTimeout(path));
-  const jsonData = (await Promise.allSettled(promises)).map(p => p.value);
+  const results = await Promise.allSettled(promises);
 
-  // Add each to the map
+  // Add each valid terrain to the map
   const map = new Map();
-  for ( const jsonDatum of jsonData ) {
-    const key = jsonDatum?.flags?.[MODULE_ID]?.[FLAGS.UNIQUE_EFFECT.ID];
-    if ( !key ) continue;
-    map.set(key, jsonDatum);
+  const skipped = new Set();
+  for ( const [i, result] of results.entries() ) {
+    if ( result.status === "rejected" ) {
+      console.error(`${MODULE_ID}|Default terrain ${paths[i]} could not be loaded.`, result.reason);
+      skipped.add(paths[i]);
+      continue;
+    }
+    const report = await TerrainJSONSchema.validate(result.value);
+    const problems = [...report.errors, ...report.warnings, ...report.entries.flatMap(e => [...e.errors, ...e.warnings])];
+    if ( problems.length ) console.warn(`${MODULE_ID}|Default terrain ${paths[i]}:\n${problems.join("\n")}`);
+    for ( const entry of report.entries ) {
+      if ( report.errors.length || entry.errors.length ) {
+        skipped.add(paths[i]);
+        continue;
+      }
+      map.set(entry.terrainId, entry.data);
+    }
+  }
+  if ( skipped.size && game.user?.isGM ) {
+    const files = [...skipped].join(", ");
+    ui.notifications.warn(game.i18n.format(`${MODULE_ID}.schema.default-skipped`, { files }));
   }
   return map;
 }
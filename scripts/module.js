@@ -25,10 +25,14 @@ import { StraightLinePath } from "./StraightLinePath.js";
 
 // Elevation
 import { TokenElevationHandler, CutawayHandler } from "./TokenElevationHandler.js";
+import { TerrainPathfinder } from "./TerrainPathfinder.js";
+import { TerrainAudit } from "./TerrainAudit.js";
+import { TerrainJSONSchema } from "./TerrainJSONSchema.js";
+import { TerrainMigrations } from "./TerrainMigrations.js";
 
 // Unique Terrain Effects
-import { TerrainActiveEffect, TerrainItemEffect, TerrainFlagEffect, TerrainPF2E } from "./terrain_unique_effects.js";
-import { defaultTerrains } from "./default_terrains.js";
+import { TerrainActiveEffect, TerrainItemEffect, TerrainFlagEffect } from "./terrain_unique_effects.js";
+import { SystemAdapters } from "./SystemAdapters.js";
 
 // Load the geometry library.
 import "./geometry/registration.js";
@@ -172,7 +176,12 @@ Hooks.on("quenchReady", async (quench) => {
 /**
  * A hook event that fires when the game is fully ready.
  */
-Hooks.on("ready", function(_canvas) {
+Hooks.on("ready", async function(_canvas) {
+  try {
+    await TerrainMigrations.migrateWorld(); // Active GM only.
+  } catch ( err ) {
+    console.error(`${MODULE_ID}|Terrain migrations could not run.`, err);
+  }
   CONFIG[MODULE_ID].Terrain.initialize(); // Async. Must wait until ready hook to store Settings for UniqueEffectFlag
 });
 //
@@ -190,7 +199,6 @@ Hooks.on("ready", function(_canvas) {
  * @param {Canvas} canvas The Canvas which is now ready for use
  */
 Hooks.on("canvasReady", function(_canvas) {
-  CONFIG[MODULE_ID].Terrain.transitionTokens(); // Async
   if ( game.user.isGM ) {
     setDefaultPlaceablesFlags(); // Async.
     setDefaultSceneFlags(); // Async.
@@ -212,6 +220,48 @@ function initializeAPI() {
     StraightLinePath,
     TokenElevationHandler,
     CutawayHandler,
+    TerrainPathfinder,
+    TerrainAudit,
+    TerrainJSONSchema,
+    SystemAdapters,
+    TerrainMigrations,
+
+    /**
+     * API to find the cheapest path for a token, accounting for walls, elevation, and terrain costs.
+     * @param {Token} token                 Token that will be moving
+     * @param {Point} destination           Ending center point
+     * @param {object} [opts]
+     * @param {string} [opts.action]        Movement action; defaults to the token's current HUD action
+     * @param {Point} [opts.start]          Starting center point; defaults to the token center
+     * @returns {object|null} Path, waypoints for TokenDocument#move, and cost; null if no path found
+     */
+    findPath: TerrainPathfinder.findPath.bind(TerrainPathfinder),
+
+    /**
+     * API to retrieve the terrain hazards that have fired during a combat.
+     * @param {Combat} [combat]         Defaults to the active combat
+     * @returns {object[]} Entries of { round, turn, tokenId, tokenName, terrainId, terrainName, trigger, type }
+     */
+    hazardLog: combat => CONFIG[MODULE_ID].Terrain.hazardLog(combat),
+
+    /**
+     * API to validate terrain JSON against the current schema and system, without importing it.
+     * @param {string|object} json                A single exported terrain or a file of all terrains
+     * @param {object} [opts]
+     * @param {boolean} [opts.checkImages=true]   Test that image paths exist on the server
+     * @returns {Promise<TerrainJSONReport>} { schemaVersion, valid, errors, warnings, entries }
+     */
+    validateTerrainJSON: (json, opts) => TerrainJSONSchema.validate(json, opts),
+
+    /**
+     * API to list what pending data migrations would change, without changing anything.
+     * @param {object} [opts]
+     * @param {number} [opts.from]        Treat migrations newer than this version as pending
+     * @param {boolean} [opts.show=true]  Display the report in a dialog
+     * @returns {Promise<MigrationReport>} { from, to, migrations }
+     */
+    migrationDryRun: ({ show = true, ...opts } = {}) => (show
+      ? TerrainMigrations.showDryRun(opts) : TerrainMigrations.dryRun(opts)),
 
     /**
      * API to determine the elevation of a line through 0+ setElevation regions.
@@ -235,10 +285,22 @@ function initializeConfig() {
     debug: false,
 
     /**
-     * Default terrain jsons
-     * @type {string} File path
+     * Default terrain jsons. Set by the system adapter.
+     * @type {string[]} File paths
+     */
+    defaultTerrainJSONs: [],
+
+    /**
+     * Item compendium packs with default terrains. Set by the system adapter.
+     * @type {string[]} Pack collection ids
      */
-    defaultTerrainJSONs: defaultTerrains(),
+    defaultCompendiumIds: [],
+
+    /**
+     * Active effect changes offered when configuring a terrain. Set by the system adapter.
+     * @type {object[]} { label, key, mode, value }
+     */
+    changeTemplates: [],
 
     /**
      * As a percent of token (width/height), how far from the edge can a token move
@@ -279,24 +341,27 @@ function initializeConfig() {
      * continuing the movement ("crawling" or "climbing" up the terrain).
      * Similarly, if the token moves off the plateau, its elevation is
      * adjusted to the next supporting level.
+     * Set by the system adapter.
      * @type {Set<foundry.CONFIG.Token.movement.actions>}
      */
-    terrainWalkActions: new Set(["walk", "climb", "crawl", "travel", "displace", "deploy", "drive", "blink"]),
+    terrainWalkActions: new Set(),
 
     /**
      * Token actions that are meant to move tokens on or above a terrain but not through them.
      * For example, the token might fly diagonally upward to a terrain edge instead of vertically climbing.
+     * Set by the system adapter.
      * @type {Set<foundry.CONFIG.Token.movement.actions>}
      */
-    terrainFlightActions: new Set(["fly", "jump"]),
+    terrainFlightActions: new Set(),
 
     /**
      * Token actions that are meant to move the token on or within a terrain, but not outside of it.
      * For example, a token might reach a plateau, and to get to the other side, would tunnel
      * through it rather than climb over it.
+     * Set by the system adapter.
      * @type {Set<foundry.CONFIG.Token.movement.actions>}
      */
-    terrainBurrowActions: new Set(["burrow", "swim"]),
+    terrainBurrowActions: new Set(),
 
     // DND5e: displace and blink are currently excluded; token will be moved directly.
 
@@ -309,16 +374,11 @@ function initializeConfig() {
   });
 
   /**
-   * The terrain type used for this system.
+   * The terrain type used for this system, along with the default terrains and movement action sets,
+   * is set by the system adapter.
    * @type {TerrainActiveEffect|TerrainItemEffect|TerrainFlagEffect}
    */
-  switch ( game.system.id ) {
-    case "sfrpg":
-    case "pf2e":
-      CONFIG[MODULE_ID].Terrain = TerrainPF2E; break;
-    default:
-      CONFIG[MODULE_ID].Terrain = TerrainActiveEffect;
-  }
+  SystemAdapters.initialize();
 }
 
 /**
@@ -11,14 +11,17 @@ import { PATCHES_SidebarTab, PATCHES_ItemDirectory } from "./settings.js";
 import { PATCHES as PATCHES_ActiveEffect } from "./ActiveEffect.js";
 import { PATCHES as PATCHES_ActiveEffectConfig } from "./ActiveEffectConfig.js";
 import { PATCHES as PATCHES_Token } from "./Token.js";
+import { PATCHES as PATCHES_TokenHUD } from "./TokenHUD.js";
 import { PATCHES as PATCHES_Wall } from "./Wall.js";
 import { PATCHES as PATCHES_CanvasEdges } from "./CanvasEdges.js";
 import { PATCHES as PATCHES_RegionSceneControls } from "./regions/controls.js";
 import { PATCHES as PATCHES_RegionLayer } from "./regions/RegionLayer.js";
 import { PATCHES as PATCHES_SceneConfig } from "./SceneConfig.js";
 import { PATCHES as PATCHES_StairsRegionBehaviorType } from "./regions/StairsRegionBehaviorType.js";
+import { PATCHES as PATCHES_SetTerrainRegionBehaviorType } from "./regions/SetTerrainRegionBehaviorType.js";
 import { PATCHES as PATCHES_ElevatorRegionBehaviorType } from "./regions/ElevatorRegionBehaviorType.js";
 import { PATCHES as PATCHES_ModuleSettingsAbstract } from "./ModuleSettingsAbstract.js";
+import { PATCHES as PATCHES_Item } from "./Item.js";
 import { PATCHES as PATCHES_ItemSheet } from "./ItemSheet.js";
 import { PATCHES as PATCHES_Region } from "./regions/Region.js";
 import { PATCHES as PATCHES_RegionConfig } from "./regions/RegionConfig.js";
@@ -26,6 +29,7 @@ import { PATCHES as PATCHES_Tile } from "./Tile.js";
 import { PATCHES as PATCHES_TileConfig } from "./TileConfig.js";
 import { PATCHES as PATCHES_ClockwiseSweepPolygon } from "./regions/ClockwiseSweepPolygon.js";
 import { PATCHES as PATCHES_Scene } from "./Scene.js";
+import { PATCHES as PATCHES_TerrainInspector } from "./TerrainInspector.js";
 
 export const PATCHES = {
   "foundry.documents.ActiveEffect": PATCHES_ActiveEffect,
@@ -34,6 +38,7 @@ export const PATCHES = {
   "foundry.helpers.ClientSettings": PATCHES_ModuleSettingsAbstract,
   "foundry.canvas.geometry.ClockwiseSweepPolygon": PATCHES_ClockwiseSweepPolygon,
   "foundry.applications.sidebar.tabs.ItemDirectory": PATCHES_ItemDirectory,
+  "foundry.documents.Item": PATCHES_Item,
   "foundry.appv1.sheets.ItemSheet": PATCHES_ItemSheet,
   "foundry.canvas.placeables.Region": PATCHES_Region,
   "foundry.applications.sheets.RegionConfig": PATCHES_RegionConfig,
@@ -42,6 +47,7 @@ export const PATCHES = {
   "foundry.canvas.placeables.Tile": PATCHES_Tile,
   "foundry.applications.sheets.TileConfig": PATCHES_TileConfig,
   "foundry.canvas.placeables.Token": PATCHES_Token,
+  "foundry.applications.hud.TokenHUD": PATCHES_TokenHUD,
   "foundry.canvas.placeables.Wall": PATCHES_Wall,
   "foundry.documents.Scene": PATCHES_Scene,
 
@@ -49,7 +55,9 @@ export const PATCHES = {
   SidebarTab: PATCHES_SidebarTab,
   RegionSceneControls: PATCHES_RegionSceneControls,
   StairsRegionBehaviorType: PATCHES_StairsRegionBehaviorType,
-  ElevatorRegionBehaviorType: PATCHES_ElevatorRegionBehaviorType
+  SetTerrainRegionBehaviorType: PATCHES_SetTerrainRegionBehaviorType,
+  ElevatorRegionBehaviorType: PATCHES_ElevatorRegionBehaviorType,
+  TerrainInspector: PATCHES_TerrainInspector
 };
 
 export const PATCHER = new Patcher();
@@ -61,6 +69,6 @@ export function initializePatching() {
   PATCHER.registerGroup("ELEVATION");
   PATCHER.registerGroup(game.system.id);
 
-  if ( game.system.id === "sfrpg" || game.system.id === "pf2e" ) PATCHER.registerGroup("COVER_ITEM");
+  // COVER_ITEM is registered by the system adapter if terrains are stored as items.
   if ( !MODULES_ACTIVE.ELEVATION_RULER ) PATCHER.registerGroup("RULER");
 }
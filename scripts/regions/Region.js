@@ -2,6 +2,7 @@
 canvas,
 CONFIG,
 foundry,
+game,
 Hooks,
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
@@ -127,6 +128,22 @@ function createRegion(regionDoc, _options, _userId) {
   addEdgesForRegion(region);
 }
 
+/**
+ * Hook preUpdateRegion
+ * If the shapes of a region with vertex elevations change, record the vertices beforehand,
+ * so the elevations can follow the vertices after the update.
+ * @param {Document} document                       The Document instance being updated
+ * @param {object} changed                          Differential data that will be used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modify the update request
+ * @param {string} userId                           The ID of the requesting user, always game.user.id
+ */
+function preUpdateRegion(regionDoc, changed, options, _userId) {
+  if ( !Object.hasOwn(changed, "shapes") ) return;
+  if ( foundry.utils.isEmpty(regionDoc.getFlag(MODULE_ID, FLAGS.REGION.VERTEX_ELEVATIONS) ?? {}) ) return;
+  options[MODULE_ID] ??= {};
+  options[MODULE_ID].vertexLayout = vertexLayout(regionDoc);
+}
+
 /**
  * Hook updateRegion
  * If the region changes, clear the region cache and update the mesh.
@@ -135,7 +152,14 @@ function createRegion(regionDoc, _options, _userId) {
  * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
  * @param {string} userId                           The ID of the User who triggered the update workflow
  */
-function updateRegion(regionDoc, changed, _options, _userId) {
+function updateRegion(regionDoc, changed, options, userId) {
+  // Move vertex elevations to the vertices' new positions. Done by the user who changed the shapes.
+  const oldLayout = options[MODULE_ID]?.vertexLayout;
+  if ( oldLayout && userId === game.user.id ) {
+    const update = remapVertexElevations(regionDoc, oldLayout);
+    if ( !foundry.utils.isEmpty(update) ) regionDoc.update(update); // Async.
+  }
+
   // Refresh the hashing display for the region.
   const region = regionDoc.object;
   if ( !region ) return;
@@ -143,7 +167,9 @@ function updateRegion(regionDoc, changed, _options, _userId) {
 
   // Clear the cache used to calculate ramp properties.
   if ( Object.hasOwn(changed, "shapes")
-    || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}.${FLAGS.REGION.RAMP.DIRECTION}`) ) region[MODULE_ID].clearCache();
+    || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}.${FLAGS.REGION.RAMP.DIRECTION}`)
+    || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}.${FLAGS.REGION.PLATEAU_ELEVATION}`)
+    || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}.${FLAGS.REGION.VERTEX_ELEVATIONS}`) ) region[MODULE_ID].clearCache();
 
   // Update blocking walls
   if ( Object.hasOwn(changed, "shapes") ) updateRegionEdgeRestrictions(region);
@@ -162,7 +188,49 @@ function deleteRegion(regionDoc, _options, _userId) {
   removeEdgesForRegionId(regionDoc.id);
 }
 
-PATCHES.REGIONS.HOOKS = { createRegion, updateRegion, deleteRegion };
+PATCHES.REGIONS.HOOKS = { createRegion, preUpdateRegion, updateRegion, deleteRegion };
+
+/**
+ * Vertex keys of each non-hole polygon of a region, in order.
+ * @param {RegionDocument} regionDoc
+ * @returns {string[][]}
+ */
+function vertexLayout(regionDoc) {
+  return regionDoc.polygons
+    .filter(poly => poly._isPositive)
+    .map(poly => [...poly.iteratePoints({ close: false })].map(pt => RegionElevationHandler.vertexKey(pt)));
+}
+
+/**
+ * Update that moves vertex elevations from the vertices before a shape change to the vertices after it.
+ * If the polygons keep the same number of vertices, as when moving the region or dragging a vertex,
+ * elevations follow the vertex order. Otherwise, only vertices that did not move keep their elevations.
+ * Elevations for vertices that no longer exist are removed.
+ * @param {RegionDocument} regionDoc
+ * @param {string[][]} oldLayout      From vertexLayout, before the change
+ * @returns {object} The update; empty if nothing changed
+ */
+function remapVertexElevations(regionDoc, oldLayout) {
+  const elevations = regionDoc.getFlag(MODULE_ID, FLAGS.REGION.VERTEX_ELEVATIONS) ?? {};
+  const newLayout = vertexLayout(regionDoc);
+  const sameLayout = oldLayout.length === newLayout.length
+    && oldLayout.every((keys, i) => keys.length === newLayout[i].length);
+  const remapped = new Map();
+  newLayout.forEach((keys, i) => keys.forEach((key, j) => {
+    const oldKey = sameLayout ? oldLayout[i][j] : key;
+    if ( Object.hasOwn(elevations, oldKey) ) remapped.set(key, elevations[oldKey]);
+  }));
+
+  const path = `flags.${MODULE_ID}.${FLAGS.REGION.VERTEX_ELEVATIONS}`;
+  const update = {};
+  for ( const key of Object.keys(elevations) ) {
+    if ( !remapped.has(key) ) update[`${path}.-=${key}`] = null;
+  }
+  for ( const [key, elevation] of remapped ) {
+    if ( elevations[key] !== elevation ) update[`${path}.${key}`] = elevation;
+  }
+  return update;
+}
 
 // ----- NOTE: Wraps ----- //
 
@@ -280,7 +348,7 @@ function _refreshTerrainMapperMesh() {
   let hatchThickness = canvas.dimensions.size / 10;
   mesh.shader.uniforms.hatchThickness = hatchThickness; // Must be defined for all region meshes.
 
-  // Only change the mesh for plateaus and ramps.
+  // Only change the mesh for plateaus, ramps, heightmaps, hills, and sloped surfaces.
   if ( !this[MODULE_ID].isElevated ) return;
 
   // Definitions:
@@ -307,6 +375,28 @@ function _refreshTerrainMapperMesh() {
     hatchY = res.hatchY;
     variableHatchThickness = true;
     hatchThickness *= 2;
+  } else if ( this[MODULE_ID].isHeightmap ) {
+    // Thin diagonal stripes with no inset, to suggest uneven ground.
+    insetPercentage = 0.0;
+    hatchThickness *= 0.5;
+  } else if ( this[MODULE_ID].isRadial ) {
+    // Striped inset border around a solid center, echoing the rise toward the peak.
+    insetPercentage = 0.25;
+    hatchThickness *= 0.5;
+  } else if ( this[MODULE_ID].isVertexSurface ) {
+    // Like a ramp, stripe across in the overall uphill direction.
+    // A level surface gets the plateau border instead.
+    const { direction, rise } = this[MODULE_ID].surfaceSlope;
+    if ( rise.almostEqual(0) ) {
+      insetPercentage = 0.1;
+      hatchThickness = 0;
+    } else {
+      const res = calculateHatchXY(direction);
+      hatchX = res.hatchX;
+      hatchY = res.hatchY;
+      variableHatchThickness = true;
+      hatchThickness *= 2;
+    }
   }
   const { left, top, right, bottom } = this.bounds;
   mesh.shader.uniforms.border = [left, top, right, bottom];
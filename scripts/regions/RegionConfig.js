@@ -1,4 +1,5 @@
 /* globals
+canvas,
 CONST,
 foundry,
 Hooks,
@@ -7,6 +8,7 @@ Hooks,
 "use strict";
 
 import { MODULE_ID, FLAGS, TEMPLATES, FA_ICONS } from "../const.js";
+import { pickCanvasPosition } from "../util.js";
 
 // Patches for the RegionConfig class
 export const PATCHES = {};
@@ -20,6 +22,7 @@ Hooks.once("init", function() {
     [MODULE_ID]: { template: TEMPLATES.REGION },
     footer
   }
+  foundry.applications.sheets.RegionConfig.DEFAULT_OPTIONS.actions[`${MODULE_ID}-pickPeak`] = onPickPeak;
 });
 
 // ----- NOTE: Wraps ----- //
@@ -69,10 +72,64 @@ async function _preparePartContext(wrapper, partId, context, options) {
     await context.document.setFlag(MODULE_ID, FLAGS.REGION.WALL_RESTRICTIONS, []);
   }
 
+  // Show the default peak, the center of the region, as a placeholder until one is set.
+  const center = context.document.object?.bounds.center;
   context[MODULE_ID] = {
     algorithmChoices: FLAGS.REGION.LABELS,
+    falloffChoices: FLAGS.REGION.RADIAL.FALLOFF_LABELS,
+    profileChoices: FLAGS.REGION.RAMP.PROFILE_LABELS,
+    peakPlaceholder: center ? { x: Math.round(center.x), y: Math.round(center.y) } : {},
+    vertices: vertexElevationData(context.document),
   }
   return context;
 }
 
 PATCHES.REGIONS.WRAPS = { _prepareContext, _preparePartContext };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * List the vertices of a sloped surface region, for the vertex elevation editor.
+ * Empty unless the region uses the sloped surface algorithm.
+ * @param {RegionDocument} regionDoc
+ * @returns {object[]} { label, name, value, placeholder } for each vertex
+ */
+function vertexElevationData(regionDoc) {
+  const handler = regionDoc.object?.[MODULE_ID];
+  if ( !handler?.isVertexSurface ) return [];
+  const vertices = [];
+  const keys = new Set();
+  for ( const poly of handler.nonHolePolygons ) {
+    for ( const pt of poly.iteratePoints({ close: false }) ) {
+      const key = handler.constructor.vertexKey(pt);
+      if ( keys.has(key) ) continue;
+      keys.add(key);
+      vertices.push({
+        label: `${Math.round(pt.x)}, ${Math.round(pt.y)}`,
+        name: `flags.${MODULE_ID}.${FLAGS.REGION.VERTEX_ELEVATIONS}.${key}`,
+        value: handler.vertexElevations[key],
+        placeholder: handler.plateauElevation
+      });
+    }
+  }
+  return vertices;
+}
+
+// ----- NOTE: Actions ----- //
+
+/**
+ * Action: pick the hill peak by clicking the canvas.
+ * Minimizes the config while waiting for the click; Escape or a right-click cancels.
+ * @this {RegionConfig}
+ * @param {PointerEvent} _event
+ * @param {HTMLElement} _target
+ */
+async function onPickPeak(_event, _target) {
+  if ( !canvas.ready ) return;
+  await this.minimize();
+  const pt = await pickCanvasPosition();
+  if ( pt ) {
+    await this.document.setFlag(MODULE_ID, FLAGS.REGION.RADIAL.PEAK, { x: Math.round(pt.x), y: Math.round(pt.y) });
+  }
+  await this.maximize();
+}
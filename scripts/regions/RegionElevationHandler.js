@@ -11,19 +11,23 @@ import { MODULE_ID, FLAGS } from "../const.js";
 import {
   isPlateau,
   isRamp,
+  isHeightmap,
+  isRadial,
+  isVertexSurface,
   regionWaypointsXYEqual } from "../util.js";
 import { Point3d } from "../geometry/3d/Point3d.js";
 import { Plane } from "../geometry/3d/Plane.js";
 import { ElevatedPoint } from "../geometry/3d/ElevatedPoint.js";
 import { Matrix } from "../geometry/Matrix.js";
 import { TokenElevationHandler } from "../TokenElevationHandler.js";
+import { RegionHeightmap } from "./RegionHeightmap.js";
 import { gridUnitsToPixels, pixelsToGridUnits, cutaway } from "../geometry/util.js";
 import { AABB3d } from "../geometry/3d/AABB3d.js";
 import { almostGreaterThan, almostLessThan, almostBetween } from "../geometry/util.js";
 
 /**
  * Single region elevation handler
- * Class that handles the plateau/ramp within a region.
+ * Class that handles the plateau/ramp/heightmap/hill/sloped surface within a region.
  * Encapsulated inside Region.prototype.terrainmapper class
  */
 export class RegionElevationHandler {
@@ -37,7 +41,9 @@ export class RegionElevationHandler {
   // ----- NOTE: Getters ----- //
 
   /** @type {boolean} */
-  get isElevated() { return this.isPlateau || this.isRamp; }
+  get isElevated() {
+    return this.isPlateau || this.isRamp || this.isHeightmap || this.isRadial || this.isVertexSurface;
+  }
 
   /** @type {boolean} */
   get isPlateau() { return isPlateau(this.region); }
@@ -45,6 +51,21 @@ export class RegionElevationHandler {
   /** @type {boolean} */
   get isRamp() { return isRamp(this.region); }
 
+  /** @type {boolean} */
+  get isHeightmap() { return isHeightmap(this.region); }
+
+  /** @type {boolean} */
+  get isRadial() { return isRadial(this.region); }
+
+  /** @type {boolean} */
+  get isVertexSurface() { return isVertexSurface(this.region); }
+
+  /**
+   * Uneven surfaces, which are followed by sampling elevation along a path instead of intersecting a plane.
+   * @type {boolean}
+   */
+  get isSampledSurface() { return this.isHeightmap || this.isRadial || this.isVertexSurface || this.hasRampProfile; }
+
   /** @type {number} */
   get plateauElevation() { return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.PLATEAU_ELEVATION) || 0; }
 
@@ -60,6 +81,117 @@ export class RegionElevationHandler {
   /** @type {boolean} */
   get splitPolygons() { return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.RAMP.SPLIT_POLYGONS); }
 
+  /** @type {FLAGS.REGION.RAMP.PROFILE_CHOICES} */
+  get rampProfile() {
+    return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.RAMP.PROFILE)
+      || FLAGS.REGION.RAMP.PROFILE_CHOICES.LINEAR;
+  }
+
+  /**
+   * Does the ramp follow a curve instead of a straight incline?
+   * @type {boolean}
+   */
+  get hasRampProfile() {
+    return this.isRamp && this.rampProfile !== FLAGS.REGION.RAMP.PROFILE_CHOICES.LINEAR;
+  }
+
+  /** @type {object} */
+  #rampProfileCurve = { src: undefined, points: [] };
+
+  /**
+   * Points of the custom ramp profile, sorted along the ramp.
+   * Each x is the fraction along the ramp, from 0 to 1; each y is the fraction of the rise from floor to top.
+   * @type {PIXI.Point[]}
+   */
+  get rampProfilePoints() {
+    const src = this.region.document.getFlag(MODULE_ID, FLAGS.REGION.RAMP.PROFILE_POINTS) ?? "";
+    if ( this.#rampProfileCurve.src === src ) return this.#rampProfileCurve.points;
+    const points = parseRampProfilePoints(src);
+    this.#rampProfileCurve = { src, points };
+    return points;
+  }
+
+  /** @type {string} */
+  get heightmapSrc() { return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.HEIGHTMAP_SRC) || ""; }
+
+  /** @type {string} */
+  #heightmapSrc = "";
+
+  /** @type {RegionHeightmap|undefined} */
+  #heightmap;
+
+  /**
+   * The loaded heightmap image, if any.
+   * Loading is asynchronous; until it completes, the region is treated as flat at the lowest elevation.
+   * @type {RegionHeightmap|undefined}
+   */
+  get heightmap() {
+    const src = this.heightmapSrc;
+    if ( src === this.#heightmapSrc ) return this.#heightmap;
+    this.#heightmapSrc = src;
+    this.#heightmap = undefined;
+    if ( src ) RegionHeightmap.load(src).then(heightmap => {
+      if ( this.#heightmapSrc !== src ) return; // Changed while loading.
+      this.#heightmap = heightmap;
+      this.clearCache();
+      this.region.renderFlags?.set({ refreshTerrainMapperMesh: true });
+    }).catch(err => console.error(`${MODULE_ID}|Heightmap ${src} could not be applied.`, err));
+    return this.#heightmap;
+  }
+
+  /**
+   * Peak (or crater bottom) of a hill. Defaults to the center of the region bounds.
+   * @type {Point}
+   */
+  get radialPeak() {
+    const peak = this.region.document.getFlag(MODULE_ID, FLAGS.REGION.RADIAL.PEAK);
+    if ( Number.isFinite(peak?.x) && Number.isFinite(peak?.y) ) return peak;
+    return this.region.bounds.center;
+  }
+
+  /** @type {FLAGS.REGION.RADIAL.FALLOFF_CHOICES} */
+  get radialFalloff() {
+    return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.RADIAL.FALLOFF)
+      || FLAGS.REGION.RADIAL.FALLOFF_CHOICES.LINEAR;
+  }
+
+  /**
+   * Elevation of each region vertex for a sloped surface, keyed by vertexKey.
+   * @type {object<string, number>}
+   */
+  get vertexElevations() { return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.VERTEX_ELEVATIONS) ?? {}; }
+
+  /**
+   * Key used to store the elevation of a vertex. Coordinates are rounded to the nearest pixel.
+   * When the region shapes change, the updateRegion hook moves the elevations to the new vertex keys.
+   * @param {Point} pt
+   * @returns {string}
+   */
+  static vertexKey(pt) { return `${Math.round(pt.x)}_${Math.round(pt.y)}`; }
+
+  /**
+   * Elevation set for a region vertex. Vertices without one are at the highest elevation.
+   * @param {Point} pt
+   * @returns {number}
+   */
+  elevationAtVertex(pt) {
+    const elevation = this.vertexElevations[this.constructor.vertexKey(pt)];
+    return Number.isFinite(elevation) ? elevation : this.plateauElevation;
+  }
+
+  /**
+   * Distance, in pixels, between elevation samples along a path across a curved surface.
+   * No finer than a quarter grid space or, for heightmaps, one heightmap pixel.
+   * @type {number}
+   */
+  get surfaceSampleSpacing() {
+    const minSpacing = canvas.dimensions.size * 0.25;
+    const heightmap = this.isHeightmap ? this.heightmap : undefined;
+    if ( !heightmap ) return minSpacing;
+    const { width, height } = this.region.bounds;
+    return Math.max(minSpacing, width / heightmap.width, height / heightmap.height);
+  }
+
   /** @type {FLAGS.REGION.CHOICES} */
   get algorithm() {
     return this.region.document.getFlag(MODULE_ID, FLAGS.REGION.ELEVATION_ALGORITHM) || FLAGS.REGION.CHOICES.PLATEAU;
@@ -152,6 +284,8 @@ export class RegionElevationHandler {
     this.#minMaxPolys = new WeakMap();
     this.#pixiShapes = new WeakMap();
     this.#terrainAABB = new WeakMap();
+    this.#surfaceTriangles = undefined;
+    this.#surfaceSlope = undefined;
   }
 
   // Terrain data
@@ -341,11 +475,14 @@ export class RegionElevationHandler {
    * @returns {number} The elevation of the plateau or the ramp at this location
    */
   elevationUponEntry(pt) {
-    const { PLATEAU, RAMP, NONE } = FLAGS.REGION.CHOICES;
+    const { PLATEAU, RAMP, HEIGHTMAP, RADIAL, VERTEX, NONE } = FLAGS.REGION.CHOICES;
     switch ( this.algorithm ) {
       case NONE: return this.elevation;
       case PLATEAU: return this.plateauElevation;
       case RAMP: return this._rampElevation(pt);
+      case HEIGHTMAP: return this._heightmapElevation(pt);
+      case RADIAL: return this._radialElevation(pt);
+      case VERTEX: return this._vertexElevation(pt);
     }
   }
 
@@ -378,6 +515,9 @@ export class RegionElevationHandler {
       return null;
     }
 
+    // Curved surfaces have no plane; walk the segment instead.
+    if ( this.isSampledSurface ) return this._sampledSegmentIntersection(a, b);
+
     // First intersect the plane, which may be at an angle for a ramp.
     let minMax;
     if ( this.splitPolygons && this.isRamp ) {
@@ -598,6 +738,14 @@ export class RegionElevationHandler {
   surfaceSegments(a, b) {
     const segments2d = this.allIntersectingSegmentsForLineSegment(a, b);
 
+    // Heightmaps, hills, sloped surfaces, and curved ramps. Follow the surface at each sample.
+    if ( this.isSampledSurface ) return segments2d.flatMap(({ a, b }) => {
+      const pts = this._surfaceSamplesForSegment(a, b);
+      const out = [];
+      for ( let i = 1, n = pts.length; i < n; i += 1 ) out.push({ a: pts[i - 1], b: pts[i] });
+      return out;
+    });
+
     // Steps.
     if ( this.rampStepSize ) {
       if ( this.splitPolygons ) return segments2d.flatMap(({ a, b, shape }) => this._rampCutpointsForSegment(a, b, shape));
@@ -657,11 +805,14 @@ export class RegionElevationHandler {
     const result = [];
     let allHoles = true;
     const opts = this.#cutawayOptionFunctions(usePlateauElevation);
-    const addSteps = this.isRamp && this.rampStepSize;
+    const addSteps = this.isRamp && this.rampStepSize && !this.hasRampProfile;
+    const addSamples = usePlateauElevation && this.isSampledSurface;
+    const sampleFn = this.#surfaceInsertionFunction.bind(this);
     for ( const regionPoly of this.region.document.polygons ) {
       allHoles &&= !regionPoly.isPositive;
       const cutaways = regionPoly.cutaway(start, end, opts);
       if ( addSteps && regionPoly.isPositive ) cutaways.forEach(cutawayPoly => this._insertTopStepsIntoCutaway(cutawayPoly));
+      if ( addSamples ) cutaways.forEach(cutawayPoly => this._insertTopStepsIntoCutaway(cutawayPoly, sampleFn));
       result.push(...cutaways);
     }
     if ( allHoles ) return [];
@@ -679,11 +830,25 @@ export class RegionElevationHandler {
     return [a, ...cutpoints, b];
   }
 
+  /**
+   * Intermediate surface points between two points on top of a heightmap, hill, sloped surface,
+   * or curved ramp cutaway.
+   * @param {Point3d} a
+   * @param {Point3d} b
+   * @returns {Point3d[]} a, the samples, and b
+   */
+  #surfaceInsertionFunction(a, b) {
+    const samples = this._surfaceSamplesForSegment(a, b);
+    return [a, ...samples.slice(1, -1), b];
+  }
+
   /**
    * Insert steps along the top of a cutaway.
    * @param {CutawayPolygon} cutawayPoly    The polygon to add steps to; modified in place
+   * @param {function} [insertionFn]        Given the 3d top left and top right points, returns the points
+   *                                        from left to right; defaults to the ramp steps
    */
-  _insertTopStepsIntoCutaway(cutawayPoly, ) {
+  _insertTopStepsIntoCutaway(cutawayPoly, insertionFn = this.#stepInsertionFunction.bind(this)) {
     // The polygons for regions go TL, TR, BR, BL for non-hole.
     const isHole = cutawayPoly.isHole;
     const pts = [...cutawayPoly.iteratePoints()];
@@ -691,7 +856,7 @@ export class RegionElevationHandler {
     const TR = isHole ? pts.at(-1) : pts[1];
     const TL3d = cutawayPoly._from2d(TL);
     const TR3d = cutawayPoly._from2d(TR);
-    const steps = this.#stepInsertionFunction(TL3d, TR3d);
+    const steps = insertionFn(TL3d, TR3d);
     const steps2d = steps.map(step => cutawayPoly._to2d(step));
 
     // Remove duplicates at start and end of steps.
@@ -865,6 +1030,273 @@ export class RegionElevationHandler {
     return cutpoints;
   }
 
+  /**
+   * Determine the elevation of the heightmap at a given location.
+   * The image spans the region bounds. Does not confirm the location is within the region.
+   * @param {Point} pt      2d location
+   * @returns {number} The elevation at this location.
+   */
+  _heightmapElevation(pt) {
+    const { rampFloor, plateauElevation } = this;
+    const heightmap = this.heightmap;
+    if ( !heightmap ) return rampFloor;
+    const { x, y, width, height } = this.region.bounds;
+    const value = heightmap.sample((pt.x - x) / width, (pt.y - y) / height);
+    return rampFloor + (value * (plateauElevation - rampFloor));
+  }
+
+  /**
+   * Determine the elevation of a hill or crater at a given location.
+   * Elevation runs from rampFloor at the region edge to plateauElevation at the peak,
+   * measured along the line from the peak through the location.
+   * Does not confirm the location is within the region.
+   * @param {Point} pt                    2d location
+   * @param {boolean} [useSteps=true]     Apply the step size, if any
+   * @returns {number} The elevation at this location.
+   */
+  _radialElevation(pt, useSteps = true) {
+    const { rampFloor, plateauElevation } = this;
+    const t0 = this._radialFraction(pt);
+    if ( t0.almostEqual(0) ) return rampFloor;
+    if ( t0.almostEqual(1) ) return plateauElevation;
+    if ( useSteps && this.rampStepSize ) return this._radialStepElevation(t0);
+    return rampFloor + (t0 * (plateauElevation - rampFloor));
+  }
+
+  /**
+   * Elevation of a stepped hill or crater.
+   * As with a stepped ramp, the steps are evenly spaced from the edge to the peak, but a crater steps down.
+   * @param {number} t0     Fraction from the edge to the peak
+   * @returns {number}
+   */
+  _radialStepElevation(t0) {
+    const { rampFloor, plateauElevation, rampStepSize } = this;
+    const delta = plateauElevation - rampFloor;
+    const numSplits = Math.ceil(Math.abs(delta) / rampStepSize);
+    const numSteps = Math.min(Math.floor((t0 * (numSplits + 1)) + 1e-08), numSplits);
+    return rampFloor + (Math.sign(delta) * Math.min(numSteps * rampStepSize, Math.abs(delta)));
+  }
+
+  /**
+   * How far a location is from the region edge toward the peak, after applying the falloff.
+   * The edge is where the ray from the peak through the location next leaves the region.
+   * @param {Point} pt
+   * @returns {number} 0 at the edge, 1 at the peak
+   */
+  _radialFraction(pt) {
+    const peak = this.radialPeak;
+    const dist = PIXI.Point.distanceBetween(peak, pt);
+    if ( dist.almostEqual(0) ) return 1;
+
+    // Extend the ray past the region bounds and find the first edge beyond the location.
+    const { width, height } = this.region.bounds;
+    const far = PIXI.Point.fromObject(peak).towardsPoint(PIXI.Point.fromObject(pt), dist + width + height);
+    const tPt = dist / PIXI.Point.distanceBetween(peak, far);
+    let tEdge = 1;
+    for ( const poly of this.region.document.polygons ) {
+      for ( const ix of poly.segmentIntersections(peak, far, { tangents: false }) ) {
+        if ( ix.t0 >= tPt && ix.t0 < tEdge ) tEdge = ix.t0;
+      }
+    }
+    const t = Math.clamp(1 - (tPt / tEdge), 0, 1);
+    const { SMOOTH } = FLAGS.REGION.RADIAL.FALLOFF_CHOICES;
+    return this.radialFalloff === SMOOTH ? t * t * (3 - (2 * t)) : t;
+  }
+
+  // ----- NOTE: Sloped surface ----- //
+
+  /**
+   * @typedef {object} SurfaceTriangle
+   * @property {PIXI.Point} a       Vertices, each with an elevation property
+   * @property {PIXI.Point} b
+   * @property {PIXI.Point} c
+   */
+
+  /** @type {SurfaceTriangle[]|undefined} */
+  #surfaceTriangles;
+
+  /**
+   * Triangulation of the non-hole region polygons, with the elevation of each vertex.
+   * Holes are not part of the region, so they are ignored.
+   * @type {SurfaceTriangle[]}
+   */
+  get surfaceTriangles() {
+    if ( this.#surfaceTriangles ) return this.#surfaceTriangles;
+    const triangles = [];
+    for ( const poly of this.nonHolePolygons ) {
+      const pts = [...poly.iteratePoints({ close: false })].map(pt => {
+        pt = PIXI.Point.fromObject(pt);
+        pt.elevation = this.elevationAtVertex(pt);
+        return pt;
+      });
+      const indices = PIXI.utils.earcut(poly.points);
+      for ( let i = 0, n = indices.length; i < n; i += 3 ) {
+        triangles.push({ a: pts[indices[i]], b: pts[indices[i + 1]], c: pts[indices[i + 2]] });
+      }
+    }
+    return (this.#surfaceTriangles = triangles);
+  }
+
+  /**
+   * Determine the elevation of a sloped surface at a given location,
+   * interpolating the vertex elevations of the triangle that contains it.
+   * Locations outside every triangle take the elevation of the nearest vertex.
+   * @param {Point} pt      2d location
+   * @returns {number} The elevation at this location.
+   */
+  _vertexElevation(pt) {
+    let nearest;
+    let nearestDist2 = Number.POSITIVE_INFINITY;
+    for ( const tri of this.surfaceTriangles ) {
+      const bary = barycentric(pt, tri);
+      if ( bary ) return (bary.u * tri.a.elevation) + (bary.v * tri.b.elevation) + (bary.w * tri.c.elevation);
+      for ( const vertex of [tri.a, tri.b, tri.c] ) {
+        const dist2 = PIXI.Point.distanceSquaredBetween(pt, vertex);
+        if ( dist2 < nearestDist2 ) [nearest, nearestDist2] = [vertex, dist2];
+      }
+    }
+    return nearest ? nearest.elevation : this.plateauElevation;
+  }
+
+  /**
+   * Where a 2d segment crosses the triangle edges of a sloped surface.
+   * The surface is flat within each triangle, so these points and the endpoints fully describe the path.
+   * @param {Point} a       Start of the segment
+   * @param {Point} b       End of the segment
+   * @returns {number[]} Sorted t0 values between 0 and 1, including 0 and 1
+   */
+  _vertexSurfaceBreakpoints(a, b) {
+    const ts = [0, 1];
+    for ( const { a: v0, b: v1, c: v2 } of this.surfaceTriangles ) {
+      for ( const [e0, e1] of [[v0, v1], [v1, v2], [v2, v0]] ) {
+        const ix = foundry.utils.lineSegmentIntersection(a, b, e0, e1);
+        if ( ix && ix.t0 > 0 && ix.t0 < 1 ) ts.push(ix.t0);
+      }
+    }
+    ts.sort((t0, t1) => t0 - t1);
+    return ts.filter((t0, idx) => !idx || !t0.almostEqual(ts[idx - 1]));
+  }
+
+  /** @type {object|undefined} */
+  #surfaceSlope;
+
+  /**
+   * Overall slope of a sloped surface, from a least-squares plane through the vertices.
+   * Used to orient the region hatching.
+   * @type {object}
+   *   - @prop {number} direction     Uphill direction, in degrees, using the ramp convention (0º is due south)
+   *   - @prop {number} rise          Elevation change across the region bounds, in grid units
+   */
+  get surfaceSlope() {
+    if ( this.#surfaceSlope ) return this.#surfaceSlope;
+    const vertices = new Map();
+    for ( const { a, b, c } of this.surfaceTriangles ) {
+      for ( const v of [a, b, c] ) vertices.set(this.constructor.vertexKey(v), v);
+    }
+
+    // Fit elevation = gx * x + gy * y + k, centered on the mean to keep the sums small.
+    const n = vertices.size;
+    let mx = 0, my = 0, me = 0;
+    for ( const v of vertices.values() ) { mx += v.x; my += v.y; me += v.elevation; }
+    mx /= n; my /= n; me /= n;
+    let sxx = 0, sxy = 0, syy = 0, sxe = 0, sye = 0;
+    for ( const v of vertices.values() ) {
+      const dx = v.x - mx;
+      const dy = v.y - my;
+      const de = v.elevation - me;
+      sxx += dx * dx; sxy += dx * dy; syy += dy * dy; sxe += dx * de; sye += dy * de;
+    }
+    const det = (sxx * syy) - (sxy * sxy);
+    const gx = det ? ((sxe * syy) - (sye * sxy)) / det : 0;
+    const gy = det ? ((sye * sxx) - (sxe * sxy)) / det : 0;
+
+    // Ramp directions run clockwise from due south: 0º rises toward +y; 90º rises toward -x.
+    const direction = Math.normalizeDegrees(Math.toDegrees(Math.atan2(-gx, gy)));
+    const { width, height } = this.region.bounds;
+    const rise = Math.hypot(gx * width, gy * height);
+    return (this.#surfaceSlope = { direction, rise });
+  }
+
+  /**
+   * Points on a heightmap, hill, sloped surface, or curved ramp along a 2d segment.
+   * Sloped surfaces use the triangle edge crossings; other surfaces are sampled per surfaceSampleSpacing.
+   * Where a stepped surface changes elevation between samples, a pair of points is added at the step:
+   * one at the prior elevation and one at the next.
+   * @param {Point} a       Start of the segment
+   * @param {Point} b       End of the segment
+   * @returns {ElevatedPoint[]} Points from a to b, inclusive, with t0 set
+   */
+  _surfaceSamplesForSegment(a, b) {
+    if ( this.isVertexSurface ) return this._vertexSurfaceBreakpoints(a, b).map(t0 => {
+      const loc = { x: a.x + ((b.x - a.x) * t0), y: a.y + ((b.y - a.y) * t0) };
+      const pt = ElevatedPoint.fromLocationWithElevation(loc, this._vertexElevation(loc));
+      pt.t0 = t0;
+      return pt;
+    });
+
+    const dist = PIXI.Point.distanceBetween(a, b);
+    const n = Math.max(1, Math.ceil(dist / this.surfaceSampleSpacing));
+    const stepped = (this.isRadial || this.isRamp) && this.rampStepSize;
+    const locAt = t0 => ({ x: a.x + ((b.x - a.x) * t0), y: a.y + ((b.y - a.y) * t0) });
+    const pts = [];
+    let prev;
+    for ( let i = 0; i <= n; i += 1 ) {
+      const t0 = i / n;
+      const loc = locAt(t0);
+      const pt = ElevatedPoint.fromLocationWithElevation(loc, this.elevationUponEntry(loc));
+      pt.t0 = t0;
+      if ( stepped && prev && !prev.elevation.almostEqual(pt.elevation) ) {
+        // Bisect to locate the step between the two samples.
+        let lo = prev.t0;
+        let hi = t0;
+        for ( let j = 0; j < 8; j += 1 ) {
+          const mid = (lo + hi) * 0.5;
+          if ( this.elevationUponEntry(locAt(mid)).almostEqual(prev.elevation) ) lo = mid;
+          else hi = mid;
+        }
+        const stepLoc = locAt(hi);
+        const step0 = ElevatedPoint.fromLocationWithElevation(stepLoc, prev.elevation);
+        const step1 = ElevatedPoint.fromLocationWithElevation(stepLoc, this.elevationUponEntry(stepLoc));
+        step0.t0 = hi;
+        step1.t0 = hi;
+        pts.push(step0, step1);
+      }
+      pts.push(pt);
+      prev = pt;
+    }
+    return pts;
+  }
+
+  /**
+   * Where a 3d segment first crosses a heightmap, hill, sloped surface, or curved ramp.
+   * Walks the segment at the sample spacing, then interpolates between the samples on either side of the surface.
+   * Note: Does not test if the returned point is within the region.
+   * @param {ElevatedPoint} a
+   * @param {ElevatedPoint} b
+   * @returns {ElevatedPoint|null}
+   */
+  _sampledSegmentIntersection(a, b) {
+    const samples = this._surfaceSamplesForSegment(a, b);
+    const deltaE = b.elevation - a.elevation;
+    let prevDiff = a.elevation - samples[0].elevation;
+    if ( prevDiff.almostEqual(0) ) return samples[0];
+    for ( let i = 1, n = samples.length; i < n; i += 1 ) {
+      const sample = samples[i];
+      const diff = (a.elevation + (deltaE * sample.t0)) - sample.elevation;
+      if ( diff.almostEqual(0) ) return sample;
+      if ( Math.sign(diff) !== Math.sign(prevDiff) ) {
+        const prevT = samples[i - 1].t0;
+        const t0 = prevT + ((sample.t0 - prevT) * (prevDiff / (prevDiff - diff)));
+        const ix = a.projectToward(b, t0);
+        ix.elevation = this.elevationUponEntry(ix);
+        ix.t0 = t0;
+        return ix;
+      }
+      prevDiff = diff;
+    }
+    return null;
+  }
+
   // ----- NOTE: Static methods ----- //
 
   /**
@@ -968,6 +1400,7 @@ export class RegionElevationHandler {
     // If no stepsize, elevation is simply proportional
     // Formula will break if t0 = 1. It will go to the next step. E.g., 28 instead of 25
     const { rampFloor, plateauElevation } = this;
+    if ( this.hasRampProfile ) return this._rampProfileElevation(t0, useSteps, round);
     if ( t0.almostEqual(0) ) return rampFloor;
     if ( t0.almostEqual(1) ) return plateauElevation;
     if ( useSteps && this.rampStepSize ) {
@@ -983,6 +1416,41 @@ export class RegionElevationHandler {
     return round ? Math.round(out) : out;
   }
 
+  /**
+   * Elevation of a curved ramp at a given fraction along the ramp.
+   * With a step size, each step begins where the curve reaches the next multiple of the step size above the floor.
+   * @param {number} t0                 Fraction along the ramp, from 0 (floor) to 1 (top)
+   * @param {boolean} [useSteps=true]   Apply the step size, if any
+   * @param {boolean} [round=true]      Round to the nearest grid unit
+   * @returns {number}
+   */
+  _rampProfileElevation(t0, useSteps = true, round = true) {
+    const { rampFloor, plateauElevation, rampStepSize } = this;
+    const rise = this.rampProfileFraction(t0) * (plateauElevation - rampFloor);
+    if ( useSteps && rampStepSize ) {
+      const numSteps = Math.floor((Math.abs(rise) / rampStepSize) + 1e-08);
+      return rampFloor + (Math.sign(rise) * numSteps * rampStepSize);
+    }
+    const out = rampFloor + rise;
+    return round ? Math.round(out) : out;
+  }
+
+  /**
+   * Fraction of the rise from floor to top reached at a given fraction along the ramp.
+   * @param {number} t0     Fraction along the ramp, from 0 to 1
+   * @returns {number} 0 at the floor, 1 at the top
+   */
+  rampProfileFraction(t0) {
+    const { EASE_IN, EASE_OUT, S_CURVE, CUSTOM } = FLAGS.REGION.RAMP.PROFILE_CHOICES;
+    switch ( this.rampProfile ) {
+      case EASE_IN: return t0 * t0;
+      case EASE_OUT: return 1 - ((1 - t0) * (1 - t0));
+      case S_CURVE: return t0 * t0 * (3 - (2 * t0));
+      case CUSTOM: return interpolateRampProfile(this.rampProfilePoints, t0);
+    }
+    return t0;
+  }
+
   /**
    * Cutpoints for ramp steps, along the directional line for the ramp.
    * Smallest t follows the ramp floor; largest t is the switch to the plateauElevation.
@@ -1228,3 +1696,56 @@ function rotatePolygon(poly, rotation = 0, centroid) {
 }
 
 function capitalizeFirstLetter(string) { return string.charAt(0).toUpperCase() + string.slice(1); }
+
+/**
+ * Barycentric coordinates of a point within a triangle.
+ * @param {Point} pt
+ * @param {SurfaceTriangle} tri
+ * @returns {object|undefined} { u, v, w } weights for a, b, c; undefined if the point is outside the triangle
+ */
+function barycentric(pt, { a, b, c }) {
+  const det = ((b.y - c.y) * (a.x - c.x)) + ((c.x - b.x) * (a.y - c.y));
+  if ( !det ) return;
+  const u = (((b.y - c.y) * (pt.x - c.x)) + ((c.x - b.x) * (pt.y - c.y))) / det;
+  const v = (((c.y - a.y) * (pt.x - c.x)) + ((a.x - c.x) * (pt.y - c.y))) / det;
+  const w = 1 - u - v;
+  const eps = -1e-08;
+  if ( u < eps || v < eps || w < eps ) return;
+  return { u, v, w };
+}
+
+/**
+ * Parse the points of a custom ramp profile.
+ * Points are "x,y" pairs separated by spaces or semicolons, e.g. "0,0 0.5,0.8 1,1".
+ * Invalid pairs are dropped and both x and y are clamped between 0 and 1,
+ * so the profile stays between the ramp floor and the top elevation.
+ * @param {string} src
+ * @returns {PIXI.Point[]} Points sorted by x; empty if none are valid
+ */
+function parseRampProfilePoints(src) {
+  return src.split(/[\s;]+/)
+    .map(pair => pair.split(",").map(Number))
+    .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+    .map(([x, y]) => new PIXI.Point(Math.clamp(x, 0, 1), Math.clamp(y, 0, 1)))
+    .sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Linear interpolation of a custom ramp profile.
+ * Before the first point and after the last, the profile runs straight to (0, 0) and (1, 1).
+ * @param {PIXI.Point[]} points     Sorted by x
+ * @param {number} t0               Fraction along the ramp
+ * @returns {number} Fraction of the rise
+ */
+function interpolateRampProfile(points, t0) {
+  if ( !points.length ) return t0;
+  const first = points[0];
+  const last = points.at(-1);
+  const pts = [...(first.x > 0 ? [{ x: 0, y: 0 }] : []), ...points, ...(last.x < 1 ? [{ x: 1, y: 1 }] : [])];
+  const idx = pts.findIndex(pt => pt.x >= t0);
+  if ( idx <= 0 ) return pts[0].y;
+  const a = pts[idx - 1];
+  const b = pts[idx];
+  if ( b.x === a.x ) return b.y;
+  return a.y + (((t0 - a.x) / (b.x - a.x)) * (b.y - a.y));
+}
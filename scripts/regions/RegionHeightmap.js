@@ -0,0 +1,128 @@
+/* globals
+document,
+foundry,
+game,
+ui,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+
+/**
+ * Grayscale image used to set the ground elevation across a region.
+ * Black is the region's lowest elevation; white is its highest.
+ * Images are downsampled when loaded and shared by every region that uses the same file.
+ */
+export class RegionHeightmap {
+
+  /**
+   * Largest width or height, in pixels, kept after loading.
+   * @type {number}
+   */
+  static MAX_RESOLUTION = 512;
+
+  /** @type {Map<string, Promise<RegionHeightmap|undefined>>} */
+  static #cache = new Map();
+
+  /** @type {string} */
+  src = "";
+
+  /** @type {number} */
+  width = 0;
+
+  /** @type {number} */
+  height = 0;
+
+  /**
+   * Luminance of each pixel, between 0 and 1, in row order.
+   * @type {Float32Array}
+   */
+  values;
+
+  /**
+   * Load a heightmap, reusing one already loaded from the same file.
+   * @param {string} src          Image path
+   * @returns {Promise<RegionHeightmap|undefined>} Undefined if the image could not be loaded
+   */
+  static load(src) {
+    if ( !this.#cache.has(src) ) this.#cache.set(src, this.#load(src));
+    return this.#cache.get(src);
+  }
+
+  /**
+   * Forget a loaded heightmap, so it is read again the next time it is used.
+   * @param {string} [src]        If not provided, forget all heightmaps
+   */
+  static clear(src) {
+    if ( src ) this.#cache.delete(src);
+    else this.#cache.clear();
+  }
+
+  /**
+   * @param {string} src
+   * @returns {Promise<RegionHeightmap|undefined>}
+   */
+  static async #load(src) {
+    let width;
+    let height;
+    let data;
+    try {
+      const tex = await foundry.canvas.loadTexture(src);
+      const source = tex?.baseTexture?.resource?.source;
+      if ( !source ) throw new Error("No image source.");
+
+      const srcWidth = source.naturalWidth ?? source.width;
+      const srcHeight = source.naturalHeight ?? source.height;
+      const scale = Math.min(1, this.MAX_RESOLUTION / Math.max(srcWidth, srcHeight));
+      width = Math.max(1, Math.round(srcWidth * scale));
+      height = Math.max(1, Math.round(srcHeight * scale));
+
+      // Reading the pixels throws a SecurityError if the image is cross-origin without CORS headers.
+      const canvasElement = document.createElement("canvas");
+      canvasElement.width = width;
+      canvasElement.height = height;
+      const ctx = canvasElement.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(source, 0, 0, width, height);
+      data = ctx.getImageData(0, 0, width, height).data;
+    } catch ( err ) {
+      console.error(`${MODULE_ID}|Heightmap ${src} could not be loaded.`, err);
+      this.#cache.delete(src); // Allow a retry, e.g. after the file is uploaded.
+      if ( game.user?.isGM ) {
+        ui.notifications.warn(game.i18n.format(`${MODULE_ID}.region-config.heightmapSrc.load-failed`, { src }));
+      }
+      return;
+    }
+
+    const out = new this();
+    out.src = src;
+    out.width = width;
+    out.height = height;
+    out.values = new Float32Array(width * height);
+    for ( let i = 0, j = 0, n = out.values.length; i < n; i += 1, j += 4 ) {
+      out.values[i] = ((0.2126 * data[j]) + (0.7152 * data[j + 1]) + (0.0722 * data[j + 2])) / 255;
+    }
+    return out;
+  }
+
+  /**
+   * Bilinear sample of the heightmap.
+   * @param {number} u      Horizontal position, 0 (left edge) to 1 (right edge)
+   * @param {number} v      Vertical position, 0 (top edge) to 1 (bottom edge)
+   * @returns {number} Value between 0 and 1
+   */
+  sample(u, v) {
+    const { width, height, values } = this;
+    const x = (Math.clamp(u, 0, 1) * width) - 0.5;
+    const y = (Math.clamp(v, 0, 1) * height) - 0.5;
+    const x0 = Math.clamp(Math.floor(x), 0, width - 1);
+    const y0 = Math.clamp(Math.floor(y), 0, height - 1);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const tx = Math.clamp(x - x0, 0, 1);
+    const ty = Math.clamp(y - y0, 0, 1);
+    const top = (values[(y0 * width) + x0] * (1 - tx)) + (values[(y0 * width) + x1] * tx);
+    const bottom = (values[(y1 * width) + x0] * (1 - tx)) + (values[(y1 * width) + x1] * tx);
+    return (top * (1 - ty)) + (bottom * ty);
+  }
+}
@@ -10,7 +10,7 @@ ui
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID } from "../const.js";
+import { MODULE_ID, FLAGS } from "../const.js";
 import { log } from "../util.js";
 import { Draw } from "../geometry/Draw.js";
 import { ClipperPaths } from "../geometry/ClipperPaths.js";
@@ -76,6 +76,7 @@ function handleMouseUpFillByGrid(event) {
   const poly = new PIXI.Polygon(pts);
   const elev = this.legend.elevation;
   const shapeData = createRegionShapeData(poly, { bottomE: elev.bottom, topE: elev.top, isHole: this._holeMode });
+  if ( paintTerrainId ) return queueTerrainPaint(shapeData);
   const drawingRegion = this.controlled.at(0);
   const drawingColor = drawingRegion?.document.color;
   addShapesToRegion(shapeData, drawingRegion, drawingColor);
@@ -153,7 +154,8 @@ function _onDragLeftDrop(wrapper, event) {
   const paths = fillByGridTracker.constructShape();
   const elev = this.legend.elevation;
   const shapeData = createRegionShapeData(paths, { bottomE: elev.bottom, topE: elev.top, isHole: this._holeMode });
-  addShapesToRegion(shapeData, interaction.drawingRegion, interaction.drawingColor)
+  if ( paintTerrainId ) queueTerrainPaint(shapeData);
+  else addShapesToRegion(shapeData, interaction.drawingRegion, interaction.drawingColor);
 }
 
 /**
@@ -180,6 +182,128 @@ PATCHES.REGIONS.WRAPS = {
   _onDragLeftCancel
 };
 
+// ----- NOTE: Terrain paint mode ----- //
+
+/**
+ * Terrain being painted with the fill-by-grid tool, if any.
+ * Set by dropping a Terrain Book entry on the canvas while the regions layer is active.
+ * @type {string|undefined}
+ */
+let paintTerrainId;
+
+/**
+ * Painted shapes are added one at a time so that quick clicks do not create duplicate regions.
+ * @type {Promise}
+ */
+let paintQueue = Promise.resolve();
+
+/**
+ * Hook dropCanvasData.
+ * Dropping a terrain on empty canvas with the regions layer active starts painting that terrain.
+ * Drops onto a token are left for other handlers.
+ * @param {Canvas} canvas     The Canvas
+ * @param {object} data       The data that has been dropped onto the Canvas
+ * @returns {boolean|void} False to prevent other handling of the drop
+ */
+function dropCanvasData(_canvas, data) {
+  if ( !data.terrainId || !game.user.isGM || !canvas.regions.active ) return;
+  const terrain = CONFIG[MODULE_ID].Terrain._instances.get(data.terrainId);
+  if ( !terrain ) return;
+  if ( canvas.tokens.placeables.some(t => t.bounds.contains(data.x, data.y)) ) return;
+  if ( canvas.grid.isGridless ) {
+    ui.notifications.warn(`${MODULE_ID}.controls.paint-terrain.gridless`, { localize: true });
+    return false;
+  }
+  startTerrainPaint(terrain);
+  return false;
+}
+
+/**
+ * Hook renderSceneControls.
+ * Stop painting when the user leaves the fill-by-grid tool.
+ * @param {SceneControls} sceneControls
+ */
+function renderSceneControls(sceneControls, _html, _data) {
+  if ( !paintTerrainId ) return;
+  if ( sceneControls.control?.name === "regions" && sceneControls.tool?.name === "fill-by-grid" ) return;
+  stopTerrainPaint();
+}
+
+PATCHES.REGIONS.HOOKS = {
+  dropCanvasData,
+  renderSceneControls
+};
+
+/**
+ * Switch to the fill-by-grid tool, sending painted grid spaces to the terrain's region.
+ * @param {Terrain} terrain
+ */
+function startTerrainPaint(terrain) {
+  paintTerrainId = terrain.uniqueEffectId;
+  canvas.regions.releaseAll();
+  ui.controls.activate({ control: "regions", tool: "fill-by-grid" });
+  ui.notifications.info(game.i18n.format(`${MODULE_ID}.controls.paint-terrain.start`, { name: terrain.name }));
+}
+
+/**
+ * Return the fill-by-grid tool to drawing ordinary regions.
+ */
+function stopTerrainPaint() {
+  const terrain = CONFIG[MODULE_ID].Terrain._instances.get(paintTerrainId);
+  paintTerrainId = undefined;
+  if ( terrain ) ui.notifications.info(game.i18n.format(`${MODULE_ID}.controls.paint-terrain.stop`, { name: terrain.name }));
+}
+
+/**
+ * Queue painted shapes to be added to the region for the terrain being painted.
+ * @param {object[]} shapeData      Result of createRegionShapeData
+ */
+function queueTerrainPaint(shapeData) {
+  const terrainId = paintTerrainId;
+  paintQueue = paintQueue
+    .then(() => addShapesToTerrainRegion(shapeData, terrainId))
+    .catch(err => console.error(`${MODULE_ID}|queueTerrainPaint`, err));
+}
+
+/**
+ * Region in the current scene dedicated to a terrain.
+ * Prefers a region created by painting; otherwise a region whose only behavior sets only this terrain.
+ * @param {string} terrainId
+ * @returns {RegionDocument|undefined}
+ */
+function findTerrainRegion(terrainId) {
+  const regions = canvas.scene.regions;
+  const behaviorType = `${MODULE_ID}.setTerrain`;
+  return regions.find(r => r.getFlag(MODULE_ID, FLAGS.REGION.PAINTED_TERRAIN) === terrainId)
+    ?? regions.find(r => r.behaviors.size === 1 && r.behaviors.some(b => b.type === behaviorType
+      && b.system.terrains.size === 1 && b.system.terrains.has(terrainId)));
+}
+
+/**
+ * Add the shape(s) to the terrain's region, creating the region with a Set Terrain behavior if necessary.
+ * @param {object[]} shapeData      Result of createRegionShapeData
+ * @param {string} terrainId
+ */
+async function addShapesToTerrainRegion(shapeData, terrainId) {
+  if ( !shapeData?.length ) return;
+  const terrain = CONFIG[MODULE_ID].Terrain._instances.get(terrainId);
+  if ( !terrain ) return;
+  const region = findTerrainRegion(terrainId);
+  if ( region ) {
+    if ( region.locked ) {
+      ui.notifications.warn(game.i18n.format("CONTROLS.ObjectIsLocked", {type: RegionDocument.documentName}));
+      return;
+    }
+    return region.update({ shapes: [...region.shapes, ...shapeData] });
+  }
+  return RegionDocument.implementation.create({
+    name: terrain.name,
+    shapes: shapeData,
+    flags: { [MODULE_ID]: { [FLAGS.REGION.PAINTED_TERRAIN]: terrainId } },
+    behaviors: [{ type: `${MODULE_ID}.setTerrain`, name: terrain.name, system: { terrains: [terrainId] } }]
+  }, { parent: canvas.scene });
+}
+
 // ----- NOTE: Helper functions ----- //
 
 /**
@@ -1,13 +1,18 @@
 /* globals
 CONFIG,
 CONST,
-foundry
+foundry,
+game
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID } from "../const.js";
+import { MODULE_ID, FLAGS } from "../const.js";
 import { log, isFirstGM } from "../util.js";
+import { Settings } from "../settings.js";
+
+export const PATCHES = {};
+PATCHES.REGIONS = {};
 
 
 /* Move In vs Enter
@@ -32,21 +37,83 @@ Do you like infinitely looping teleportation? Because that is how you get infini
 /**
  * Region behavior to set token to specifically the terrains with in the region.
  * Where regions overlap, other terrains may be added.
- * @property {number} elevation       The elevation at which to set the token
- * @property {boolean} reset          When enabled, elevation will be reset to scene background on exit.
+ * Filters limit which tokens receive the terrains. An empty filter allows all tokens.
+ * @property {Set<string>} terrains         Terrains to add
+ * @property {boolean} secret               When enabled, dragging the token will not reveal the terrain
+ * @property {Set<string>} movementActions  Movement actions to which the terrains apply
+ * @property {Set<string>} actorTypes       Actor types to which the terrains apply
+ * @property {Set<number>} dispositions     Token dispositions to which the terrains apply
+ * @property {number|null} minSize          Minimum token size, in grid spaces, to which the terrains apply
+ * @property {number|null} maxSize          Maximum token size, in grid spaces, to which the terrains apply
  */
 export class SetTerrainRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
   static defineSchema() {
+    const fields = foundry.data.fields;
     return {
       terrains: this._createTerrainsField(`${MODULE_ID}.behavior.types.set-terrain.fields.terrain.hint`),
-      secret: new foundry.data.fields.BooleanField({
+      secret: new fields.BooleanField({
         label: `${MODULE_ID}.behavior.types.add-terrain.fields.secret.name`,
         hint: `${MODULE_ID}.behavior.types.add-terrain.fields.secret.hint`,
         default: false
+      }),
+
+      movementActions: new fields.SetField(new fields.StringField({
+        choices: this.movementActionChoices,
+        blank: false
+      }), {
+        label: `${MODULE_ID}.behavior.types.set-terrain.fields.movementActions.name`,
+        hint: `${MODULE_ID}.behavior.types.set-terrain.fields.movementActions.hint`
+      }),
+
+      actorTypes: new fields.SetField(new fields.StringField({
+        choices: this.actorTypeChoices,
+        blank: false
+      }), {
+        label: `${MODULE_ID}.behavior.types.set-terrain.fields.actorTypes.name`,
+        hint: `${MODULE_ID}.behavior.types.set-terrain.fields.actorTypes.hint`
+      }),
+
+      dispositions: new fields.SetField(new fields.NumberField({
+        choices: this.dispositionChoices,
+        integer: true
+      }), {
+        label: `${MODULE_ID}.behavior.types.set-terrain.fields.dispositions.name`,
+        hint: `${MODULE_ID}.behavior.types.set-terrain.fields.dispositions.hint`
+      }),
+
+      minSize: new fields.NumberField({
+        label: `${MODULE_ID}.behavior.types.set-terrain.fields.minSize.name`,
+        hint: `${MODULE_ID}.behavior.types.set-terrain.fields.minSize.hint`,
+        min: 0,
+        nullable: true,
+        initial: null
+      }),
+
+      maxSize: new fields.NumberField({
+        label: `${MODULE_ID}.behavior.types.set-terrain.fields.maxSize.name`,
+        hint: `${MODULE_ID}.behavior.types.set-terrain.fields.maxSize.hint`,
+        min: 0,
+        nullable: true,
+        initial: null
       })
     };
   }
 
+  static movementActionChoices() {
+    return Object.fromEntries(Object.entries(CONFIG.Token.movement.actions).map(([key, action]) => [key, action.label]));
+  }
+
+  static actorTypeChoices() {
+    return Object.fromEntries(game.documentTypes.Actor
+      .filter(type => type !== CONST.BASE_DOCUMENT_TYPE)
+      .map(type => [type, CONFIG.Actor.typeLabels?.[type] ?? type]));
+  }
+
+  static dispositionChoices() {
+    return Object.fromEntries(Object.entries(CONST.TOKEN_DISPOSITIONS)
+      .map(([key, value]) => [value, `TOKEN.DISPOSITION.${key}`]));
+  }
+
   static _createTerrainsField(hint = "") {
     const fields = foundry.data.fields;
     const setFieldOptions = {
@@ -67,9 +134,118 @@ export class SetTerrainRegionBehaviorType extends foundry.data.regionBehaviors.R
   /** @override */
   static events = {
     [CONST.REGION_EVENTS.TOKEN_ENTER]: this.#onTokenEnter,
-    [CONST.REGION_EVENTS.TOKEN_EXIT]: this.#onTokenExit
+    [CONST.REGION_EVENTS.TOKEN_EXIT]: this.#onTokenExit,
+    [CONST.REGION_EVENTS.TOKEN_MOVE_WITHIN]: this.#onTokenMoveWithin
   };
 
+  /**
+   * Terrains for this behavior.
+   * @type {Set<Terrain>}
+   */
+  get terrainSet() {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    return new Set([...this.terrains].map(id => Terrain._instances.get(id)).filter(t => Boolean(t)));
+  }
+
+  /**
+   * Do the filters of this behavior permit its terrains to apply to the token?
+   * @param {TokenDocument} tokenD
+   * @param {string} [action]       Movement action; defaults to the token's current movement action
+   * @returns {boolean}
+   */
+  tokenQualifies(tokenD, action) {
+    action ??= tokenD.movementAction;
+    if ( this.movementActions.size && !this.movementActions.has(action) ) return false;
+    if ( this.actorTypes.size && !this.actorTypes.has(tokenD.actor?.type) ) return false;
+    if ( this.dispositions.size && !this.dispositions.has(tokenD.disposition) ) return false;
+    const size = Math.max(tokenD.width, tokenD.height);
+    if ( Number.isFinite(this.minSize) && size < this.minSize ) return false;
+    if ( Number.isFinite(this.maxSize) && size > this.maxSize ) return false;
+    return true;
+  }
+
+  /**
+   * Terrains of this behavior that it has added to the token.
+   * Flag storage records no origin, so there any copy of the terrain on the token counts.
+   * @param {Token} token
+   * @returns {Terrain[]}
+   */
+  presentTerrains(token) {
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const origin = this.behavior.uuid;
+    return [...this.terrainSet].filter(t => Terrain.tokenDocumentsForUniqueEffects(token, [t], false, origin).length);
+  }
+
+  /**
+   * For a token within the region, add or remove this behavior's terrains to match the filters.
+   * @param {TokenDocument} tokenD
+   * @param {string} [action]       Movement action; defaults to the token's current movement action
+   * @returns {boolean} True if a change was made
+   */
+  async syncToken(tokenD, action) {
+    const token = tokenD?.object;
+    if ( !token ) return false;
+    const terrains = this.terrainSet;
+    if ( !terrains.size ) return false;
+
+    const Terrain = CONFIG[MODULE_ID].Terrain;
+    const origin = this.behavior.uuid;
+    const present = this.presentTerrains(token);
+    if ( this.tokenQualifies(tokenD, action) ) {
+      const suppressed = Terrain.suppressedIds(token);
+      const toAdd = new Set([...terrains.difference(new Set(present))].filter(t => !suppressed.has(t.uniqueEffectId)));
+      if ( !toAdd.size ) return false;
+      return Terrain.addToToken(token, toAdd, { origin });
+    }
+    const pinned = Terrain.pinnedIds(token);
+    const toRemove = present.filter(t => !pinned.has(t.uniqueEffectId));
+    if ( !toRemove.length ) return false;
+    return Terrain.removeFromToken(token, toRemove, { removeAllDuplicates: true, origin });
+  }
+
+  /**
+   * Sync the token with the Set Terrain behaviors of the other regions that contain it.
+   * Used to restore terrains that were outranked in an exclusive group.
+   * @param {TokenDocument} tokenD
+   * @param {RegionBehavior} [excludeBehavior]    Behavior to skip, typically the one the token is exiting
+   */
+  static async syncOtherRegions(tokenD, excludeBehavior) {
+    for ( const region of tokenD.regions ?? [] ) {
+      if ( region === excludeBehavior?.parent ) continue;
+      for ( const behavior of region.behaviors ) {
+        if ( behavior.disabled || behavior.type !== `${MODULE_ID}.setTerrain` ) continue;
+        await behavior.system.syncToken(tokenD);
+      }
+    }
+  }
+
+  /**
+   * Terrains used by a Set Terrain behavior marked secret, in any scene.
+   * Players cannot see every scene, so the GM computes the list and stores it in a world setting.
+   * @returns {Set<string>} Terrain ids
+   */
+  static secretTerrainIds() { return new Set(Settings.get(Settings.KEYS.SECRET_TERRAINS) ?? []); }
+
+  /**
+   * Recompute the terrains used by secret Set Terrain behaviors and store them, if changed.
+   * Disabled behaviors count, so that enabling one later does not retroactively reveal its terrains.
+   * Only the first GM, who can see every scene, does this.
+   */
+  static async storeSecretTerrainIds() {
+    if ( !isFirstGM() ) return;
+    const ids = new Set();
+    for ( const scene of game.scenes ) {
+      for ( const region of scene.regions ) {
+        for ( const behavior of region.behaviors ) {
+          if ( behavior.type !== `${MODULE_ID}.setTerrain` || !behavior.system.secret ) continue;
+          behavior.system.terrains.forEach(id => ids.add(id));
+        }
+      }
+    }
+    if ( !ids.symmetricDifference(this.secretTerrainIds()).size ) return;
+    await Settings.set(Settings.KEYS.SECRET_TERRAINS, [...ids]);
+  }
+
   static async #onTokenEnter(event) {
     log(`Token ${event.data.token.name} entering ${event.region.name}!`);
     if ( !isFirstGM() ) return;
@@ -77,9 +253,11 @@ export class SetTerrainRegionBehaviorType extends foundry.data.regionBehaviors.R
     const token = tokenD?.object;
     if ( !token ) return;
 
-    // Add all terrains for this region.
+    // Add all terrains for this region that are not suppressed on the token, if the token meets the filters.
     const Terrain = CONFIG[MODULE_ID].Terrain;
-    const terrainsToAdd = new Set([...this.terrains].map(id => Terrain._instances.get(id)).filter(t => Boolean(t)));
+    if ( !this.tokenQualifies(tokenD) ) return;
+    const suppressed = Terrain.suppressedIds(token);
+    const terrainsToAdd = new Set([...this.terrainSet].filter(t => !suppressed.has(t.uniqueEffectId)));
     if ( !terrainsToAdd.size ) return;
 
     // ----- No async operations before this! -----
@@ -88,8 +266,11 @@ export class SetTerrainRegionBehaviorType extends foundry.data.regionBehaviors.R
     // Await movement animation
     if ( tokenD.rendered ) await token.movementAnimationPromise;
 
-    // Add the effect to the paused token.
-    await Terrain.addToToken(token, terrainsToAdd, { origin: this.behavior.uuid });
+    // Refresh any lingering copies instead of duplicating them, then add the rest to the paused token.
+    const origin = this.behavior.uuid;
+    const refreshed = await Terrain.refreshLingeringOnToken(token, terrainsToAdd, origin);
+    const remaining = terrainsToAdd.difference(refreshed);
+    if ( remaining.size ) await Terrain.addToToken(token, remaining, { origin });
     if ( resumeMovement ) return resumeMovement();
     return;
   }
@@ -101,9 +282,10 @@ export class SetTerrainRegionBehaviorType extends foundry.data.regionBehaviors.R
     const token = tokenD?.object;
     if ( !token ) return;
 
-    // Get all terrains for this region.
+    // Get all terrains for this region, except those pinned on the token.
     const Terrain = CONFIG[MODULE_ID].Terrain;
-    let terrains = new Set([...this.terrains].map(id => Terrain._instances.get(id)).filter(t => Boolean(t)));
+    const pinned = Terrain.pinnedIds(token);
+    let terrains = new Set([...this.terrainSet].filter(t => !pinned.has(t.uniqueEffectId)));
     if ( !terrains.size ) return;
 
     // If the token belongs to another terrain region, don't remove those terrains.
@@ -125,11 +307,157 @@ export class SetTerrainRegionBehaviorType extends foundry.data.regionBehaviors.R
     // Await movement animation
     if ( tokenD.rendered ) await token.movementAnimationPromise;
 
-    // Remove the effects from the paused token.
-    if ( terrainsToRemove.length ) await Terrain.removeFromToken(token, terrainsToRemove, { removeAllDuplicates: true, origin: this.behavior.uuid });
-    if ( dupeTerrainsToReduce.length) await Terrain.removeFromToken(token, dupeTerrainsToReduce, { removeAllDuplicates: false, origin: this.behavior.uuid });
+    // Terrains with an exit duration linger on the token as timed effects.
+    const origin = this.behavior.uuid;
+    const lingering = await Terrain.lingerOnToken(token, terrains, origin);
+    const notLingering = t => !lingering.has(t);
+
+    // Remove the remaining effects from the paused token.
+    const toRemove = terrainsToRemove.filter(notLingering);
+    const toReduce = dupeTerrainsToReduce.filter(notLingering);
+    if ( toRemove.length ) await Terrain.removeFromToken(token, toRemove, { removeAllDuplicates: true, origin });
+    if ( toReduce.length ) await Terrain.removeFromToken(token, toReduce, { removeAllDuplicates: false, origin });
+
+    // Restore lower-priority terrains from exclusive groups that other regions still provide.
+    if ( toRemove.length || toReduce.length ) await this.constructor.syncOtherRegions(tokenD, this.behavior);
 
     if ( resumeMovement ) return resumeMovement();
     return;
   }
+
+  /**
+   * Re-evaluate the filters as the token moves within the region, in case the movement action changed.
+   */
+  static async #onTokenMoveWithin(event) {
+    if ( !isFirstGM() ) return;
+    if ( !(this.movementActions.size) ) return;
+    const tokenD = event.data.token;
+    const token = tokenD?.object;
+    if ( !token ) return;
+    const action = event.data.movement?.passed?.waypoints?.at(-1)?.action ?? tokenD.movementAction;
+
+    // Skip if nothing would change.
+    const qualifies = this.tokenQualifies(tokenD, action);
+    const numPresent = this.presentTerrains(token).length;
+    if ( qualifies && numPresent === this.terrainSet.size ) return; // Nothing to add.
+    if ( !qualifies && !numPresent ) return; // Nothing to remove.
+    log(`Token ${tokenD.name} changed to ${action} within ${event.region.name}!`);
+
+    // ----- No async operations before this! -----
+    const resumeMovement = tokenD.pauseMovement();
+    if ( tokenD.rendered ) await token.movementAnimationPromise;
+    await this.syncToken(tokenD, action);
+    if ( resumeMovement ) return resumeMovement();
+  }
+}
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook updateToken
+ * If the movement action, disposition, or size changes, re-evaluate the terrain filters
+ * for any Set Terrain behaviors of regions that contain the token.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateToken(tokenD, changed, _options, _userId) {
+  if ( !isFirstGM() ) return;
+  if ( !["movementAction", "disposition", "width", "height"].some(key => Object.hasOwn(changed, key)) ) return;
+  for ( const region of tokenD.regions ?? [] ) {
+    for ( const behavior of region.behaviors ) {
+      if ( behavior.disabled || behavior.type !== `${MODULE_ID}.setTerrain` ) continue;
+      behavior.system.syncToken(tokenD); // Async
+    }
+  }
+}
+
+/**
+ * Hook updateWorldTime
+ * Remove lingering terrains that have expired.
+ * @param {number} worldTime      The new canonical World time.
+ * @param {number} dt             The delta.
+ * @param {object} options        Options passed from the requesting client where the change was made
+ * @param {string} userId         The ID of the User who advanced the time
+ */
+function updateWorldTime(_worldTime, _dt, _options, _userId) {
+  if ( !isFirstGM() ) return;
+  CONFIG[MODULE_ID].Terrain.removeExpiredLingering(); // Async
+}
+
+/**
+ * Hook updateCombat
+ * Remove lingering terrains that have expired when the combat round changes.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} change                           Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateCombat(_combat, changed, _options, _userId) {
+  if ( !isFirstGM() || !Object.hasOwn(changed, "round") ) return;
+  CONFIG[MODULE_ID].Terrain.removeExpiredLingering(); // Async
+}
+
+/**
+ * Hook deleteCombat
+ * Lingering terrains tracked by the combat expire when it ends.
+ * @param {Document} document                       The existing Document which was deleted
+ * @param {DocumentModificationContext} options     Additional options which modified the deletion request
+ * @param {string} userId                           The ID of the User who triggered the deletion workflow
+ */
+function deleteCombat(_combat, _options, _userId) {
+  if ( !isFirstGM() ) return;
+  CONFIG[MODULE_ID].Terrain.removeExpiredLingering(); // Async
+}
+
+/**
+ * Hook combatTurnChange
+ * Fire terrain hazards at the end of the prior combatant's turn and the start of the new combatant's turn.
+ * @param {Combat} combat                 The Combat encounter which is advancing
+ * @param {CombatHistoryData} prior       The prior turn state
+ * @param {CombatHistoryData} current     The new turn state
+ */
+async function combatTurnChange(combat, prior, current) {
+  if ( !isFirstGM() ) return;
+  const { TURN_START, TURN_END } = FLAGS.TERRAIN.HAZARD.TRIGGERS.CHOICES;
+  const Terrain = CONFIG[MODULE_ID].Terrain;
+  const priorToken = combat.scene?.tokens.get(prior?.tokenId)?.object;
+  if ( priorToken ) await Terrain.triggerHazardsOnToken(priorToken, TURN_END, combat);
+  const currentToken = combat.scene?.tokens.get(current?.tokenId)?.object;
+  if ( currentToken ) await Terrain.triggerHazardsOnToken(currentToken, TURN_START, combat);
+}
+
+/**
+ * Hook ready
+ * Store the terrains used by secret Set Terrain behaviors, in case scenes changed while the module was inactive.
+ */
+function ready() {
+  SetTerrainRegionBehaviorType.storeSecretTerrainIds(); // Async
 }
+
+/**
+ * Hooks createScene, deleteScene, createRegion, deleteRegion,
+ * createRegionBehavior, updateRegionBehavior, and deleteRegionBehavior.
+ * Update the stored terrains used by secret Set Terrain behaviors.
+ * The GM client checks every change, as a scene or region may hold secret behaviors.
+ */
+function updateSecretTerrains(_document, _changed, _options, _userId) {
+  SetTerrainRegionBehaviorType.storeSecretTerrainIds(); // Async
+}
+
+PATCHES.REGIONS.HOOKS = {
+  updateToken,
+  updateWorldTime,
+  updateCombat,
+  deleteCombat,
+  combatTurnChange,
+  ready,
+  createScene: updateSecretTerrains,
+  deleteScene: updateSecretTerrains,
+  createRegion: updateSecretTerrains,
+  deleteRegion: updateSecretTerrains,
+  createRegionBehavior: updateSecretTerrains,
+  updateRegionBehavior: updateSecretTerrains,
+  deleteRegionBehavior: updateSecretTerrains
+};
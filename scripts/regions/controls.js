@@ -12,6 +12,8 @@ ui
 import { MODULE_ID, FA_ICONS } from "../const.js";
 import { Draw } from "../geometry/Draw.js";
 import { TerrainEffectsAppV2 } from "../TerrainEffectsAppV2.js";
+import { TMPlayerTerrainBook } from "../TMPlayerTerrainBook.js";
+import { TerrainInspector } from "../TerrainInspector.js";
 
 export const PATCHES = {};
 PATCHES.REGIONS = {};
@@ -52,6 +54,24 @@ TOOLS.TERRAIN_BOOK = {
   order: 0,
 }
 
+TOOLS.PLAYER_TERRAIN_BOOK = {
+  name: "player-terrain-book",
+  title: `${MODULE_ID}.player-book.title`,
+  icon: FA_ICONS.TERRAIN_BOOK,
+  onChange: () => { new TMPlayerTerrainBook().render(true); },
+  button: true,
+  order: 0,
+}
+
+TOOLS.TERRAIN_INSPECTOR = {
+  name: "terrain-inspector",
+  title: `${MODULE_ID}.controls.terrain-inspector.name`,
+  icon: FA_ICONS.INSPECTOR,
+  toggle: true,
+  onChange: (_event, active) => TerrainInspector.toggle(active),
+  order: 0,
+}
+
 let wallDisplay;
 
 /**
@@ -77,9 +97,29 @@ function renderSceneControls(sceneControls, _html, _data) {
 /**
  * Hook getSceneControlButtons
  * Add additional shape controls to the region controls.
+ * Add the player Terrain Book to the token controls.
+ * Add the terrain inspector toggle to the token and region controls.
  */
 function getSceneControlButtons(controls, _html, _data) {
   if ( !canvas.scene ) return;
+
+  // Players cannot see the region controls, so give them a read-only Terrain Book on the token controls.
+  const tokenTools = controls.tokens;
+  if ( tokenTools && !game.user.isGM ) {
+    TOOLS.PLAYER_TERRAIN_BOOK.order = Object.keys(tokenTools.tools).length;
+    tokenTools.tools[TOOLS.PLAYER_TERRAIN_BOOK.name] = TOOLS.PLAYER_TERRAIN_BOOK;
+  }
+
+  // Both controls share the inspector's on/off state.
+  for ( const control of [tokenTools, controls.regions] ) {
+    if ( !control ) continue;
+    control.tools[TOOLS.TERRAIN_INSPECTOR.name] = {
+      ...TOOLS.TERRAIN_INSPECTOR,
+      order: Object.keys(control.tools).length,
+      active: TerrainInspector.enabled
+    };
+  }
+
   const regionTools = controls.regions;
   if ( !regionTools ) return;
   if ( !canvas.grid.isGridless ) {
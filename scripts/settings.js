@@ -40,12 +40,15 @@ PATCHES_ItemDirectory.BASIC.HOOKS = { renderItemDirectory: removeTerrainItemHook
 
 /**
  * @typedef {object} TMFolder
- * Data that describes a folder in the Terrain Book. Stored in settings.
+ * Data that describes a folder in the Terrain Book. Stored in flags on the Terrain Book item.
  *
- * @param {string} id         Folder id
- * @param {string} name       Folder name or a localizable string
- * @param {string} color      Folder color
- * @param {string[]} effects  uniqueEffectId of effects stored in the folder.
+ * @param {string} id             Folder id
+ * @param {string} name           Folder name or a localizable string
+ * @param {string} color          Folder color
+ * @param {string[]} effects      uniqueEffectId of effects stored in the folder, in display order.
+ * @param {string|null} parent    Id of the folder containing this one; null at the top level.
+ * @param {number} sort           Order among folders with the same parent.
+ * @param {object} permission     Minimum CONST.USER_ROLES to see (view) and to change (edit) the folder.
  */
 
 export class Settings extends ModuleSettingsAbstract {
@@ -59,11 +62,17 @@ export class Settings extends ModuleSettingsAbstract {
     CONTROL_APP: {
       FAVORITES: "favorites", // Array of favorite terrains, by effect id.
       EXPANDED_FOLDERS: "app_expanded_folders", // Array of folders that are expanded, by id
-      FOLDERS: "app_folders",
+      FOLDERS: "app_folders", // Legacy client folders; migrated to the Terrain Book item on load.
     },
 
     UNIQUE_EFFECTS_FLAGS_DATA: "uniqueEffectsFlagsData",
 
+    // Version of the last data migration run in this world.
+    MIGRATION_VERSION: "migrationVersion",
+
+    // Ids of terrains used by secret Set Terrain behaviors in any scene, stored by the GM for players.
+    SECRET_TERRAINS: "secretTerrains",
+
     // Dialog with announcements re major updates.
     CHANGELOG: "changelog"
   };
@@ -81,6 +90,20 @@ export class Settings extends ModuleSettingsAbstract {
       default: {},
     });
 
+    this.register(KEYS.MIGRATION_VERSION, {
+      scope: "world",
+      config: false,
+      default: 0,
+      type: Number,
+    });
+
+    this.register(KEYS.SECRET_TERRAINS, {
+      scope: "world",
+      config: false,
+      default: [],
+      type: Array,
+    });
+
     this.register(KEYS.CONTROL_APP.FAVORITES, {
       name: "Favorites",
       scope: "client",
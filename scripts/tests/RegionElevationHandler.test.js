@@ -0,0 +1,325 @@
+/* globals
+canvas,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS } from "../const.js";
+import { CutawayHandler } from "../TokenElevationHandler.js";
+import { RegionElevationHandler } from "../regions/RegionElevationHandler.js";
+import { RegionHeightmap } from "../regions/RegionHeightmap.js";
+import { ElevatedPoint } from "../geometry/3d/ElevatedPoint.js";
+import { gridUnitsToPixels } from "../geometry/util.js";
+
+// Each test region is a 1000 x 1000 square. Paths run west to east through its middle, starting and ending outside it.
+const LEFT = 1000;
+const RIGHT = 2000;
+const MID_Y = 1500;
+const PATH_START = ElevatedPoint.fromLocationWithElevation({ x: LEFT - 100, y: MID_Y }, 0);
+const PATH_END = ElevatedPoint.fromLocationWithElevation({ x: RIGHT + 100, y: MID_Y }, 0);
+
+/**
+ * Create a square region in the current scene with the given elevation flags.
+ * @param {object} flags      Terrain Mapper region flags
+ * @returns {Promise<Region>}
+ */
+async function createTestRegion(flags) {
+  const [regionD] = await canvas.scene.createEmbeddedDocuments("Region", [{
+    name: `${MODULE_ID} test region`,
+    shapes: [{ type: "rectangle", x: LEFT, y: LEFT, width: RIGHT - LEFT, height: RIGHT - LEFT, hole: false }],
+    flags: { [MODULE_ID]: flags }
+  }]);
+  return regionD.object;
+}
+
+/**
+ * Ground elevation, in pixels, of the cutaway at a location along the path.
+ * @param {CutawayPolygon} cutPoly
+ * @param {number} x                  Canvas x coordinate along the path
+ * @returns {number}
+ */
+function cutawayGroundAt(cutPoly, x) {
+  const pt2d = cutPoly._to2d(ElevatedPoint.fromLocationWithElevation({ x, y: MID_Y }, 0));
+  return new CutawayHandler(cutPoly).elevationUponEntry(new PIXI.Point(pt2d.x, gridUnitsToPixels(1000)));
+}
+
+/**
+ * Test that the surface segments cross the region without gaps.
+ * @param {object[]} segments
+ * @param {function} expect
+ */
+function expectContinuousSegments(segments, expect) {
+  expect(segments.length).to.be.above(1);
+  expect(segments[0].a.x).to.be.closeTo(LEFT, 0.01);
+  expect(segments.at(-1).b.x).to.be.closeTo(RIGHT, 0.01);
+  for ( let i = 1, n = segments.length; i < n; i += 1 ) {
+    expect(segments[i].a.x).to.be.closeTo(segments[i - 1].b.x, 1e-04);
+    expect(segments[i].a.elevation).to.be.closeTo(segments[i - 1].b.elevation, 1e-04);
+  }
+}
+
+/**
+ * Test that the surface segments are continuous and follow the region surface.
+ * @param {RegionElevationHandler} handler
+ * @param {object[]} segments
+ * @param {function} expect
+ */
+function expectSegmentsOnSurface(handler, segments, expect) {
+  expectContinuousSegments(segments, expect);
+  for ( const { a, b } of segments ) {
+    expect(a.elevation).to.be.closeTo(handler.elevationUponEntry(a), 1e-04);
+    expect(b.elevation).to.be.closeTo(handler.elevationUponEntry(b), 1e-04);
+  }
+}
+
+export function registerTests(quench) {
+
+  quench.registerBatch(
+    `${MODULE_ID}.RegionElevationHandler`,
+
+  (context) => {
+      const { describe, it, expect, before, after } = context;
+      const { RAMP, HEIGHTMAP, RADIAL, VERTEX } = FLAGS.REGION.CHOICES;
+      const regions = [];
+      after(async () => {
+        await canvas.scene.deleteEmbeddedDocuments("Region", regions.map(region => region.document.id));
+      });
+
+// ----- NOTE: Heightmap ----- //
+describe('Heightmap surface', () => {
+  let region;
+  let handler;
+  before(async () => {
+    region = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: HEIGHTMAP,
+      [FLAGS.REGION.RAMP.FLOOR]: 0,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 20
+    });
+    regions.push(region);
+    handler = region[MODULE_ID];
+
+    // Gradient from black on the left to white on the right.
+    const heightmap = new RegionHeightmap();
+    heightmap.width = 10;
+    heightmap.height = 10;
+    heightmap.values = new Float32Array(100).map((_v, i) => (i % 10) / 9);
+    Object.defineProperty(handler, "heightmap", { value: heightmap, configurable: true });
+    handler.clearCache();
+  });
+
+  it('should sample the image for elevation', () => {
+    expect(handler.elevationUponEntry({ x: LEFT, y: MID_Y })).to.be.closeTo(0, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.be.closeTo(10, 1e-04);
+    expect(handler.elevationUponEntry({ x: RIGHT, y: MID_Y })).to.be.closeTo(20, 1e-04);
+  });
+
+  it('should follow the surface in surface segments', () => {
+    const segments = handler.surfaceSegments(PATH_START, PATH_END);
+    expectSegmentsOnSurface(handler, segments, expect);
+    expect(segments[0].a.elevation).to.be.closeTo(0, 1e-04);
+    expect(segments.at(-1).b.elevation).to.be.closeTo(20, 1e-04);
+    segments.forEach(segment => expect(segment.b.elevation).to.be.at.least(segment.a.elevation - 1e-04));
+  });
+
+  it('should follow the surface in the cutaway', () => {
+    const cutPolys = handler._cutaway(PATH_START, PATH_END);
+    expect(cutPolys.length).to.equal(1);
+    expect(cutawayGroundAt(cutPolys[0], 1250)).to.be.closeTo(gridUnitsToPixels(20 * 2 / 9), 0.1);
+    expect(cutawayGroundAt(cutPolys[0], 1500)).to.be.closeTo(gridUnitsToPixels(10), 0.1);
+    expect(cutawayGroundAt(cutPolys[0], 1750)).to.be.closeTo(gridUnitsToPixels(20 * 7 / 9), 0.1);
+  });
+});
+
+// ----- NOTE: Hill and crater ----- //
+describe('Radial surface', () => {
+  let hill;
+  let crater;
+  before(async () => {
+    hill = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: RADIAL,
+      [FLAGS.REGION.RAMP.FLOOR]: 0,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 20,
+      [FLAGS.REGION.RADIAL.FALLOFF]: FLAGS.REGION.RADIAL.FALLOFF_CHOICES.LINEAR
+    });
+    crater = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: RADIAL,
+      [FLAGS.REGION.RAMP.FLOOR]: 20,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 0,
+      [FLAGS.REGION.RAMP.STEP_SIZE]: 5
+    });
+    regions.push(hill, crater);
+  });
+
+  it('should rise from the edge to the peak', () => {
+    const handler = hill[MODULE_ID];
+    expect(handler.elevationUponEntry({ x: LEFT, y: MID_Y })).to.be.closeTo(0, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1250, y: MID_Y })).to.be.closeTo(10, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.be.closeTo(20, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1750, y: MID_Y })).to.be.closeTo(10, 1e-04);
+  });
+
+  it('should follow the hill in surface segments', () => {
+    const handler = hill[MODULE_ID];
+    const segments = handler.surfaceSegments(PATH_START, PATH_END);
+    expectSegmentsOnSurface(handler, segments, expect);
+    const peak = Math.max(...segments.map(segment => segment.b.elevation));
+    expect(peak).to.be.closeTo(20, 1); // The peak may fall between samples.
+  });
+
+  it('should follow the hill in the cutaway', () => {
+    const cutPolys = hill[MODULE_ID]._cutaway(PATH_START, PATH_END);
+    expect(cutPolys.length).to.equal(1);
+    expect(cutawayGroundAt(cutPolys[0], 1250)).to.be.closeTo(gridUnitsToPixels(10), 0.1);
+    expect(cutawayGroundAt(cutPolys[0], 1500)).to.be.closeTo(gridUnitsToPixels(20), gridUnitsToPixels(1));
+    expect(cutawayGroundAt(cutPolys[0], 1750)).to.be.closeTo(gridUnitsToPixels(10), 0.1);
+  });
+
+  it('should step down into a crater', () => {
+    const handler = crater[MODULE_ID];
+    expect(handler.elevationUponEntry({ x: 1050, y: MID_Y })).to.equal(20);
+    expect(handler.elevationUponEntry({ x: 1250, y: MID_Y })).to.equal(10);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.equal(0);
+
+    // Each step is a vertical segment, so only the continuity is tested.
+    const segments = handler.surfaceSegments(PATH_START, PATH_END);
+    expectContinuousSegments(segments, expect);
+    const elevations = new Set(segments.flatMap(segment => [segment.a.elevation, segment.b.elevation]));
+    expect([...elevations].sort((a, b) => a - b)).to.deep.equal([0, 5, 10, 15, 20]);
+  });
+});
+
+// ----- NOTE: Stepped ramp ----- //
+describe('Stepped ramp', () => {
+  let handler;
+  before(async () => {
+    // Direction 270º rises toward the east.
+    const region = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: RAMP,
+      [FLAGS.REGION.RAMP.FLOOR]: 0,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 20,
+      [FLAGS.REGION.RAMP.DIRECTION]: 270,
+      [FLAGS.REGION.RAMP.STEP_SIZE]: 5
+    });
+    regions.push(region);
+    handler = region[MODULE_ID];
+  });
+
+  it('should step up a stepped ramp', () => {
+    expect(handler.elevationUponEntry({ x: 1100, y: MID_Y })).to.equal(0);
+    expect(handler.elevationUponEntry({ x: 1300, y: MID_Y })).to.equal(5);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.equal(10);
+    expect(handler.elevationUponEntry({ x: 1700, y: MID_Y })).to.equal(15);
+    expect(handler.elevationUponEntry({ x: 1900, y: MID_Y })).to.equal(20);
+  });
+
+  it('should step up a stepped ramp in the cutaway, in either direction', () => {
+    for ( const [start, end] of [[PATH_START, PATH_END], [PATH_END, PATH_START]] ) {
+      const cutPolys = handler._cutaway(start, end);
+      expect(cutPolys.length).to.equal(1);
+      expect(cutawayGroundAt(cutPolys[0], 1100)).to.be.closeTo(gridUnitsToPixels(0), 0.1);
+      expect(cutawayGroundAt(cutPolys[0], 1300)).to.be.closeTo(gridUnitsToPixels(5), 0.1);
+      expect(cutawayGroundAt(cutPolys[0], 1500)).to.be.closeTo(gridUnitsToPixels(10), 0.1);
+      expect(cutawayGroundAt(cutPolys[0], 1700)).to.be.closeTo(gridUnitsToPixels(15), 0.1);
+      expect(cutawayGroundAt(cutPolys[0], 1900)).to.be.closeTo(gridUnitsToPixels(20), 0.1);
+    }
+  });
+});
+
+// ----- NOTE: Sloped surface ----- //
+describe('Vertex surface', () => {
+  let handler;
+  before(async () => {
+    const key = (x, y) => RegionElevationHandler.vertexKey({ x, y });
+    const region = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: VERTEX,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 20,
+      [FLAGS.REGION.VERTEX_ELEVATIONS]: {
+        [key(LEFT, LEFT)]: 0,
+        [key(LEFT, RIGHT)]: 0,
+        [key(RIGHT, LEFT)]: 20,
+        [key(RIGHT, RIGHT)]: 20
+      }
+    });
+    regions.push(region);
+    handler = region[MODULE_ID];
+  });
+
+  it('should interpolate the vertex elevations', () => {
+    expect(handler.elevationUponEntry({ x: LEFT, y: MID_Y })).to.be.closeTo(0, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1250, y: 1100 })).to.be.closeTo(5, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.be.closeTo(10, 1e-04);
+    expect(handler.elevationUponEntry({ x: 1750, y: 1900 })).to.be.closeTo(15, 1e-04);
+  });
+
+  it('should follow the slope in surface segments', () => {
+    const segments = handler.surfaceSegments(PATH_START, PATH_END);
+    expectSegmentsOnSurface(handler, segments, expect);
+    expect(segments[0].a.elevation).to.be.closeTo(0, 1e-04);
+    expect(segments.at(-1).b.elevation).to.be.closeTo(20, 1e-04);
+  });
+
+  it('should follow the slope in the cutaway', () => {
+    const cutPolys = handler._cutaway(PATH_START, PATH_END);
+    expect(cutPolys.length).to.equal(1);
+    expect(cutawayGroundAt(cutPolys[0], 1250)).to.be.closeTo(gridUnitsToPixels(5), 0.1);
+    expect(cutawayGroundAt(cutPolys[0], 1500)).to.be.closeTo(gridUnitsToPixels(10), 0.1);
+    expect(cutawayGroundAt(cutPolys[0], 1750)).to.be.closeTo(gridUnitsToPixels(15), 0.1);
+  });
+});
+
+// ----- NOTE: Ramp profiles ----- //
+describe('Ramp profiles', () => {
+  let easeIn;
+  let custom;
+  before(async () => {
+    // Direction 270º rises toward the east.
+    easeIn = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: RAMP,
+      [FLAGS.REGION.RAMP.FLOOR]: 0,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 20,
+      [FLAGS.REGION.RAMP.DIRECTION]: 270,
+      [FLAGS.REGION.RAMP.PROFILE]: FLAGS.REGION.RAMP.PROFILE_CHOICES.EASE_IN
+    });
+    custom = await createTestRegion({
+      [FLAGS.REGION.ELEVATION_ALGORITHM]: RAMP,
+      [FLAGS.REGION.RAMP.FLOOR]: 0,
+      [FLAGS.REGION.PLATEAU_ELEVATION]: 20,
+      [FLAGS.REGION.RAMP.DIRECTION]: 270,
+      [FLAGS.REGION.RAMP.PROFILE]: FLAGS.REGION.RAMP.PROFILE_CHOICES.CUSTOM,
+      [FLAGS.REGION.RAMP.PROFILE_POINTS]: "0,0 0.5,1.5 1,-0.5"
+    });
+    regions.push(easeIn, custom);
+  });
+
+  it('should curve an ease-in ramp', () => {
+    const handler = easeIn[MODULE_ID];
+    expect(handler.elevationUponEntry({ x: LEFT, y: MID_Y })).to.equal(0);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.equal(5);
+    expect(handler.elevationUponEntry({ x: RIGHT, y: MID_Y })).to.equal(20);
+  });
+
+  it('should follow an ease-in ramp in surface segments', () => {
+    const handler = easeIn[MODULE_ID];
+    const segments = handler.surfaceSegments(PATH_START, PATH_END);
+    expectSegmentsOnSurface(handler, segments, expect);
+    expect(segments.length).to.be.above(2);
+  });
+
+  it('should follow an ease-in ramp in the cutaway', () => {
+    const cutPolys = easeIn[MODULE_ID]._cutaway(PATH_START, PATH_END);
+    expect(cutPolys.length).to.equal(1);
+    expect(cutawayGroundAt(cutPolys[0], 1500)).to.be.closeTo(gridUnitsToPixels(5), gridUnitsToPixels(1));
+    expect(cutawayGroundAt(cutPolys[0], 1900)).to.be.below(gridUnitsToPixels(18));
+  });
+
+  it('should keep a custom profile between the floor and the top', () => {
+    const handler = custom[MODULE_ID];
+    expect(handler.elevationUponEntry({ x: 1250, y: MID_Y })).to.equal(10);
+    expect(handler.elevationUponEntry({ x: 1500, y: MID_Y })).to.equal(20);
+    expect(handler.elevationUponEntry({ x: 1750, y: MID_Y })).to.equal(10);
+    expect(handler.elevationUponEntry({ x: RIGHT, y: MID_Y })).to.equal(0);
+  });
+});
+
+}), { displayName: "RegionElevationHandler"};  // registerBatch
+}
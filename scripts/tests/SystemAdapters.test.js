@@ -0,0 +1,55 @@
+/* globals
+*/
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+import { SystemAdapters } from "../SystemAdapters.js";
+import { TerrainFlagEffect } from "../terrain_unique_effects.js";
+
+export function registerTests(quench) {
+
+  quench.registerBatch(
+    `${MODULE_ID}.SystemAdapters`,
+
+  (context) => {
+      const { describe, it, expect, afterEach } = context;
+
+// ----- NOTE: SystemAdapters registry ----- //
+describe('SystemAdapters registry', () => {
+  const systemId = `${MODULE_ID}-test-system`;
+  afterEach(() => SystemAdapters.unregister(systemId));
+
+  it('should fill an unregistered system from the default', () => {
+    const adapter = SystemAdapters.get(systemId);
+    expect(SystemAdapters.has(systemId)).to.equal(false);
+    expect(adapter.terrainClass).to.equal(SystemAdapters.DEFAULT.terrainClass);
+    expect(adapter.movementActions).to.deep.equal(SystemAdapters.DEFAULT.movementActions);
+  });
+
+  it('should replace only the movement action sets the adapter provides', () => {
+    SystemAdapters.register(systemId, { terrainClass: TerrainFlagEffect, movementActions: { flight: ["hover"] } });
+    const adapter = SystemAdapters.get(systemId);
+    expect(adapter.terrainClass).to.equal(TerrainFlagEffect);
+    expect(adapter.movementActions.flight).to.deep.equal(["hover"]);
+    expect(adapter.movementActions.walk).to.deep.equal(SystemAdapters.DEFAULT.movementActions.walk);
+  });
+
+  it('should merge a later registration over the earlier one', () => {
+    SystemAdapters.register(systemId, { terrainClass: TerrainFlagEffect, movementActions: { flight: ["hover"] } });
+    SystemAdapters.register(systemId, { movementActions: { burrow: ["dig"] } });
+    const adapter = SystemAdapters.get(systemId);
+    expect(adapter.terrainClass).to.equal(TerrainFlagEffect);
+    expect(adapter.movementActions.flight).to.deep.equal(["hover"]);
+    expect(adapter.movementActions.burrow).to.deep.equal(["dig"]);
+  });
+
+  it('should remove an adapter', () => {
+    SystemAdapters.register(systemId, { terrainClass: TerrainFlagEffect });
+    expect(SystemAdapters.unregister(systemId)).to.equal(true);
+    expect(SystemAdapters.has(systemId)).to.equal(false);
+    expect(SystemAdapters.unregister(systemId)).to.equal(false);
+  });
+});
+
+}), { displayName: "SystemAdapters"};  // registerBatch
+}
@@ -0,0 +1,118 @@
+/* globals
+game
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS } from "../const.js";
+import { TerrainJSONSchema } from "../TerrainJSONSchema.js";
+
+/**
+ * Minimal exported terrain.
+ * @param {object} [data]     Properties to merge over the default
+ * @returns {object}
+ */
+function terrainData(data = {}) {
+  return {
+    name: "Test Terrain",
+    flags: { [MODULE_ID]: { [FLAGS.UNIQUE_EFFECT.ID]: "testTerrainId", [FLAGS.UNIQUE_EFFECT.TYPE]: "Terrain" } },
+    ...data
+  };
+}
+
+export function registerTests(quench) {
+
+  quench.registerBatch(
+    `${MODULE_ID}.TerrainJSONSchema`,
+
+  (context) => {
+      const { describe, it, expect } = context;
+      const opts = { checkImages: false };
+
+// ----- NOTE: TerrainJSONSchema.validate ----- //
+describe('TerrainJSONSchema file validation', () => {
+  it('should report unparseable JSON', async () => {
+    const report = await TerrainJSONSchema.validate("{ not json", opts);
+    expect(report.valid).to.equal(false);
+    expect(report.errors.length).to.equal(1);
+    expect(report.entries.length).to.equal(0);
+  });
+
+  it('should reject files from a newer schema', async () => {
+    const json = {
+      flags: { exportSource: { schemaVersion: TerrainJSONSchema.VERSION + 1 } },
+      objects: [terrainData()]
+    };
+    const report = await TerrainJSONSchema.validate(json, opts);
+    expect(report.valid).to.equal(false);
+    expect(report.errors.length).to.equal(1);
+    expect(report.entries.length).to.equal(0);
+  });
+
+  it('should reject an objects property that is not an array', async () => {
+    const report = await TerrainJSONSchema.validate({ objects: terrainData() }, opts);
+    expect(report.valid).to.equal(false);
+    expect(report.errors.length).to.equal(1);
+  });
+
+  it('should accept a single terrain as a version 0 file', async () => {
+    const report = await TerrainJSONSchema.validate(JSON.stringify(terrainData()), opts);
+    expect(report.valid).to.equal(true);
+    expect(report.schemaVersion).to.equal(0);
+    expect(report.entries.length).to.equal(1);
+    expect(report.entries[0].terrainId).to.equal("testTerrainId");
+  });
+
+  it('should warn about files exported from another system', async () => {
+    const json = {
+      flags: { exportSource: { schemaVersion: TerrainJSONSchema.VERSION, system: `${game.system.id}-other` } },
+      objects: [terrainData()]
+    };
+    const report = await TerrainJSONSchema.validate(json, opts);
+    expect(report.valid).to.equal(true);
+    expect(report.warnings.length).to.equal(1);
+  });
+
+  it('should report each invalid entry without failing the others', async () => {
+    const objects = [terrainData(), terrainData({ name: "" }), "not a terrain"];
+    const report = await TerrainJSONSchema.validate({ objects }, opts);
+    expect(report.valid).to.equal(false);
+    expect(report.entries.map(entry => entry.errors.length)).to.deep.equal([0, 1, 1]);
+  });
+});
+
+// ----- NOTE: TerrainJSONSchema.validateEntry ----- //
+describe('TerrainJSONSchema entry validation', () => {
+  it('should require a terrain id', async () => {
+    const entry = await TerrainJSONSchema.validateEntry(terrainData({ flags: {} }), opts);
+    expect(entry.errors.length).to.equal(1);
+  });
+
+  it('should reject other unique effect types', async () => {
+    const data = terrainData();
+    data.flags[MODULE_ID][FLAGS.UNIQUE_EFFECT.TYPE] = "Cover";
+    const entry = await TerrainJSONSchema.validateEntry(data, opts);
+    expect(entry.errors.length).to.equal(1);
+  });
+
+  it('should check the changes', async () => {
+    let entry = await TerrainJSONSchema.validateEntry(terrainData({ changes: {} }), opts);
+    expect(entry.errors.length).to.equal(1);
+
+    const changes = [{ key: `flags.${MODULE_ID}.test`, mode: 2, value: "1" }, { mode: 2, value: "1" }];
+    entry = await TerrainJSONSchema.validateEntry(terrainData({ changes }), opts);
+    expect(entry.errors.length).to.equal(1);
+  });
+
+  it('should reject an image that is not a path', async () => {
+    const entry = await TerrainJSONSchema.validateEntry(terrainData({ img: 5 }), opts);
+    expect(entry.errors.length).to.equal(1);
+  });
+
+  it('should accept change keys outside the system data', () => {
+    expect(TerrainJSONSchema.isKnownChangeKey(`flags.${MODULE_ID}.test`)).to.equal(true);
+    expect(TerrainJSONSchema.isKnownChangeKey("ATL.light.dim")).to.equal(true);
+  });
+});
+
+}), { displayName: "TerrainJSONSchema"};  // registerBatch
+}
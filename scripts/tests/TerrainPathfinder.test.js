@@ -0,0 +1,53 @@
+/* globals
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+import { TerrainPathfinder } from "../TerrainPathfinder.js";
+
+export function registerTests(quench) {
+
+  quench.registerBatch(
+    `${MODULE_ID}.TerrainPathfinder`,
+
+  (context) => {
+      const { describe, it, expect, beforeEach } = context;
+
+// ----- NOTE: TerrainPathfinder#_simplify ----- //
+describe('TerrainPathfinder path simplification', () => {
+  const token = { document: { elevation: 0 } };
+  const pts = [new PIXI.Point(0, 0), new PIXI.Point(100, 0), new PIXI.Point(200, 0), new PIXI.Point(200, 100)];
+  let pathfinder;
+  let difficulties;
+  beforeEach(() => {
+    pathfinder = new TerrainPathfinder(token, { action: "walk" });
+    pathfinder._wallsBlock = () => false;
+    difficulties = [1, 1, 1, 1];
+    pathfinder._sampleDifficulties = () => difficulties;
+  });
+
+  it('should drop collinear points and keep corners', () => {
+    expect(pathfinder._simplify(pts)).to.deep.equal([pts[0], pts[2], pts[3]]);
+  });
+
+  it('should keep points if walls block the merged segment', () => {
+    pathfinder._wallsBlock = (a, b) => a === pts[0] && b === pts[2];
+    expect(pathfinder._simplify(pts)).to.deep.equal(pts);
+  });
+
+  it('should compare terrain along the whole merged segment', () => {
+    pathfinder.costRegions = [{}];
+    difficulties = [1, 1, 2, 1];
+    expect(pathfinder._simplify(pts)).to.deep.equal(pts);
+  });
+
+  it('should treat nearly equal difficulties as the same terrain', () => {
+    pathfinder.costRegions = [{}];
+    difficulties = [1.1, 0.1 * 11, 1.1 + 1e-09, 1.1];
+    expect(pathfinder._simplify(pts)).to.deep.equal([pts[0], pts[2], pts[3]]);
+  });
+});
+
+}), { displayName: "TerrainPathfinder"};  // registerBatch
+}
@@ -0,0 +1,304 @@
+/* globals
+Actor,
+canvas,
+CONFIG,
+CONST,
+game
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS } from "../const.js";
+import { TerrainActiveEffect, TerrainItemEffect, TerrainFlagEffect } from "../terrain_unique_effects.js";
+
+const ORIGIN_A = `${MODULE_ID}.testOriginA`;
+const ORIGIN_B = `${MODULE_ID}.testOriginB`;
+
+/**
+ * Create a token for a new linked actor in the current scene.
+ * @returns {Promise<Token>}
+ */
+async function createTestToken() {
+  const type = game.documentTypes.Actor.find(t => t !== CONST.BASE_DOCUMENT_TYPE) ?? CONST.BASE_DOCUMENT_TYPE;
+  const actor = await Actor.implementation.create({ name: `${MODULE_ID} test actor`, type });
+  const tokenData = (await actor.getTokenDocument({ x: 0, y: 0, actorLink: true })).toObject();
+  const [tokenD] = await canvas.scene.createEmbeddedDocuments("Token", [tokenData]);
+  return tokenD.object;
+}
+
+/**
+ * Delete a token created by createTestToken along with its actor.
+ * @param {Token} token
+ */
+async function deleteTestToken(token) {
+  if ( !token ) return;
+  const actor = token.actor;
+  await canvas.scene.deleteEmbeddedDocuments("Token", [token.document.id]);
+  await actor?.delete();
+}
+
+/**
+ * Create a terrain of the given class, initializing its storage if necessary.
+ * @param {class} Terrain
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowsDuplicates=false]
+ * @returns {Promise<Terrain|undefined>} Undefined if the storage could not hold a new terrain
+ */
+async function createTestTerrain(Terrain, { allowsDuplicates = false } = {}) {
+  if ( !Terrain._storageMap ) await Terrain._initializeStorageMap();
+  if ( !Terrain._storageMap ) return;
+  const terrain = await Terrain.create();
+  if ( !terrain.document ) {
+    await terrain.destroy();
+    return;
+  }
+  if ( allowsDuplicates ) await terrain.document.setFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.DUPLICATES_ALLOWED, true);
+  return terrain;
+}
+
+/**
+ * Create a region away from the test token with a Set Terrain behavior for the given terrains.
+ * @param {Terrain[]} terrains
+ * @param {object} [system]     Other behavior settings, such as filters
+ * @returns {Promise<RegionBehavior>}
+ */
+async function createTestBehavior(terrains, system = {}) {
+  const [regionD] = await canvas.scene.createEmbeddedDocuments("Region", [{
+    name: `${MODULE_ID} test region`,
+    shapes: [{ type: "rectangle", x: 1000, y: 1000, width: 1000, height: 1000, hole: false }],
+    behaviors: [{
+      type: `${MODULE_ID}.setTerrain`,
+      system: { ...system, terrains: terrains.map(t => t.uniqueEffectId) }
+    }]
+  }]);
+  return regionD.behaviors.contents[0];
+}
+
+/**
+ * Run a region event for the token through the behavior's event handler.
+ * @param {RegionBehavior} behavior
+ * @param {string} name           CONST.REGION_EVENTS
+ * @param {Token} token
+ * @param {object} [data]         Additional event data
+ */
+async function runTokenEvent(behavior, name, token, data = {}) {
+  await behavior.system._handleRegionEvent({
+    name,
+    data: { token: token.document, ...data },
+    region: behavior.parent,
+    user: game.user
+  });
+}
+
+export function registerTests(quench) {
+
+  quench.registerBatch(
+    `${MODULE_ID}.TerrainStorage`,
+
+  (context) => {
+      const { describe, it, expect, before, after, beforeEach } = context;
+
+for ( const Terrain of [TerrainActiveEffect, TerrainItemEffect, TerrainFlagEffect] ) {
+describe(`${Terrain.name} token storage`, () => {
+  let token;
+  let terrain;
+  let dupe;
+  before(async function() {
+    terrain = await createTestTerrain(Terrain);
+    dupe = await createTestTerrain(Terrain, { allowsDuplicates: true });
+    if ( !terrain || !dupe ) this.skip(); // The storage does not work in this system.
+    token = await createTestToken();
+  });
+
+  after(async () => {
+    await deleteTestToken(token);
+    await terrain?.destroy(true);
+    await dupe?.destroy(true);
+  });
+
+  beforeEach(async () => {
+    await token.document.unsetFlag(MODULE_ID, FLAGS.TOKEN.PINNED_TERRAINS);
+    await Terrain.removeAllFromToken(token, { includePinned: true });
+  });
+
+  it('should report whether a removal changed the token', async () => {
+    expect(await Terrain.removeFromToken(token, [terrain])).to.equal(false);
+    expect(await Terrain.addToToken(token, [terrain], { origin: ORIGIN_A })).to.equal(true);
+    expect(terrain.isOnToken(token)).to.equal(true);
+    expect(await Terrain._removeFromToken(token, [terrain, dupe], true)).to.equal(true);
+    expect(terrain.isOnToken(token)).to.equal(false);
+    expect(await Terrain._removeFromToken(token, [terrain, dupe], true)).to.equal(false);
+  });
+
+  it('should only remove copies added by the origin, if the storage records one', async () => {
+    await Terrain.addToToken(token, [terrain], { origin: ORIGIN_A });
+    const changed = await Terrain.removeFromToken(token, [terrain], { origin: ORIGIN_B });
+    const keepsOrigin = Terrain.storesCopyDocuments;
+    expect(changed).to.equal(!keepsOrigin);
+    expect(terrain.isOnToken(token)).to.equal(keepsOrigin);
+    await Terrain.removeFromToken(token, [terrain], { origin: ORIGIN_A });
+    expect(terrain.isOnToken(token)).to.equal(false);
+  });
+
+  it('should add one copy of a duplicate terrain per origin, if the storage keeps copies', async () => {
+    await Terrain.addToToken(token, [dupe], { origin: ORIGIN_A });
+    const present = Terrain.tokenDocumentsForUniqueEffects(token, [dupe], false, ORIGIN_B);
+    expect(present.length).to.equal(Terrain.storesCopyDocuments ? 0 : 1);
+
+    await Terrain.addToToken(token, [dupe], { origin: ORIGIN_B });
+    const copies = Terrain.tokenDocumentsForUniqueEffects(token, [dupe]);
+    expect(copies.length).to.equal(Terrain.storesCopyDocuments ? 2 : 1);
+    expect(Terrain._trimDuplicates(token, [dupe]).length).to.equal(Terrain.storesCopyDocuments ? 1 : 0);
+
+    await Terrain.removeFromToken(token, [dupe], { removeAllDuplicates: false });
+    expect(dupe.isOnToken(token)).to.equal(Terrain.storesCopyDocuments);
+  });
+
+  it('should keep pinned terrains when removing or replacing all', async () => {
+    await Terrain.addToToken(token, [terrain, dupe]);
+    await terrain.pinOnToken(token);
+    expect(await Terrain.removeAllFromToken(token)).to.equal(true);
+    expect(terrain.isOnToken(token)).to.equal(true);
+    expect(dupe.isOnToken(token)).to.equal(false);
+
+    await Terrain.replaceAllOnToken(token, [dupe]);
+    expect(terrain.isOnToken(token)).to.equal(true);
+    expect(dupe.isOnToken(token)).to.equal(true);
+
+    expect(await Terrain.removeAllFromToken(token, { includePinned: true })).to.equal(true);
+    expect(Terrain.allOnToken(token).length).to.equal(0);
+  });
+});
+}
+
+// ----- NOTE: Exclusive groups ----- //
+describe('Exclusive terrain groups', () => {
+  const mud = { name: "mud", exclusiveGroup: { id: "ground", rank: 1 } };
+  const ice = { name: "ice", exclusiveGroup: { id: "ground", rank: 0 } };
+  const fog = { name: "fog", exclusiveGroup: { id: "air", rank: 0 } };
+  const smoke = { name: "smoke", exclusiveGroup: null };
+  let onToken = [];
+  class GroupTerrain extends TerrainFlagEffect {
+    static allOnToken() { return onToken; }
+  }
+
+  it('should add ungrouped terrains and the best of each group', () => {
+    onToken = [];
+    const { toAdd, toRemove } = GroupTerrain._resolveExclusiveGroups(null, [mud, smoke, ice, fog]);
+    expect(toAdd).to.deep.equal([smoke, ice, fog]);
+    expect(toRemove.length).to.equal(0);
+  });
+
+  it('should remove outranked terrains already on the token', () => {
+    onToken = [mud, smoke];
+    const { toAdd, toRemove } = GroupTerrain._resolveExclusiveGroups(null, [ice]);
+    expect(toAdd).to.deep.equal([ice]);
+    expect(toRemove).to.deep.equal([mud]);
+  });
+
+  it('should not add a terrain outranked by one on the token', () => {
+    onToken = [ice];
+    const { toAdd, toRemove } = GroupTerrain._resolveExclusiveGroups(null, [mud, fog]);
+    expect(toAdd).to.deep.equal([fog]);
+    expect(toRemove.length).to.equal(0);
+  });
+});
+
+// ----- NOTE: Region exit with flag storage ----- //
+describe('TerrainFlagEffect region exit', () => {
+  const Terrain = TerrainFlagEffect;
+  let prevTerrain;
+  let token;
+  let lingeringTerrain;
+  let plainTerrain;
+  let behavior;
+  before(async function() {
+    lingeringTerrain = await createTestTerrain(Terrain);
+    plainTerrain = await createTestTerrain(Terrain);
+    if ( !lingeringTerrain || !plainTerrain ) this.skip();
+    await lingeringTerrain.document.setFlag(MODULE_ID, FLAGS.TERRAIN.EXIT_DURATION,
+      { value: 60, units: FLAGS.TERRAIN.EXIT_DURATION_UNITS.CHOICES.SECONDS });
+    prevTerrain = CONFIG[MODULE_ID].Terrain;
+    CONFIG[MODULE_ID].Terrain = Terrain;
+    token = await createTestToken();
+    behavior = await createTestBehavior([lingeringTerrain, plainTerrain]);
+  });
+
+  after(async () => {
+    if ( prevTerrain ) CONFIG[MODULE_ID].Terrain = prevTerrain;
+    if ( behavior ) await canvas.scene.deleteEmbeddedDocuments("Region", [behavior.parent.id]);
+    await deleteTestToken(token);
+    await lingeringTerrain?.destroy(true);
+    await plainTerrain?.destroy(true);
+  });
+
+  it('should linger terrains with an exit duration and remove the rest', async () => {
+    await Terrain.addToToken(token, [lingeringTerrain, plainTerrain], { origin: behavior.uuid });
+    await runTokenEvent(behavior, CONST.REGION_EVENTS.TOKEN_EXIT, token);
+    expect(plainTerrain.isOnToken(token)).to.equal(false);
+    expect(lingeringTerrain.isOnToken(token)).to.equal(true);
+    const [doc] = Terrain.tokenDocumentsForUniqueEffects(token, [lingeringTerrain]);
+    expect(Terrain.lingerExpiryForCopy(doc)?.worldTime).to.equal(game.time.worldTime + 60);
+  });
+
+  it('should remove the lingering terrain once it expires', async () => {
+    const id = lingeringTerrain.uniqueEffectId;
+    await token.document.setFlag(MODULE_ID, FLAGS.TOKEN.LINGERING_TERRAINS, {
+      [id]: { worldTime: game.time.worldTime - 1 } });
+    await Terrain.removeExpiredLingering();
+    expect(lingeringTerrain.isOnToken(token)).to.equal(false);
+    expect(token.document.getFlag(MODULE_ID, FLAGS.TOKEN.LINGERING_TERRAINS)?.[id]).to.equal(undefined);
+  });
+});
+
+// ----- NOTE: Movement filters with flag storage ----- //
+describe('TerrainFlagEffect movement filters', () => {
+  const Terrain = TerrainFlagEffect;
+  let prevTerrain;
+  let token;
+  let terrain;
+  let behavior;
+  before(async function() {
+    terrain = await createTestTerrain(Terrain);
+    if ( !terrain ) this.skip();
+    prevTerrain = CONFIG[MODULE_ID].Terrain;
+    CONFIG[MODULE_ID].Terrain = Terrain;
+    token = await createTestToken();
+    behavior = await createTestBehavior([terrain], { movementActions: ["fly"] });
+  });
+
+  after(async () => {
+    if ( prevTerrain ) CONFIG[MODULE_ID].Terrain = prevTerrain;
+    if ( behavior ) await canvas.scene.deleteEmbeddedDocuments("Region", [behavior.parent.id]);
+    await deleteTestToken(token);
+    await terrain?.destroy(true);
+  });
+
+  it('should add the terrain once when the token qualifies', async () => {
+    await behavior.system.syncToken(token.document, "fly");
+    expect(terrain.isOnToken(token)).to.equal(true);
+    expect(behavior.system.presentTerrains(token)).to.deep.equal([terrain]);
+
+    // Moving within the region with the same action should leave the token alone.
+    let numAdds = 0;
+    Terrain.addToToken = async function(...args) {
+      numAdds += 1;
+      return Object.getPrototypeOf(Terrain).addToToken.apply(this, args);
+    };
+    try {
+      const movement = { passed: { waypoints: [{ action: "fly" }] } };
+      await runTokenEvent(behavior, CONST.REGION_EVENTS.TOKEN_MOVE_WITHIN, token, { movement });
+    } finally { delete Terrain.addToToken; }
+    expect(numAdds).to.equal(0);
+  });
+
+  it('should remove the terrain when the token stops qualifying', async () => {
+    await behavior.system.syncToken(token.document, "walk");
+    expect(terrain.isOnToken(token)).to.equal(false);
+    expect(behavior.system.presentTerrains(token).length).to.equal(0);
+  });
+});
+
+    },
+    { displayName: "TERRAIN MAPPER: Terrain Storage" }
+  );
+}
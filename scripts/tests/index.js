@@ -4,7 +4,17 @@
 
 // Import tests
 import { registerTests as registerCutawayHandlerTests } from "./CutawayHandler.test.js";
+import { registerTests as registerRegionElevationHandlerTests } from "./RegionElevationHandler.test.js";
+import { registerTests as registerTerrainStorageTests } from "./TerrainStorage.test.js";
+import { registerTests as registerTerrainPathfinderTests } from "./TerrainPathfinder.test.js";
+import { registerTests as registerTerrainJSONSchemaTests } from "./TerrainJSONSchema.test.js";
+import { registerTests as registerSystemAdaptersTests } from "./SystemAdapters.test.js";
 
 export function registerTests(quench) {
   registerCutawayHandlerTests(quench);
+  registerRegionElevationHandlerTests(quench);
+  registerTerrainStorageTests(quench);
+  registerTerrainPathfinderTests(quench);
+  registerTerrainJSONSchemaTests(quench);
+  registerSystemAdaptersTests(quench);
 }
@@ -1,9 +1,10 @@
 /* globals
 Application,
-canvas,
 foundry,
+fromUuidSync,
 game,
-saveDataToFile
+saveDataToFile,
+ui
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
@@ -11,7 +12,7 @@ saveDataToFile
 import { MODULE_ID, FLAGS } from "../const.js";
 import { log } from "../util.js";
 import { AsyncQueue } from "./AsyncQueue.js";
-import { updateDocument } from "./documents.js";
+import { updateEmbeddedDocuments } from "./documents.js";
 
 /* Class structure
 AbstractUniqueEffect
@@ -61,7 +62,7 @@ The child class can choose to add additional data to token effects (or override
 
 AbstractUniqueEffect.newDocumentData(): Data required to be present in the base effect
   - Used when creating a new base effect
-  - Used to add new properties when transitioning versions
+  - Used to add new properties when migrating from older versions
 
 AbstractUniqueEffect.defaultDocumentData(activeEffectId): Data changes when creating a default effect
   - Used to create a base effect document from an existing template
@@ -95,6 +96,13 @@ export class AbstractUniqueEffect {
   /** @type {string} */
   static type = "UniqueEffect";
 
+  /**
+   * Does the token storage hold a separate document for each copy of an effect?
+   * If not, a token holds at most one copy of each effect and the copy records no origin.
+   * @type {boolean}
+   */
+  static storesCopyDocuments = true;
+
   /**
    * @param baseEffectId
    */
@@ -136,6 +144,16 @@ export class AbstractUniqueEffect {
    */
   get displayStatusIcon() { return this.document?.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.DISPLAY_ICON) ?? true; }
 
+  /**
+   * Exclusive group to which this effect belongs, if any.
+   * Only one member of a group may be on a token at a time; the lowest rank wins.
+   * Implemented by child classes that support groups.
+   * @type {object|null}
+   *  - @prop {string} id       Group id
+   *  - @prop {number} rank     Priority within the group; 0 is highest
+   */
+  get exclusiveGroup() { return null; }
+
   /** @type {string} */
   get name() { return this.document?.name; }
 
@@ -166,10 +184,36 @@ export class AbstractUniqueEffect {
   toDragData() {
     return {
       name: this.document.name,
-      uuid: this.document.uuid
+      uuid: this.document.uuid,
+      uniqueEffectId: this.uniqueEffectId,
+      uniqueEffectType: this.constructor.type
     };
   }
 
+  /**
+   * Locate the unique effect for dropped data.
+   * Accepts data from toDragData or a drag of the underlying stored document.
+   * @param {object} data     Data that was dropped
+   * @returns {AbstractUniqueEffect|undefined}
+   */
+  static fromDragData(data) {
+    if ( !data ) return;
+    if ( data.uniqueEffectId ) {
+      if ( data.uniqueEffectType && data.uniqueEffectType !== this.type ) return;
+      return this._instances.get(data.uniqueEffectId);
+    }
+    if ( !data.uuid ) return;
+    let doc;
+    try {
+      doc = fromUuidSync(data.uuid, { strict: false });
+    } catch ( _err ) {
+      return;
+    }
+    if ( !doc?.getFlag ) return;
+    const effect = this.uniqueEffectForTokenDocument(doc);
+    return effect?.document === doc ? effect : undefined; // Only stored documents, not token copies.
+  }
+
   /**
    * Find or create a document for a given unique effect id.
    * @param {string} uniqueEffectId
@@ -362,8 +406,9 @@ export class AbstractUniqueEffect {
    * @returns {boolean} True if change was made.
    */
   static async addToToken(token, effects, data) {
-    const toAdd = this._trimDuplicates(token, effects);
-    if ( !toAdd.length ) return false;
+    const { toAdd, toRemove } = this._resolveExclusiveGroups(token, this._trimDuplicates(token, effects));
+    if ( toRemove.length ) await this._removeFromToken(token, toRemove, true);
+    if ( !toAdd.length ) return toRemove.length > 0;
     return await this._addToToken(token, toAdd, data);
   }
 
@@ -377,8 +422,12 @@ export class AbstractUniqueEffect {
    * @returns {boolean} True if change was made.
    */
   static addToTokenLocally(token, effects, { refresh = true, data } = {}) {
-    const toAdd = this._trimDuplicates(token, effects);
-    if ( !toAdd.length ) return false;
+    const { toAdd, toRemove } = this._resolveExclusiveGroups(token, this._trimDuplicates(token, effects));
+    if ( toRemove.length ) this._removeFromTokenLocally(token, toRemove, true);
+    if ( !toAdd.length ) {
+      if ( toRemove.length && refresh ) this.refreshTokenDisplay(token);
+      return toRemove.length > 0;
+    }
     if ( !this._addToTokenLocally(token, toAdd, data) ) return false;
     if ( refresh ) this.refreshTokenDisplay(token);
     return true;
@@ -420,12 +469,47 @@ export class AbstractUniqueEffect {
     const currEffects = new Set(this.allOnToken(token));
     const toAdd = [];
     for ( const effect of effects ) {
-      if ( currEffects.has(effect) && !effect.allowsDuplicates ) continue;
+      if ( currEffects.has(effect) && !(effect.allowsDuplicates && this.storesCopyDocuments) ) continue;
       toAdd.push(effect);
     }
     return toAdd;
   }
 
+  /**
+   * Apply exclusive groups to the effects to add, after duplicates have been trimmed.
+   * Within a group, only the highest-priority effect among those on the token and those to add is kept.
+   * Outranked effects to add are dropped; outranked effects on the token are removed.
+   * Removed effects are not tracked here; callers such as region behaviors re-add them when the
+   * higher-priority effect is later removed.
+   * @param {Token } token      Token to add the effects to.
+   * @param {AbstractUniqueEffect[]} effects    Effects to add, as returned by _trimDuplicates
+   * @returns {object}
+   *  - @prop {AbstractUniqueEffect[]} toAdd      Effects to add
+   *  - @prop {AbstractUniqueEffect[]} toRemove   Effects currently on the token that are outranked
+   */
+  static _resolveExclusiveGroups(token, effects) {
+    const currEffects = new Set(this.allOnToken(token));
+
+    // Determine the winning effect for each group.
+    const winners = new Map();
+    for ( const effect of currEffects.union(new Set(effects)) ) {
+      const group = effect.exclusiveGroup;
+      if ( !group ) continue;
+      const winner = winners.get(group.id);
+      if ( !winner || group.rank < winner.exclusiveGroup.rank ) winners.set(group.id, effect);
+    }
+    if ( !winners.size ) return { toAdd: effects, toRemove: [] };
+
+    const isOutranked = effect => {
+      const group = effect.exclusiveGroup;
+      return group && winners.get(group.id) !== effect;
+    };
+    return {
+      toAdd: effects.filter(effect => !isOutranked(effect)),
+      toRemove: [...currEffects].filter(isOutranked)
+    };
+  }
+
   /**
    * Method implemented by child class to add to token.
    * @param {Token } token      Token to remove the effect from.
@@ -478,6 +562,70 @@ export class AbstractUniqueEffect {
     return false;
   }
 
+  /**
+   * Remove all effects of this type from the token, including duplicates.
+   * @param {Token } token      Token to remove the effects from.
+   * @returns {boolean} True if change was made
+   */
+  static async removeAllFromToken(token) {
+    const effects = new Set(this.allOnToken(token));
+    if ( !effects.size ) return false;
+    return await this._removeFromToken(token, [...effects], true);
+  }
+
+  /**
+   * Remove all effects of this type from the token locally.
+   * @param {Token } token      Token to remove the effects from.
+   * @param {object} [opts]
+   * @param {boolean} [opts.refresh=true]     Should the token display be refreshed?
+   * @returns {boolean} True if change was made
+   */
+  static removeAllFromTokenLocally(token, { refresh = true } = {}) {
+    const effects = new Set(this.allOnToken(token));
+    if ( !effects.size ) return false;
+    if ( !this._removeFromTokenLocally(token, [...effects], true) ) return false;
+    if ( refresh ) this.refreshTokenDisplay(token);
+    return true;
+  }
+
+  /**
+   * Replace the effects of this type on the token with the given effects.
+   * Effects already on the token are left as is; others are removed, including duplicates.
+   * @param {Token } token      Token to change.
+   * @param {AbstractUniqueEffect[]|Set<AbstractUniqueEffect>} effects   Effects the token should have
+   * @param {object} [data]     Additional data to add to the created effects; usually 1+ flags.
+   * @returns {boolean} True if change was made
+   */
+  static async replaceAllOnToken(token, effects, data) {
+    if ( !(effects instanceof Set) ) effects = new Set(effects);
+    const toRemove = new Set(this.allOnToken(token)).difference(effects);
+    let changed = false;
+    if ( toRemove.size ) changed = await this._removeFromToken(token, [...toRemove], true);
+    const toAdd = [...effects].filter(effect => !effect.isOnToken(token));
+    if ( toAdd.length ) changed = (await this.addToToken(token, toAdd, data)) || changed;
+    return changed;
+  }
+
+  /**
+   * Replace the effects of this type on the token locally.
+   * @param {Token } token      Token to change.
+   * @param {AbstractUniqueEffect[]|Set<AbstractUniqueEffect>} effects   Effects the token should have
+   * @param {object} [opts]
+   * @param {boolean} [opts.refresh=true]     Should the token display be refreshed?
+   * @param {object} [opts.data]              Additional data to add to the created effects; usually 1+ flags.
+   * @returns {boolean} True if change was made
+   */
+  static replaceAllOnTokenLocally(token, effects, { refresh = true, data } = {}) {
+    if ( !(effects instanceof Set) ) effects = new Set(effects);
+    const toRemove = new Set(this.allOnToken(token)).difference(effects);
+    let changed = false;
+    if ( toRemove.size ) changed = this._removeFromTokenLocally(token, [...toRemove], true);
+    const toAdd = [...effects].filter(effect => !effect.isOnToken(token));
+    if ( toAdd.length ) changed = this.addToTokenLocally(token, toAdd, { refresh: false, data }) || changed;
+    if ( changed && refresh ) this.refreshTokenDisplay(token);
+    return changed;
+  }
+
   // ----- NOTE: Static document handling ----- //
 
   /** @type {EmbeddedCollection|Map} */
@@ -519,20 +667,37 @@ export class AbstractUniqueEffect {
     return this._instances.get(uniqueEffectId);
   }
 
+  /**
+   * Get the origin, such as a region behavior uuid, recorded on a token copy of a unique effect.
+   * @param {Document|Object} doc     Document or object on the token
+   * @returns {string|undefined}
+   */
+  static tokenDocumentOrigin(doc) { return doc.origin ?? undefined; }
+
+  /**
+   * Data to record the origin on a token copy of a unique effect.
+   * @param {string} origin
+   * @returns {object}
+   */
+  static tokenDocumentOriginData(origin) { return { origin }; }
+
   /**
    * Get the corresponding token document(s) for a given unique effect
    * @param {Token} token                           Token to search
    * @param {AbstractUniqueEffect[]} effects        Unique effects to search for
    * @param {boolean} [allDuplicates=true]          If true, return all documents that represent the effect;
    *                                                If false, return only the first document that represents the effect
+   * @param {string} [origin]                       If set, only documents added by this origin;
+   *                                                ignored if the storage does not keep copy documents
    * @returns {Document[]|Object[]} doc             Array of Document or object on the token
    */
   static tokenDocumentsForUniqueEffects(token, effects, allDuplicates = true, origin) {
+    if ( !this.storesCopyDocuments ) origin = undefined;
     const effectIds = new Set([...effects.map(effect => effect.uniqueEffectId)]);
     const docs = [];
-    for ( const doc of this.getTokenStorage(token) ) {
+    for ( const doc of this.getTokenStorage(token)?.values() ?? [] ) { // Collection or Map of flag documents.
       const uniqueEffectId = doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID);
-      if ( effectIds.has(uniqueEffectId) && (!origin || doc.origin === origin) ) {
+      if ( effectIds.has(uniqueEffectId) && (!origin || this.tokenDocumentOrigin(doc) === origin) ) {
         docs.push(doc);
         if ( !allDuplicates ) effectIds.delete(uniqueEffectId);
       }
@@ -607,71 +772,100 @@ export class AbstractUniqueEffect {
     return docs;
   }
 
+  // ----- NOTE: Token copy sync ----- //
+
   /**
-   * Transition all documents in a scene, when updating versions.
+   * Module flags that belong to an individual token copy and are kept when syncing the copy.
+   * @type {Set<string>}
    */
-  static async transitionDocuments() {
-    const newDocData = this.newDocumentData();
-
-    // Transition each of the effects on the storage item
-    const storagePromises = [];
-    for ( const doc of this.storageDocuments ) storagePromises.push(this._doTransition(doc, newDocData));
-    await Promise.allSettled(storagePromises);
-  }
+  static TOKEN_COPY_FLAGS = new Set([FLAGS.UNIQUE_EFFECT.IS_LOCAL]);
 
   /**
-   * Transition all tokens in a scene, when updating versions.
+   * Document fields that belong to an individual token copy and are kept when syncing the copy.
+   * @type {string[]}
    */
-  static async transitionTokens() {
-    const newDocData = this.newDocumentData();
+  static TOKEN_COPY_FIELDS = ["_id", "_stats", "origin", "duration", "statuses", "sort", "ownership", "folder", "effects"];
 
-    // Transition each token if it has data
-    const tokenPromises = [];
-    for ( const token of canvas.tokens.placeables ) {
-      const tokenStorage = this.getTokenStorage(token);
-      if ( !tokenStorage ) continue;
-      for ( const doc of tokenStorage.values() ) {
-        // Only if this document might be an effect.
-        if ( !doc.flags?.[MODULE_ID] ) continue;
-        tokenPromises.push(this._doTransition(doc, newDocData));
-      }
-    }
-    await Promise.allSettled(tokenPromises);
+  /**
+   * Data used to update the token copies of this effect to match the base document.
+   * @returns {object|undefined}
+   */
+  tokenCopyData() {
+    const data = this.document?.toObject?.();
+    if ( !data ) return undefined;
+    for ( const key of this.constructor.TOKEN_COPY_FIELDS ) delete data[key];
+    const moduleFlags = data.flags?.[MODULE_ID];
+    if ( moduleFlags ) for ( const key of this.constructor.TOKEN_COPY_FLAGS ) delete moduleFlags[key];
+    return data;
   }
 
-
   /**
-   * Transition all tokens in a scene, when updating versions
+   * Queue an update of every token copy of the given effects, across all scenes, to match their base documents.
+   * Syncs run one at a time so that rapid edits are applied in order.
+   * @param {AbstractUniqueEffect[]|Set<AbstractUniqueEffect>} effects
    */
-
-  static async _doTransition(doc, newDocData = {}) {
-    const moduleVersion = game.modules.get(MODULE_ID).version;
-    const savedVersion = doc.getFlag(MODULE_ID, FLAGS.VERSION);
-    if ( savedVersion && !foundry.utils.isNewerVersion(moduleVersion, savedVersion) ) return false;
-
-    // Overwrite default new data with existing fields if present
-    const changes = foundry.utils.mergeObject(newDocData, doc.toObject(), {
-      inplace: false, insertKeys: false, insertValues: true });
-
-    // Ensure the unique id is correctly formatted by overwriting from a known good value.
-    const oldId = doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID);
-    const splitRes = oldId ? this.deconstructUniqueEffectId(oldId) : undefined;
-    const newId = this.uniqueEffectId({ baseEffectId: splitRes?.baseEffectId });
-    changes.flags[MODULE_ID][FLAGS.UNIQUE_EFFECT.ID] = newId;
-
-    // Update the document.
-    await updateDocument(doc.uuid, changes);
-
-    // Child transitions.
-    await this._transitionDocument(doc);
-    return true;
+  static queueTokenCopySync(effects) {
+    effects = [...effects].filter(effect => effect.document);
+    if ( !effects.length ) return;
+    syncQueue.enqueue(async () => this._syncTokenCopies(effects));
   }
 
   /**
-   * Transition a single document stored in the storage object
+   * Update every token copy of the given effects to match their base documents.
+   * Linked actors are updated once; unlinked tokens are updated through their synthetic actors.
+   * @param {AbstractUniqueEffect[]} effects
    */
-  static async _transitionDocument(_doc) { }
+  static async _syncTokenCopies(effects) {
+    const updateData = new Map();
+    const baseDocuments = new Set();
+    for ( const effect of effects ) {
+      const data = effect.tokenCopyData();
+      if ( !data ) continue;
+      updateData.set(effect.uniqueEffectId, data);
+      baseDocuments.add(effect.document);
+    }
+    if ( !updateData.size ) return;
+
+    // Determine the updates for each actor before touching any of them.
+    const batches = [];
+    for ( const actor of this._actorsWithTokenCopies() ) {
+      const updates = {};
+      for ( const doc of [...actor.effects, ...actor.items] ) {
+        const data = updateData.get(doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID));
+        if ( !data || baseDocuments.has(doc) ) continue;
+        updates[doc.documentName] ??= [];
+        updates[doc.documentName].push({ ...foundry.utils.deepClone(data), _id: doc.id });
+      }
+      if ( !foundry.utils.isEmpty(updates) ) batches.push({ actor, updates });
+    }
+    if ( !batches.length ) return;
+
+    const names = [...effects].map(effect => effect.name).join(", ");
+    const progress = ui.notifications.info(
+      game.i18n.format(`${MODULE_ID}.phrases.syncing-token-copies`, { names, n: batches.length }),
+      { progress: true });
+    for ( let i = 0; i < batches.length; i += 1 ) {
+      const { actor, updates } = batches[i];
+      for ( const [embeddedName, data] of Object.entries(updates) ) {
+        await updateEmbeddedDocuments(actor.uuid, embeddedName, data);
+      }
+      progress?.update?.({ pct: (i + 1) / batches.length });
+    }
+  }
 
+  /**
+   * World actors and the synthetic actors of unlinked tokens in every scene.
+   * @returns {Actor[]}
+   */
+  static _actorsWithTokenCopies() {
+    const actors = new Set(game.actors);
+    for ( const scene of game.scenes ) {
+      for ( const tokenD of scene.tokens ) {
+        if ( !tokenD.actorLink && tokenD.actor ) actors.add(tokenD.actor);
+      }
+    }
+    return actors;
+  }
 
   // ----- NOTE: Static multiple document handling ---- //
 
@@ -686,8 +880,7 @@ export class AbstractUniqueEffect {
     // If no effects are present in the storage map, add default effects back in.
     if ( !this.storageDocuments.length ) await this._initializeDefaultEffects();
 
-    // Check if documents must be updated for a new version.
-    await this.transitionDocuments();
+    // Documents from older versions are updated by TerrainMigrations before this runs.
 
     // Create unique effects from the documents held in the storage document.
     for ( const doc of this.storageDocuments ) await this.create(doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ID));
@@ -702,6 +895,12 @@ export class AbstractUniqueEffect {
     console.error("AbstractUniqueEffect._initializeStorageMap must be handled by child class");
   }
 
+  /**
+   * Locate the storage without creating it, e.g., to read stored effects before initialization.
+   * @returns {DocumentCollection|Map|undefined}
+   */
+  static _existingStorageMap() { return this._storageMap; }
+
   /**
    * Initialize default effects by adding the document(s) to the storage map.
    */
@@ -737,6 +936,12 @@ export class AbstractUniqueEffect {
 
   // ---- NOTE: Static import/export ----- //
 
+  /**
+   * Version of the JSON layout written by saveAllToJSON, if the child class validates imports.
+   * @type {number|undefined}
+   */
+  static JSON_SCHEMA_VERSION;
+
   /**
    * Save all cover objects to a json file.
    */
@@ -751,6 +956,7 @@ export class AbstractUniqueEffect {
       systemVersion: game.system.version,
       [`${MODULE_ID}Version`]: game.modules.get(MODULE_ID).version
     };
+    if ( this.JSON_SCHEMA_VERSION ) data.flags.exportSource.schemaVersion = this.JSON_SCHEMA_VERSION;
     saveDataToFile(JSON.stringify(data, null, 2), "text/json", `${filename}.json`);
   }
 
@@ -847,6 +1053,9 @@ const sleep = delay => new Promise(resolve => setTimeout(resolve, delay));
 
 const renderQueue = new AsyncQueue();
 
+// Sync token copies of edited effects one batch at a time.
+const syncQueue = new AsyncQueue();
+
 const queueObjectFn = function(ms, actor) {
   return async function rerenderActorSheet() {
     log(`AbstractUniqueEffect#rerenderActorSheet|Testing sheet for ${actor.name}`);
@@ -22,6 +22,12 @@ import { MODULE_ID, FLAGS } from "../const.js";
  * Applied via active effects on the token actor.
  */
 export class UniqueActiveEffect extends AbstractUniqueEffect {
+  /**
+   * Type of the document that stores each effect.
+   * @type {string}
+   */
+  static storageDocumentName = "ActiveEffect";
+
   // Alias
   /** @type {ActiveEffect} */
   get activeEffect() { return this.document; }
@@ -232,6 +238,15 @@ export class UniqueActiveEffect extends AbstractUniqueEffect {
     this._storageMap = item?.effects;
   }
 
+  /**
+   * Locate the active effects in the storage item without creating the item.
+   * @returns {DocumentCollection|undefined}
+   */
+  static _existingStorageMap() {
+    const data = this._storageMapData;
+    return game.items.find(item => item.name === data.name)?.effects;
+  }
+
   // ----- NOTE: Static default data handling ----- //
 
   /**
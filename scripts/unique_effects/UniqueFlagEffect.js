@@ -20,10 +20,19 @@ import { UniqueItemEffect } from "./UniqueItemEffect.js";
  */
 export class UniqueFlagEffect extends UniqueActiveEffect {
 
+  /** @type {boolean} */
+  static storesCopyDocuments = false;
+
   // ----- NOTE: Document-related methods ----- //
+  /**
+   * Data used when dragging an effect to an actor sheet or token.
+   * Marked so that drops add the token flag instead of creating a copy of the stored document.
+   * @returns {object}
+   */
   toDragData() {
-    console.error("UniqueFlagEffect|toDragData not yet implemented.");
-    return super.toDragData();
+    const data = super.toDragData();
+    data.flagStorage = true;
+    return data;
   }
 
   // ----- NOTE: Token-related methods ----- //
@@ -67,16 +76,15 @@ export class UniqueFlagEffect extends UniqueActiveEffect {
 
   /**
    * Method implemented by child class to remove from token.
-   * If duplicates, only the first effect present will be removed
+   * A token holds at most one flag per effect, so duplicates and origin do not narrow the removal.
    * @param {Token } token      Token to remove the effect from.
    * @param {AbstractUniqueEffect[]} effects
    * @returns {boolean} True if change was made
    */
-  static async _removeFromToken(token, effects) {
-    const docs = effects.map(effect => new TokenFlagUniqueEffectDocument(token, effect));
-    const promises = [];
-    for ( const doc of docs ) promises.push(doc.removeFromToken());
-    await Promise.allSettled(promises);
+  static async _removeFromToken(token, effects, _removeAllDuplicates, _origin) {
+    const docs = this.tokenDocumentsForUniqueEffects(token, effects);
+    if ( !docs.length ) return false;
+    await Promise.allSettled(docs.map(doc => doc.removeFromToken()));
     return true;
   }
 
@@ -86,8 +94,9 @@ export class UniqueFlagEffect extends UniqueActiveEffect {
    * @param {AbstractUniqueEffect[]} effects
    * @returns {boolean} True if change was made
    */
-  static _removeFromTokenLocally(token, effects) {
-    const docs = effects.map(effect => new TokenFlagUniqueEffectDocument(token, effect));
+  static _removeFromTokenLocally(token, effects, _removeAllDuplicates, _origin) {
+    const docs = this.tokenDocumentsForUniqueEffects(token, effects);
+    if ( !docs.length ) return false;
     for ( const doc of docs ) doc.removeFromTokenLocally();
     return true;
   }
@@ -101,14 +110,28 @@ export class UniqueFlagEffect extends UniqueActiveEffect {
     // Also don't need to reset the actor as no effects applied.
     token.renderFlags.set({ redrawEffects: true });
   }
+
+  /**
+   * Flag copies refer to the base document by id, so they never go stale.
+   */
+  static queueTokenCopySync(_effects) { return; }
 }
 
 export class UniqueFlagItemEffect extends UniqueItemEffect {
 
+  /** @type {boolean} */
+  static storesCopyDocuments = false;
+
   // ----- NOTE: Document-related methods ----- //
+  /**
+   * Data used when dragging an effect to an actor sheet or token.
+   * Marked so that drops add the token flag instead of creating a copy of the stored document.
+   * @returns {object}
+   */
   toDragData() {
-    console.error("UniqueFlagItemEffect|toDragData not yet implemented.");
-    return super.toDragData();
+    const data = super.toDragData();
+    data.flagStorage = true;
+    return data;
   }
 
   // ----- NOTE: Token-related methods ----- //
@@ -152,16 +175,15 @@ export class UniqueFlagItemEffect extends UniqueItemEffect {
 
   /**
    * Method implemented by child class to remove from token.
-   * If duplicates, only the first effect present will be removed
+   * A token holds at most one flag per effect, so duplicates and origin do not narrow the removal.
    * @param {Token } token      Token to remove the effect from.
    * @param {AbstractUniqueEffect[]} effects
    * @returns {boolean} True if change was made
    */
-  static async _removeFromToken(token, effects) {
-    const docs = effects.map(effect => new TokenFlagUniqueEffectDocument(token, effect));
-    const promises = [];
-    for ( const doc of docs ) promises.push(doc.removeFromToken());
-    await Promise.allSettled(promises);
+  static async _removeFromToken(token, effects, _removeAllDuplicates, _origin) {
+    const docs = this.tokenDocumentsForUniqueEffects(token, effects);
+    if ( !docs.length ) return false;
+    await Promise.allSettled(docs.map(doc => doc.removeFromToken()));
     return true;
   }
 
@@ -171,8 +193,9 @@ export class UniqueFlagItemEffect extends UniqueItemEffect {
    * @param {AbstractUniqueEffect[]} effects
    * @returns {boolean} True if change was made
    */
-  static _removeFromTokenLocally(token, effects) {
-    const docs = effects.map(effect => new TokenFlagUniqueEffectDocument(token, effect));
+  static _removeFromTokenLocally(token, effects, _removeAllDuplicates, _origin) {
+    const docs = this.tokenDocumentsForUniqueEffects(token, effects);
+    if ( !docs.length ) return false;
     for ( const doc of docs ) doc.removeFromTokenLocally();
     return true;
   }
@@ -186,6 +209,11 @@ export class UniqueFlagItemEffect extends UniqueItemEffect {
     // Also don't need to reset the actor as no effects applied.
     token.renderFlags.set({ redrawEffects: true });
   }
+
+  /**
+   * Flag copies refer to the base document by id, so they never go stale.
+   */
+  static queueTokenCopySync(_effects) { return; }
 }
 
 
@@ -302,7 +330,7 @@ class TokenFlagUniqueEffectDocument {
    */
   async removeFromToken() {
     log(`UniqueFlagEffect#removeFromToken|Removing ${this.name} from ${this.token.name}`);
-    this.token.document.unsetFlag(MODULE_ID, this.uniqueEffectId);
+    await this.token.document.unsetFlag(MODULE_ID, this.uniqueEffectId);
     this.token[MODULE_ID].removeIcon({
       id: this.uniqueEffectId,
       category: this.type,
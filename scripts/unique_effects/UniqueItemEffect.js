@@ -21,6 +21,12 @@ import {
  * Applied via active effects on the token actor.
  */
 export class UniqueItemEffect extends AbstractUniqueEffect {
+  /**
+   * Type of the document that stores each effect.
+   * @type {string}
+   */
+  static storageDocumentName = "Item";
+
   // Alias
   /** @type {ActiveEffect} */
   get item() { return this.document; }
@@ -45,6 +51,31 @@ export class UniqueItemEffect extends AbstractUniqueEffect {
    */
   static getTokenStorage(token) { return token.actor?.items; }
 
+  /**
+   * Items have no origin field, so item copies record their origin in a flag.
+   * @param {Item} doc
+   * @returns {string|undefined}
+   */
+  static tokenDocumentOrigin(doc) { return doc.getFlag(MODULE_ID, FLAGS.UNIQUE_EFFECT.ORIGIN); }
+
+  /**
+   * Data to record the origin on an item copy.
+   * @param {string} origin
+   * @returns {object}
+   */
+  static tokenDocumentOriginData(origin) { return { [`flags.${MODULE_ID}.${FLAGS.UNIQUE_EFFECT.ORIGIN}`]: origin }; }
+
+  /**
+   * Move the origin in the data for new item copies to the origin flag.
+   * @param {object} [data]
+   * @returns {object|undefined}
+   */
+  static _itemCopyData(data) {
+    if ( !data || !Object.hasOwn(data, "origin") ) return data;
+    const { origin, ...rest } = data;
+    return foundry.utils.mergeObject(rest, this.tokenDocumentOriginData(origin), { inplace: false });
+  }
+
   /**
    * Method implemented by child class to add 1+ effects to the token.
    * Does not consider whether the effect is already present.
@@ -55,6 +86,7 @@ export class UniqueItemEffect extends AbstractUniqueEffect {
   static async _addToToken(token, effects, data) {
     if ( !token.actor ) return false;
     const uuids = effects.map(e => e.document.uuid);
+    data = this._itemCopyData(data);
     if ( data ) data = effects.map(_e => data);
     await createEmbeddedDocuments(token.actor.uuid, "Item", uuids, data);
     return true;
@@ -71,7 +103,7 @@ export class UniqueItemEffect extends AbstractUniqueEffect {
     for ( const effect of effects ) {
       const doc = effect.document.toObject();
       doc.flags[MODULE_ID][FLAGS.UNIQUE_EFFECT.IS_LOCAL] = true;
-      foundry.utils.mergeObject(doc, data);
+      foundry.utils.mergeObject(doc, this._itemCopyData(data));
 
       // Remove the _id b/c the property might be locked. See PR #44.
       // Have to define it manually b/c for local docs, foundry will not assign random id. See #46.
@@ -206,6 +238,12 @@ export class UniqueItemEffect extends AbstractUniqueEffect {
    */
   static async _initializeStorageMap() { this._storageMap = game.items; }
 
+  /**
+   * Items are stored in the world items, which always exist.
+   * @returns {DocumentCollection}
+   */
+  static _existingStorageMap() { return game.items; }
+
   /**
    * Initialize default effects by adding the document(s) to the storage map.
    */
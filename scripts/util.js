@@ -4,6 +4,7 @@ CONFIG,
 game,
 Handlebars,
 PIXI,
+window
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
@@ -212,7 +213,34 @@ export function isRamp(region) {
 }
 
 /**
- * Retrieve all plateau and ramp regions.
+ * Does this region take its elevation from a heightmap image?
+ * @param {Region} region
+ * @returns {boolean}
+ */
+export function isHeightmap(region) {
+  return region.document.getFlag(MODULE_ID, FLAGS.REGION.ELEVATION_ALGORITHM) === FLAGS.REGION.CHOICES.HEIGHTMAP;
+}
+
+/**
+ * Is this region a hill or crater?
+ * @param {Region} region
+ * @returns {boolean}
+ */
+export function isRadial(region) {
+  return region.document.getFlag(MODULE_ID, FLAGS.REGION.ELEVATION_ALGORITHM) === FLAGS.REGION.CHOICES.RADIAL;
+}
+
+/**
+ * Is this region a sloped surface, triangulated from elevations set at each vertex?
+ * @param {Region} region
+ * @returns {boolean}
+ */
+export function isVertexSurface(region) {
+  return region.document.getFlag(MODULE_ID, FLAGS.REGION.ELEVATION_ALGORITHM) === FLAGS.REGION.CHOICES.VERTEX;
+}
+
+/**
+ * Retrieve all elevated regions: plateaus, ramps, heightmaps, hills, and sloped surfaces.
  * @param {Region[]} [regions]    Regions to use, if not all regions on the canvas
  * @returns {Region[]}
  */
@@ -234,3 +262,43 @@ export function elevatedTiles(tiles) {
 }
 
 
+
+/**
+ * Wait for the user to click a position on the canvas.
+ * The click is consumed before the canvas sees it, so the active tool neither selects nor starts a drawing.
+ * A right-click or Escape cancels.
+ * @returns {Promise<PIXI.Point|undefined>} The canvas position, or undefined if cancelled
+ */
+export function pickCanvasPosition() {
+  const view = canvas.app?.view;
+  if ( !view ) return Promise.resolve(undefined);
+  return new Promise(resolve => {
+    // Capture listeners on the window run before the listeners PIXI adds to the canvas element.
+    const opts = { capture: true };
+    const consume = event => {
+      if ( event.target !== view ) return false;
+      event.stopImmediatePropagation();
+      event.preventDefault();
+      return true;
+    };
+    const finish = result => {
+      window.removeEventListener("pointerdown", onPointerDown, opts);
+      window.removeEventListener("keydown", onKeyDown, opts);
+      resolve(result);
+    };
+    const onPointerDown = event => {
+      if ( !consume(event) ) return;
+      window.addEventListener("pointerup", consume, { ...opts, once: true }); // Also hide the release.
+      if ( event.button !== 0 ) return finish();
+      finish(canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY }));
+    };
+    const onKeyDown = event => {
+      if ( event.key !== "Escape" ) return;
+      event.stopImmediatePropagation();
+      event.preventDefault();
+      finish();
+    };
+    window.addEventListener("pointerdown", onPointerDown, opts);
+    window.addEventListener("keydown", onKeyDown, opts);
+  });
+}